@@ -29,7 +29,15 @@
 * @brief	A 2D rendering system created for the Gut Cell Atlas.
 */
 
-/* globals alert, console, document, fabric, XMLHttpRequest */
+import {GCAModel, GCALoadError} from './GCAModel.js';
+import {GCAEventEmitter} from './GCAEventEmitter.js';
+import {GCASpatialIndex} from './GCASpatialIndex.js';
+import {GCAHover} from './GCAHover.js';
+import {GCAMarkerIO} from './GCAMarkerIO.js';
+import {GCAColorMap} from './GCAColorMap.js';
+import {GCAConfigValidator, GCAConfigError} from './GCAConfigValidator.js';
+
+/* globals console, document, fabric, TextEncoder, XMLHttpRequest */
 
 /*!
  * @class	GCA2DRenderer
@@ -44,6 +52,78 @@
  * 				loaded if defined.
  * @param	pick_fn		Picking function called on pick events if
  * 				defined.
+ * \par Events
+ * 		Listeners may be added using on() and removed using off().
+ * 		The events emitted are:
+ * 		  - loaderror - A file could not be loaded, the event has
+ * 		                fields: url, kind ('config', 'spline',
+ * 		                'map', 'image' or 'icon'), status (HTTP
+ * 		                status if known), fatal (true if the load
+ * 		                has been abandoned) and error (a
+ * 		                GCALoadError).
+ * 		  - loadprogress - Emitted as each file starts and
+ * 		                finishes loading, the event has fields:
+ * 		                url, kind, total (number of files, which
+ * 		                may increase during loading), completed
+ * 		                (number of files loaded or failed) and
+ * 		                bytes (total bytes loaded for those files
+ * 		                where this is known).
+ * 		  - loaded -    All files have been loaded and the
+ * 		                visualisation created.
+ * 		  - positionchange - The current position has changed, the
+ * 		                event has fields: path (GCA path id),
+ * 		                path_idx (index of the path), index
+ * 		                (position along the path, which may lie
+ * 		                between the path's points) and position
+ * 		                (landmark relative position, see
+ * 		                GCAModel.landmarkPosition()).
+ * 		  - roichange - The ROI has changed, the event has fields:
+ * 		                path, path_idx, start and end (positions
+ * 		                along the paths), start_path and end_path
+ * 		                (GCA ids of the paths of the start and end,
+ * 		                which differ if the ROI spans a junction),
+ * 		                start_position and end_position (landmark
+ * 		                relative positions).
+ * 		  - pick -      A pick (mouse click without drag), the event
+ * 		                has the fields of the pick result (see
+ * 		                pick()) which include position (fabric.js
+ * 		                point in model coordinates) and path_position
+ * 		                (landmark relative position of the pick mapped
+ * 		                to the current path or undefined if it can not
+ * 		                be mapped).
+ * 		  - hover -     The pointer has moved over the canvas
+ * 		                (throttled, see setHoverInterval()), the
+ * 		                event has the fields of a pick event with
+ * 		                the addition of pointer (fabric.js point in
+ * 		                canvas pixels).
+ * 		  - markeradded - A marker has been added, the event has
+ * 		                fields: id, position (point on the midline),
+ * 		                path (GCA id of the marker's path), index
+ * 		                (index along the path), text, props and
+ * 		                metadata.
+ * 		  - markerremoved - A marker has been removed, the event has
+ * 		                the field id.
+ * 		  - markerupdated - A marker has been changed by
+ * 		                updateMarker(), the event has the field id
+ * 		                and those of text, color, visible and
+ * 		                metadata which were changed.
+ * 		  - markermoved - A marker has been dragged to a new
+ * 		                position in marker edit mode (see
+ * 		                setMarkerEditMode()), the event has fields:
+ * 		                id, position (point on the midline), path
+ * 		                (GCA id of the marker's path), index (index
+ * 		                along the path) and path_position (landmark
+ * 		                relative position).
+ * 		  - trackadded - A track has been added, the event has
+ * 		                fields: id, path, start_idx, end_idx, color
+ * 		                (colour or, for a track coloured by or drawn
+ * 		                with values, an object as described for
+ * 		                addTrack()), dist, ang and end_path.
+ * 		  - trackremoved - A track has been removed, the event has
+ * 		                the field id.
+ * 		The post_load_fn and pick_fn functions are called as
+ * 		before in addition to any loaded or pick listeners, with
+ * 		the pick result passed to pick_fn as a third argument.
  */
 class GCA2DRenderer {
   constructor(win, con, post_load_fn, pick_fn) {
@@ -54,6 +134,8 @@ class GCA2DRenderer {
     this._pick_fn = pick_fn;
     this._post_load_fn = post_load_fn;
     this._canvas = undefined;
+    this._model = new GCAModel();
+    this._events = new GCAEventEmitter(this);
     this._config = undefined;
     this._cursor = undefined;
     this._pointer = {
@@ -61,7 +143,9 @@ class GCA2DRenderer {
       drag: false,
       drag_threshold_start:  9,
       drag_threshold_end: 1,
-      position: new fabric.Point(0, 0)};
+      position: new fabric.Point(0, 0),
+      marker: undefined};	// Marker being dragged in marker edit mode
+    this._marker_edit = false;
     this._model_grp = undefined;
     this._markers_grp = undefined;
     this._landmarks_grp = undefined;
@@ -78,10 +162,14 @@ class GCA2DRenderer {
       radius: 20};
     this._anat_images = {};
     this._file_load_cnt = 0; // Used to wait for all files to be loaded
+    this._load_failed = false; // Set on fatal load error
+    this._load_error_policy = 'fail';
+    this._load_progress = {total: 0, completed: 0, bytes: 0};
     this._debug = true;
     this._curPath = 0;	   // Current path
-    this._curPathIdx = 0;    // Index of position on current path
+    this._curPathIdx = 0;    // Position on current path (may be fractional)
     this._roiIdx = [0, 0];   // Indices defining the ROI on current path
+    this._roiPath = [0, 0];  // Paths of the ROI start and end
     this._debug = false;
     this._icons = {
       pin: {
@@ -103,19 +191,53 @@ class GCA2DRenderer {
 	'BLOOM'];		// Last layer, over all others
     this._dispLayers = {};
     this._dispGroups = {};
+    this._hover = new GCAHover(con, this._onHover.bind(this));
+    this._clustering = {	// Marker clustering (see setMarkerClustering())
+      enabled: false,
+      deferred: false,		// Set while adding many markers
+      radius: 30,		// Clustering distance in screen pixels
+      size: 12,			// Badge radius in screen pixels
+      color: '#3050a0',		// Badge colour
+      badges: []};
     this._tracks = [];
+    this._marker_defs = {};	// Marker parameters keyed by id
+    this._track_defs = {};	// Track parameters keyed by id
+    this._track_smoothing = 0;	// Track smoothing passes
+    this._track_layout = {	// Track layout (see setTrackLayout())
+      mode: 'manual',
+      spacing: undefined,	// Lane spacing, default from path widths
+      base: undefined,		// Offset of the first lane, default spacing
+      lanes: {}};		// Lane of each track keyed by id
+    this._obj_index = {		// Spatial indices for getClosestObj()
+      MARKERS: new GCASpatialIndex(),
+      TRACKS: new GCASpatialIndex()};
     this.nameSep = '-';
     this.pathNamePrefix = 'path';
     this.trackNamePrefix = 'track';
+    this.landmarkNamePrefix = 'lm';
+    this.markerNamePrefix = 'mm';
+    this.anatomyNamePrefix = 'ana';
+    this.clusterNamePrefix = 'mc';
  }
 
   /*!
    * @function	init
    * @brief	Initialisation of the configuration and dsplay canvas.
-   * @param	cfg		Configuration file URL or configuration as
-   * 				read from a valid configuration file.
+   * 		The configuration is validated first and if it is not
+   * 		valid a GCAConfigError is thrown, validation warnings
+   * 		are logged to the console.
+   * @param	cfg		Configuration as read from a valid
+   * 				configuration file.
    */
   init(cfg) {
+    // Validation
+    let diag = new GCAConfigValidator().validate(cfg, '2D');
+    diag.warnings.forEach((w) => {
+      console.warn('GCA2DRenderer config ' + w.pointer + ': ' + w.message);
+    });
+    if(diag.errors.length > 0) {
+      throw new GCAConfigError(diag);
+    }
     // Canvas
     let c = document.createElement('canvas');
     c.setAttribute('id', 'canvas');
@@ -126,16 +248,8 @@ class GCA2DRenderer {
 	stopContextMenu: true});
     this._canvas.hoverCursor = 'default';
     // Configuration
-    if(this._isArray(cfg)) {
-      cfg = cfg[0];
-    }
-    if(!(cfg.model_dir)) {
-      cfg['model_dir'] = '';
-    }
-    this._sortLandmarks(cfg);
-    this._config = cfg;
-    this._findDisplayProps();
-    if(this._isDefined(this._config.display_props.pick_precision)) {
+    this._config = this._model.setConfig(cfg);
+    if(!this._isDefined(this._config.display_props.pick_precision)) {
       this._config.display_props['pick_precision'] = 1.0;
     }
     if(this._isDefined(this._config.display_props.path_roi.line_width)) {
@@ -173,6 +287,7 @@ class GCA2DRenderer {
     this._canvas.on('mouse:up', this._onMouseUp.bind(this));
     this._canvas.on('mouse:move', this._onMouseMove.bind(this));
     this._canvas.on('mouse:wheel', this._onMouseWheel.bind(this));
+    this._canvas.on('mouse:out', () => this._hover.leave());
     this._container.onresize = this._onResize.bind(this);
     this._win.addEventListener('resize', this._onResize.bind(this));
   }
@@ -186,6 +301,139 @@ class GCA2DRenderer {
     return(this._config);
   }
 
+  /*!
+   * @function	getModel
+   * @return	The renderer independent model.
+   * @brief	Gets the model which holds the configuration, paths and
+   * 		landmarks.
+   */
+  getModel() {
+    return(this._model);
+  }
+
+  /*!
+   * @function	on
+   * @brief	Adds a listener function for the given event type.
+   * @param	type		Event type.
+   * @param	fn		Listener function which is called with a
+   * 				single event object.
+   */
+  on(type, fn) {
+    this._events.on(type, fn);
+  }
+
+  /*!
+   * @function	off
+   * @brief	Removes a listener function for the given event type or
+   * 		all listeners for the type if the function is undefined.
+   * @param	type		Event type.
+   * @param	fn		Listener function.
+   */
+  off(type, fn) {
+    this._events.off(type, fn);
+  }
+
+  /*!
+   * @function	setTooltip
+   * @brief	Enables or disables the tooltip which is shown next to
+   * 		the pointer when it hovers over a landmark (the full
+   * 		anatomy name), a marker (its text) or a track (its id).
+   * @param	enable		True to enable the tooltip.
+   */
+  setTooltip(enable) {
+    this._hover.setTooltipEnabled(enable);
+  }
+
+  /*!
+   * @function	setHoverInterval
+   * @brief	Sets the minimum time between hover events (and tooltip
+   * 		updates), the default is 100ms.
+   * @param	ms		Interval in milliseconds.
+   */
+  setHoverInterval(ms) {
+    this._hover.setInterval(ms);
+  }
+
+  /*!
+   * @function	setMarkerClustering
+   * @brief	Enables or disables marker clustering. When enabled,
+   * 		markers which are within the clustering radius (in screen
+   * 		pixels) of each other at the current zoom are hidden and
+   * 		shown as a single badge with a count of the markers. The
+   * 		clusters are updated as the canvas is zoomed and markers
+   * 		are added or removed, so they expand into individual
+   * 		markers on zooming in.
+   * @param	enable		True to enable clustering.
+   * @param	opt		Optional object with the fields: radius
+   * 				(clustering radius, default 30 pixels),
+   * 				size (badge radius, default 12 pixels) and
+   * 				color (badge colour).
+   */
+  setMarkerClustering(enable, opt) {
+    let cl = this._clustering;
+    cl.enabled = Boolean(enable);
+    if(this._isObject(opt)) {
+      if(opt.radius > 0) {
+        cl.radius = opt.radius;
+      }
+      if(opt.size > 0) {
+        cl.size = opt.size;
+      }
+      if(this._isDefined(opt.color)) {
+        cl.color = this._parseColor(opt.color);
+      }
+    }
+    this._updateClusters();
+  }
+
+  /*!
+   * @function	setMarkerEditMode
+   * @brief	Enables or disables marker edit mode. In edit mode
+   * 		markers may be dragged with the first mouse button, the
+   * 		marker following the closest point on the midline to the
+   * 		pointer. A markermoved event is emitted when the marker
+   * 		is dropped. Dragging elsewhere pans the canvas as usual.
+   * @param	enable		True to enable marker edit mode.
+   */
+  setMarkerEditMode(enable) {
+    this._marker_edit = Boolean(enable);
+  }
+
+  /*!
+   * @function	getMarkerEditMode
+   * @return	True if marker edit mode is enabled.
+   * @brief	Checks whether marker edit mode is enabled.
+   */
+  getMarkerEditMode() {
+    return(this._marker_edit);
+  }
+
+  /*!
+   * @function	setLoadErrorPolicy
+   * @brief	Sets what happens when a file fails to load. The policy
+   * 		may be:
+   * 		  - 'fail' -     The whole load is abandoned, the
+   * 		                 visualisation is not created and the post
+   * 		                 load function is not called (default).
+   * 		  - 'continue' - Loading continues without the resource.
+   * 		In both cases a loaderror event is emitted.
+   * @param	policy		Either 'fail' or 'continue'.
+   */
+  setLoadErrorPolicy(policy) {
+    if((policy === 'fail') || (policy === 'continue')) {
+      this._load_error_policy = policy;
+    }
+  }
+
+  /*!
+   * @function	getLoadErrorPolicy
+   * @return	The load error policy.
+   * @brief	Gets the load error policy.
+   */
+  getLoadErrorPolicy() {
+    return(this._load_error_policy);
+  }
+
   /*!
    * @function	loadModels
    * @brief	Loads all files required by the config file.
@@ -258,49 +506,20 @@ class GCA2DRenderer {
    * @return	The closest object in the required group or undefined.
    * @brief	Gets the closest object to a given position and with a given
    * 		tolerance where the object is in the given group.
+   * 		Markers and tracks are kept in spatial indices which are
+   * 		updated as they are added and removed, with the distance
+   * 		to a track being that to the closest of its segments.
    * @parapm	grp	The group, should be either MARKERS or TRACKS.
    * @param	pos	Position as a Fabric.js point.
    * @param	tol	Tolerance distance.
    */
   getClosestObj(grp, pos, tol) {
-    let delMin = undefined;
     let objMin = undefined;
-    let tol2 = tol * tol;
-    let objs = this.findAllDispObj(grp, undefined);
-    for(let i = 0; i < objs.length; ++i) {
-      let obj = objs[i][1];
-      switch(grp) {
-        case 'MARKERS':
-          if(this._isDefined(obj.gca_position)) {
-	    let t = [pos.x - obj.gca_position.x, pos.y - obj.gca_position.y];
-	    let del = t[0] * t[0] + t[1] * t[1];
-	    if((del < tol2) &&
-	       ((typeof objMin === 'undefined') || (del < delMin))) {
-		objMin = obj;
-		delMin = del;
-	    }
-	  }
-	  break;
-	case 'TRACKS':
-	  if((pos.x > obj.left - tol) &&
-	     (pos.y > obj.top - tol) &&
-	     (pos.x < obj.left + obj.width + tol) &&
-	     (pos.y < obj.top  + obj.height + tol)) {
-	    // Is near bounding box of the track so check points
-	    for(let j = 0; j < obj.points.length; ++j) {
-	      let p = obj.points[j];
-	      let t = [pos.x - p.x, pos.y - p.y];
-	      let del = t[0] * t[0] + t[1] * t[1];
-              if((del < tol2) && 
-                 ((typeof objMin === 'undefined') || (del < delMin))) {
-	        objMin = obj;
-                delMin = del;
-	      }
-	    }
-	  }
-	  break;
-	default:
-	  break;
+    let idx = this._obj_index[grp];
+    if(this._isDefined(idx)) {
+      let nr = idx.nearest(pos, tol);
+      if(this._isDefined(nr) && (nr.distance < tol)) {
+        objMin = nr.key;
       }
     }
     return(objMin);
@@ -309,61 +528,431 @@ class GCA2DRenderer {
   /*!
    * @function  addTrack
    * @return	The track object or undefined on error.
-   * @brief     Adds a track (line parallel to a midline path).
+   * @brief     Adds a track (line parallel to a midline path). In the
+   *            stack track layout (see setTrackLayout()) the given
+   *            distance and angle are kept but the track is drawn in a
+   *            lane assigned by the layout.
    * @param     track_id        Reference id string for the track.
    * @param     path_id         Midline path id.
    * @param     start_idx       Index along the path at which the track starts.
    * @param     end_idx         Index along the path at which the track ends.
-   * @param     col             Colour for the track.
+   * @param     col             Colour for the track, or for a track
+   *                            coloured by values an object with the
+   *                            fields values, colormap and range (see
+   *                            addValueTrack()), or for a ribbon an
+   *                            object with the fields color, ribbon
+   *                            (values, mode and scale) and optionally
+   *                            values, colormap and range (see
+   *                            addRibbonTrack()).
    * @param     dist            Distance from the midline for the track.
    * @param     ang             Angle for the track with respect to the
    *                            midline's reference normal in radians.
    *                            In 2D this is just either a positive or
    *                            negative value representing the two sides
    *                            of the midline.
+   * @param     end_path_id     Optional midline path id of the end of
+   *                            the track, if given and not the same as
+   *                            path_id the track follows the route
+   *                            between the paths through their junctions.
    */
-  addTrack(track_id, path_id, start_idx, end_idx, col, dist, ang) {
+  addTrack(track_id, path_id, start_idx, end_idx, col, dist, ang,
+           end_path_id) {
     let trk = undefined;
-    let path = undefined;
-    let path_idx = this._pathIdxFromID(path_id);
-    if(path_idx !== undefined) {
-      path = this._config.paths[path_idx];
-      if(start_idx > end_idx) {
-        let i = start_idx;
-        start_idx = end_idx;
-        end_idx = i;
-      }
-      if(start_idx < 0) {
-        start_idx = 0;
-      }
-      if(end_idx >= path.n) {
-        end_idx = path.n - 1;
-      }
-      let pts = [];
-      let tgt = [];
-      let sd = (ang < 0)? -dist: dist;
-      for(let i = start_idx; i <= end_idx; ++i) {
-	// TODO Have assumed consistent tangents and normals?
-        let pp = path.points[i];
-        let pt = path.tangents[i];
-	let pr = {x: -pt.y, y: pt.x}; 
-        pts.push({x: pp.x + (sd * pr.x),
-                  y: pp.y + (sd * pr.y)});
-        tgt.push({x: pt.x, y: pt.y});
+    let path_idx = this._model.pathIdxFromID(path_id);
+    let end_path_idx = this._isDefined(end_path_id)?
+                       this._model.pathIdxFromID(end_path_id): path_idx;
+    let ri = undefined;
+    if((path_idx !== undefined) && (end_path_idx !== undefined)) {
+      ri = this._model.routeIndices(path_idx, start_idx,
+                                    end_path_idx, end_idx);
+    }
+    if(this._isDefined(ri) && (ri.length > 0)) {
+      if(path_idx === end_path_idx) {
+        start_idx = ri[0][1];
+        end_idx = ri[ri.length - 1][1];
+      }
+      this._track_defs[track_id] = {
+	  id: track_id,
+	  path: path_id,
+	  start_idx: start_idx,
+	  end_idx: end_idx,
+	  color: col,
+	  dist: dist,
+	  ang: ang,
+	  end_path: this._config.paths[end_path_idx].id};
+      if(this._track_layout.mode === 'stack') {
+        this._layoutTracks();
+      } else {
+        this._drawTrack(track_id, dist, ang);
       }
+      trk = this._tracks[track_id];
+      this._events.emit('trackadded', {
+	  id: track_id,
+	  path: path_id,
+	  start_idx: start_idx,
+	  end_idx: end_idx,
+	  color: col,
+	  dist: dist,
+	  ang: ang,
+	  end_path: this._config.paths[end_path_idx].id});
+    }
+    return(trk);
+  }
+
+  /*!
+   * @function	setTrackLayout
+   * @brief	Sets how tracks are placed about the midline and lays out
+   * 		all the tracks again. In the manual layout (the default)
+   * 		each track is drawn at the distance and side given when it
+   * 		was added. In the stack layout tracks are assigned lanes,
+   * 		with tracks which cover overlapping ranges of a path being
+   * 		in different lanes, and the lanes alternate between the
+   * 		two sides of the midline at increasing distances from it.
+   * 		Tracks are laid out again as they are added and removed.
+   * @param	mode		Either 'manual' or 'stack'.
+   * @param	opt		Optional object with the fields: spacing
+   * 				(distance between lanes on the same side,
+   * 				default four times the widest path line
+   * 				width) and base (distance of the first lanes
+   * 				from the midline, default the spacing).
+   */
+  setTrackLayout(mode, opt) {
+    let lyt = this._track_layout;
+    if((mode !== 'manual') && (mode !== 'stack')) {
+      throw new Error('GCA2DRenderer unknown track layout ' + mode + '.');
+    }
+    lyt.mode = mode;
+    if(this._isObject(opt) && (opt !== null)) {
+      ['spacing', 'base'].forEach((k) => {
+        if(k in opt) {
+	  lyt[k] = opt[k];
+	}
+      });
+    }
+    this._layoutTracks();
+  }
+
+  /*!
+   * @function	getTrackLayout
+   * @return	Object with the fields mode, spacing, base and lanes,
+   * 		lanes being an object keyed by track id with each track's
+   * 		lane, dist and ang (lane being undefined in the manual
+   * 		layout and dist and ang undefined for a track which has
+   * 		not been drawn).
+   * @brief	Gets the track layout (see setTrackLayout()).
+   */
+  getTrackLayout() {
+    let lyt = this._track_layout;
+    let lanes = {};
+    Object.keys(this._track_defs).forEach((id) => {
+      let trk = this._tracks[id];
+      let drawn = this._isDefined(trk);
+      lanes[id] = {
+	lane: lyt.lanes[id],
+	dist: drawn? trk.gca_dist: undefined,
+	ang: drawn? trk.gca_ang: undefined};
+    });
+    return({
+      mode: lyt.mode,
+      spacing: this._laneSpacing(),
+      base: this._isDefined(lyt.base)? lyt.base: this._laneSpacing(),
+      lanes: lanes});
+  }
+
+  /*!
+   * @function	setTrackSmoothing
+   * @brief	Sets the number of smoothing passes applied to the curves
+   * 		of tracks (see _offsetCurve()) and redraws all the tracks.
+   * 		Smoothing rounds the corners left where loops are removed
+   * 		from tracks on tight bends.
+   * @param	passes		Number of smoothing passes, 0 (the
+   * 				default) for no smoothing.
+   */
+  setTrackSmoothing(passes) {
+    this._track_smoothing = (passes > 0)? Math.floor(passes): 0;
+    this._layoutTracks(true);
+  }
+
+  /*!
+   * @function	getTrackSmoothing
+   * @return	Number of smoothing passes.
+   * @brief	Gets the number of smoothing passes applied to the curves
+   * 		of tracks.
+   */
+  getTrackSmoothing() {
+    return(this._track_smoothing);
+  }
+
+  /*!
+   * @function	_layoutTracks
+   * @brief	Lays out all the tracks for the current track layout (see
+   * 		setTrackLayout()), redrawing those which have moved.
+   * @param	redraw	Optional flag, if true all the tracks are
+   * 			redrawn.
+   */
+  _layoutTracks(redraw) {
+    let lyt = this._track_layout;
+    let ids = Object.keys(this._track_defs);
+    let offs = ids.map((id) => {
+      let td = this._track_defs[id];
+      return({dist: td.dist, ang: td.ang});
+    });
+    lyt.lanes = {};
+    if(lyt.mode === 'stack') {
+      let lanes = this._model.assignLanes(
+          ids.map((id) => this._trackRoute(this._track_defs[id])));
+      let sp = this._laneSpacing();
+      let base = this._isDefined(lyt.base)? lyt.base: sp;
+      offs = lanes.map((l, k) => {
+	lyt.lanes[ids[k]] = l;
+        return({
+	  dist: base + (sp * Math.floor(l / 2)),
+	  ang: ((l % 2) === 0)? 1: -1});
+      });
+    }
+    ids.forEach((id, k) => {
+      let trk = this._tracks[id];
+      if(redraw || !this._isDefined(trk) ||
+         (trk.gca_dist !== offs[k].dist) || (trk.gca_ang !== offs[k].ang)) {
+        this._drawTrack(id, offs[k].dist, offs[k].ang);
+      }
+    });
+  }
+
+  /*!
+   * @function	_laneSpacing
+   * @return	Spacing between track lanes.
+   * @brief	Gets the track lane spacing, by default four times the
+   * 		widest path line width.
+   */
+  _laneSpacing() {
+    let sp = this._track_layout.spacing;
+    if(!this._isDefined(sp)) {
+      let w = 1;
+      if(this._isDefined(this._config) && this._isArray(this._config.paths)) {
+	this._config.paths.forEach((p) => {
+	  if(this._isDefined(p.display_props) &&
+	     (p.display_props.line_width > w)) {
+	    w = p.display_props.line_width;
+	  }
+	});
+      }
+      sp = 4 * w;
+    }
+    return(sp);
+  }
+
+  /*!
+   * @function	_trackRoute
+   * @return	Route indices (see GCAModel.routeIndices()) or undefined.
+   * @brief	Gets the route of a track.
+   * @param	td		Track parameters as kept in _track_defs.
+   */
+  _trackRoute(td) {
+    let ri = undefined;
+    let path_idx = this._model.pathIdxFromID(td.path);
+    let end_path_idx = this._model.pathIdxFromID(td.end_path);
+    if((path_idx !== undefined) && (end_path_idx !== undefined)) {
+      ri = this._model.routeIndices(path_idx, td.start_idx,
+                                    end_path_idx, td.end_idx);
+    }
+    return(ri);
+  }
+
+  /*!
+   * @function	_drawTrack
+   * @brief	Makes the display objects of a track, replacing any it
+   * 		already has.
+   * @param	track_id	Reference id string for the track.
+   * @param	dist		Distance from the midline for the track.
+   * @param	ang		Side of the midline (see addTrack()).
+   */
+  _drawTrack(track_id, dist, ang) {
+    let td = this._track_defs[track_id];
+    let ri = this._trackRoute(td);
+    this._undrawTrack(track_id);
+    if(this._isDefined(ri) && (ri.length > 0)) {
+      let trk = undefined;
+      let col = td.color;
+      let path = this._config.paths[this._model.pathIdxFromID(td.path)];
+      let pts = undefined;
+      let vals = undefined;
+      let sd = (ang < 0)? -dist: dist;
+      let base = this._routePoints(ri);
+      let n = base.points.length;
       let pdp = path.display_props;
-      trk = this._makePath(pts, track_id, {
-	    color: col,
+      let prop = {
+	    color: (this._isObject(col) && (col !== null))? col.color: col,
 	    width: pdp.line_width,
 	    opacity: pdp.opacity,
-	    visible: pdp.is_visible});
+	    visible: pdp.is_visible};
+      let cm = this._trackColorMap(col);
+      let cols = this._segmentColors(n, prop.color, cm,
+          this._isDefined(cm)? cm.resample(col.values, n): undefined);
+      let rbn = this._trackRibbon(col, sd, n);
+      if(this._isDefined(rbn)) {
+        let o0 = rbn.offsets[0];
+	let o1 = rbn.offsets[1];
+	pts = this._offsetCurve(base, o0.map((o, k) => (o + o1[k]) / 2));
+	trk = this._makeRibbon(this._offsetCurve(base, o0),
+	                       this._offsetCurve(base, o1), cols, track_id, prop);
+	trk['gca_half_widths'] = o0.map((o, k) => Math.abs(o1[k] - o) / 2);
+	trk['gca_width'] = 2 * this._max(trk.gca_half_widths);
+	vals = rbn.values;
+      } else {
+        pts = this._offsetCurve(base, new Array(n).fill(sd));
+	if(this._isDefined(cm)) {
+	  trk = this._makeSegmentedPath(pts, cols, track_id, prop);
+	  vals = cm.resample(col.values, n);
+	} else {
+	  trk = this._makePath(pts, track_id, prop);
+	}
+      }
+      trk['gca_values'] = vals;
+      trk['gca_dist'] = dist;
+      trk['gca_ang'] = ang;
       trk['name'] = this.getTrackName(track_id);
       trk['gca_group'] = 'TRACKS';  // Replace PATHS
       this._tracks[track_id] = trk;
       this._tracks_grp.add(trk);
       this._canvas.moveTo(trk, this._dispLayers['TRACKS']);
+      this._obj_index.TRACKS.addPolyline(trk, pts);
     }
-    return(trk);
+  }
+
+  /*!
+   * @function	_undrawTrack
+   * @brief	Removes the display objects of a track.
+   * @param	track_id	Reference id string for the track.
+   */
+  _undrawTrack(track_id) {
+    let trk = this._tracks[track_id];
+    if(this._isDefined(trk)) {
+      this._obj_index.TRACKS.remove(trk);
+      this._tracks_grp.remove(trk);
+      this._canvas.remove(trk);
+      delete this._tracks[track_id];
+    }
+  }
+
+  /*!
+   * @function	addValueTrack
+   * @return	Legend descriptor for the track's colours (see
+   * 		GCAColorMap.legend()) or undefined on error.
+   * @brief	Adds a track (as addTrack()) which is coloured by values,
+   * 		eg gene expression or cell counts, along it. The values are
+   * 		taken to be equally spaced from the start of the track to
+   * 		its end and are interpolated between. Missing values (not
+   * 		finite numbers) are shown in the colour map's missing
+   * 		colour.
+   * @param	track_id	Reference id string for the track.
+   * @param	path_id		Midline path id.
+   * @param	start_idx	Index along the path at which the track
+   * 				starts.
+   * @param	end_idx		Index along the path at which the track
+   * 				ends.
+   * @param	values		Array of values.
+   * @param	colormap	Colour map name or array of colours (see
+   * 				GCAColorMap) or an object with the fields
+   * 				map (name or colours) and range ([min, max],
+   * 				by default the range of the values).
+   * @param	dist		Distance from the midline for the track.
+   * @param	ang		Side of the midline (see addTrack()).
+   * @param	end_path_id	Optional midline path id of the end of the
+   * 				track.
+   */
+  addValueTrack(track_id, path_id, start_idx, end_idx, values, colormap,
+                dist, ang, end_path_id) {
+    let col = {values: values.slice(), colormap: colormap};
+    if(this._isObject(colormap) && !this._isArray(colormap)) {
+      col.colormap = colormap.map;
+      col.range = colormap.range;
+    }
+    let trk = this.addTrack(track_id, path_id, start_idx, end_idx, col,
+                            dist, ang, end_path_id);
+    return(this._isDefined(trk)? this.getTrackLegend(track_id): undefined);
+  }
+
+  /*!
+   * @function	addRibbonTrack
+   * @return	Ribbon descriptor, an object with the fields mode, scale,
+   * 		min and max (range of the values) and legend (see
+   * 		getTrackLegend(), undefined unless coloured by the
+   * 		values), or undefined on error.
+   * @brief	Adds a track (as addTrack()) drawn as a filled ribbon
+   * 		whose width or offset varies with values along it. The
+   * 		values are taken to be equally spaced from the start of
+   * 		the track to its end and are interpolated between. In
+   * 		width mode the ribbon is centred on the track's offset
+   * 		from the midline with a width of scale * |value|, while
+   * 		in offset mode it is filled between the track's offset
+   * 		and an edge at a further scale * value (so negative
+   * 		values are toward the midline). Picking a ribbon gives
+   * 		the value under the position (see pick()).
+   * @param	track_id	Reference id string for the track.
+   * @param	path_id		Midline path id.
+   * @param	start_idx	Index along the path at which the track
+   * 				starts.
+   * @param	end_idx		Index along the path at which the track
+   * 				ends.
+   * @param	values		Array of values.
+   * @param	col		Colour for the ribbon, unused if coloured by
+   * 				the values.
+   * @param	dist		Distance from the midline for the track.
+   * @param	ang		Side of the midline (see addTrack()).
+   * @param	end_path_id	Optional midline path id of the end of the
+   * 				track.
+   * @param	opt		Optional object with the fields: mode
+   * 				('width', the default, or 'offset'), scale
+   * 				(distance per unit value, default 1) and
+   * 				colormap (to colour the ribbon by the values,
+   * 				as for addValueTrack()).
+   */
+  addRibbonTrack(track_id, path_id, start_idx, end_idx, values, col,
+                 dist, ang, end_path_id, opt) {
+    let rtn = undefined;
+    let o = this._isObject(opt)? opt: {};
+    let spec = {
+      color: col,
+      ribbon: {
+	values: values.slice(),
+	mode: (o.mode === 'offset')? 'offset': 'width',
+	scale: this._isDefined(o.scale)? o.scale: 1.0}};
+    if(this._isDefined(o.colormap)) {
+      spec.values = spec.ribbon.values;
+      spec.colormap = o.colormap;
+      if(this._isObject(o.colormap) && !this._isArray(o.colormap)) {
+	spec.colormap = o.colormap.map;
+	spec.range = o.colormap.range;
+      }
+    }
+    let trk = this.addTrack(track_id, path_id, start_idx, end_idx, spec,
+                            dist, ang, end_path_id);
+    if(this._isDefined(trk)) {
+      let cm = new GCAColorMap();
+      cm.fitRange(values);
+      let rng = cm.getRange();
+      rtn = {
+	mode: spec.ribbon.mode,
+	scale: spec.ribbon.scale,
+	min: rng[0],
+	max: rng[1],
+	legend: this.getTrackLegend(track_id)};
+    }
+    return(rtn);
+  }
+
+  /*!
+   * @function	getTrackLegend
+   * @return	Legend descriptor (see GCAColorMap.legend()) or undefined
+   * 		if the track is not coloured by values.
+   * @brief	Gets the legend descriptor of a track coloured by values.
+   * @param	track_id	Reference id string of the track.
+   */
+  getTrackLegend(track_id) {
+    let td = this._track_defs[track_id];
+    let cm = this._isDefined(td)? this._trackColorMap(td.color): undefined;
+    return(this._isDefined(cm)? cm.legend(): undefined);
   }
 
   /*!
@@ -372,9 +961,15 @@ class GCA2DRenderer {
    * @param     track_id            Reference id string of the track.
    */
   removeTrack(track_id) {
-    let trk = this.findDispObj('TRACKS', track_id);
-    this._tracks_grp.remove(trk);
-    this._canvas.remove(trk);
+    let trk = this.findDispObj('TRACKS', track_id)[1];
+    if(this._isDefined(trk)) {
+      this._undrawTrack(track_id);
+      delete this._track_defs[track_id];
+      if(this._track_layout.mode === 'stack') {
+        this._layoutTracks();
+      }
+      this._events.emit('trackremoved', {id: track_id});
+    }
   }
 
   /*!
@@ -382,7 +977,9 @@ class GCA2DRenderer {
    * @brief	Sets the current position along a path. This is defined
    * 		by a proportion from the first to the second given landmark.
    * 		The position of the ROI is similarly defined using it's
-   * 		start and end points.
+   * 		start and end points. Positions are not rounded to the
+   * 		path's points, the cursor and ROI ends are interpolated
+   * 		between them.
    * @param	pmk0		Id of the first current position landmark.
    * @param	pmk1		Id of the second current position landmark.
    * @param	pdt		Proportional distance from the first landmark
@@ -399,70 +996,225 @@ class GCA2DRenderer {
   setPosition(pmk0, pmk1, pdt,
   			      smk0, smk1, sdt,
 			      emk0, emk1, edt) {
-    let p = this._positionOnPath(pmk0, pmk1, pdt);
-    let rs = this._positionOnPath(smk0, smk1, sdt);
-    let re = this._positionOnPath(emk0, emk1, edt);
-    this._updatePosition(p[0], p[1], rs[1], re[1]);
+    let p = this._model.parameterOnPath(pmk0, pmk1, pdt);
+    let rs = this._model.parameterOnPath(smk0, smk1, sdt);
+    let re = this._model.parameterOnPath(emk0, emk1, edt);
+    this._updatePosition(p[0], p[1], rs[1], re[1], [rs[0], re[0]]);
   }
 
-    /*!
-   * @function  _positionOnPath
-   * @return    Array of path index and position index along the path.
-   * @brief     Finds the position index on a path which is dst fraction
-   * 		from the landmark with id0 toward landmark with id1.
-   * 		Both landmarks must be on the same path.
-   * @param     lmid0           First landmark with id0.
-   * @param     lmid1           Second landmark with id1.
-   * @param     dst             Proportional distance.
-   */
-  _positionOnPath(lmid0, lmid1, dst) {
-    let path = undefined;
-    let index = undefined;
-    let path_index = undefined;
-    let mi = [-1, -1];
-    let mpi = [-1, -1];
-    let mp = [[], []];
-    let li = 0;
-    let ll = this._config.landmarks.length;
-    // Find landmarks and paths with matching ids
-    while(((mi[0] < 0) || (mi[1] < 0)) && li < ll) {
-      let lmk = this._config.landmarks[li];
-      if(lmk.id === lmid0) {
-        mi[0] = li;
-        mp[0] = lmk.paths;
-      }
-      if(lmk.id == lmid1) {
-        mi[1] = li;
-        mp[1] = lmk.paths;
-      }
-      ++li;
-    }
-    // If matching landmarks found
-    if((mi[0] > -1) && (mi[1] > -1)) {
-      // Check if landmarks share a path
-      li = 0;
-      ll = mp[0].length;
-      let jl = mp[1].length;
-      while((path === undefined) && li < ll) {
-        let ji = 0;
-        for(let ji = 0; ji < jl; ++ji) {
-          if(mp[0][li] === mp[1][ji]) {
-            mpi[0] = li;
-            mpi[1] = ji;
-            path = mp[0][li];
-          }
+  /*!
+   * @function	getPosition
+   * @return	An array [pmk0, pmk1, pdt] with
+   *              - pmk0 - Index of the lower landmark enclosing the given
+   *                       path index.
+   *              - pmk1 - Index of the upper landmark enclosing the given
+   *                       path index.
+   *              - pdt -  Proportional distance from the first landmark
+   *                       to the second.
+   * 		or undefined if the enclosing landmarks can not be found.
+   * @brief	Finds the landmarks either side of the given path index
+   * 		for the given path along with the proportional distance from
+   * 		the first landmark to the second. This is the inverse of
+   * 		setPosition().
+   * @param	path		The path id.
+   * @param	path_idx	Index along the path.
+   */
+  getPosition(path, path_idx) {
+    return(this._model.getPosition(path, path_idx));
+  }
+
+  /*!
+   * @function	getCurrentPosition
+   * @return	Object with the fields cursor, roi_start and roi_end,
+   * 		each of which is either a landmark relative position (see
+   * 		GCAModel.landmarkPosition()) or undefined if the position
+   * 		is not enclosed by landmarks.
+   * @brief	Gets the current position and ROI in the landmark
+   * 		coordinate system.
+   */
+  getCurrentPosition() {
+    return({
+      cursor: this._model.landmarkPosition(this._curPath, this._curPathIdx),
+      roi_start: this._model.landmarkPosition(this._roiPath[0],
+                                              this._roiIdx[0]),
+      roi_end: this._model.landmarkPosition(this._roiPath[1],
+                                            this._roiIdx[1])});
+  }
+
+  /*!
+   * @function	setPositionByDistance
+   * @brief	Sets the current position and ROI using distances along
+   * 		the path from landmarks (see getDistanceUnits()).
+   * 		Positive distances are toward the end of the path and
+   * 		negative distances toward it's start.
+   * @param	pmk		Id of the current position landmark.
+   * @param	pdst		Distance of the current position from it's
+   * 				landmark.
+   * @param	smk		Id of the start of ROI landmark.
+   * @param	sdst		Distance of the start of ROI from it's
+   * 				landmark.
+   * @param	emk		Id of the end of ROI landmark.
+   * @param	edst		Distance of the end of ROI from it's
+   * 				landmark.
+   */
+  setPositionByDistance(pmk, pdst, smk, sdst, emk, edst) {
+    let p = this._model.positionFromLandmark(pmk, pdst);
+    let rs = this._model.positionFromLandmark(smk, sdst);
+    let re = this._model.positionFromLandmark(emk, edst);
+    if(this._isDefined(p[0]) && this._isDefined(rs[0]) &&
+       this._isDefined(re[0])) {
+      this._updatePosition(p[0], p[1], rs[1], re[1], [rs[0], re[0]]);
+    }
+  }
+
+  /*!
+   * @function	moveCursor
+   * @brief	Moves the current position a distance along the path
+   * 		(see getDistanceUnits()), leaving the ROI unchanged. When
+   * 		moved past the last landmark of the path, if that
+   * 		landmark is shared with another path, the position
+   * 		crosses to the other path (see GCAModel.advance()).
+   * @param	dist		Distance to move, positive distances are
+   * 				toward the end of the path.
+   */
+  moveCursor(dist) {
+    let p = this._model.advance(this._curPath, this._curPathIdx, dist);
+    if(this._isDefined(p[0])) {
+      this._updatePosition(p[0], p[1], this._roiIdx[0], this._roiIdx[1],
+                           this._roiPath);
+    }
+  }
+
+  /*!
+   * @function	getDistance
+   * @return	Signed distance or undefined if the positions are not
+   * 		connected by loaded paths.
+   * @brief	Computes the distance along a path, or the route between
+   * 		paths, from the first position to the second (see
+   * 		getDistanceUnits() and GCAModel.distance()). The distance
+   * 		is negative if the path or route runs backwards.
+   * @param	path0		GCA id of the path of the first position.
+   * @param	idx0		Position along the path of the first
+   * 				position.
+   * @param	path1		GCA id of the path of the second position.
+   * @param	idx1		Position along the path of the second
+   * 				position.
+   */
+  getDistance(path0, idx0, path1, idx1) {
+    return(this._model.distance(this._model.pathIdxFromID(path0), idx0,
+                                this._model.pathIdxFromID(path1), idx1));
+  }
+
+  /*!
+   * @function	getLandmarkDistance
+   * @return	Signed distance or undefined if the landmarks are not
+   * 		connected by loaded paths.
+   * @brief	Computes the distance along a path, or the route between
+   * 		paths, from the first landmark to the second (see
+   * 		getDistanceUnits() and GCAModel.landmarkDistance()). The
+   * 		distance is negative if the path or route runs
+   * 		backwards.
+   * @param	lmid0		First landmark id.
+   * @param	lmid1		Second landmark id.
+   */
+  getLandmarkDistance(lmid0, lmid1) {
+    return(this._model.landmarkDistance(lmid0, lmid1));
+  }
+
+  /*!
+   * @function	getDistanceUnits
+   * @return	Distance units or undefined.
+   * @brief	Gets the units of distances, these are given by the
+   * 		configuration's distance_units and voxel_size. If the
+   * 		units are undefined then distances are in model
+   * 		coordinates.
+   */
+  getDistanceUnits() {
+    return(this._model.getDistanceUnits());
+  }
+
+  /*!
+   * @function	getState
+   * @return	JSON serialisable object with the fields:
+   * 		  - type -       Renderer type ('GCA2DRenderer').
+   * 		  - version -    Renderer version.
+   * 		  - path -       GCA id of the current path.
+   * 		  - index -      Index of the current position on the path.
+   * 		  - roi -        Array of the start and end indices of the
+   * 		                 ROI.
+   * 		  - roi_paths -  Array of the GCA ids of the paths of the
+   * 		                 start and end of the ROI.
+   * 		  - markers -    Array of markers, each with the fields id,
+   * 		                 position ({x, y}), path (GCA id of the
+   * 		                 marker's path), index (index along the
+   * 		                 path), text, props, metadata and visible.
+   * 		  - tracks -     Array of tracks, each with the fields id,
+   * 		                 path, start_idx, end_idx, color, dist, ang
+   * 		                 and end_path.
+   * 		  - viewport_transform - The canvas viewport transform
+   * 		                 (zoom and pan).
+   * @brief	Gets a snapshot of the view state which may be restored
+   * 		using setState().
+   */
+  getState() {
+    let pd = this._config.paths[this._curPath];
+    let state = {
+      type: this.type,
+      version: this.version,
+      path: pd.id,
+      index: this._curPathIdx,
+      roi: [this._roiIdx[0], this._roiIdx[1]],
+      roi_paths: this._roiPath.map((p) => this._config.paths[p].id),
+      markers: Object.values(this._marker_defs),
+      tracks: Object.values(this._track_defs),
+      viewport_transform: this._canvas.viewportTransform.slice()};
+    // Copy so that the snapshot is detached from the renderer
+    return(JSON.parse(JSON.stringify(state)));
+  }
+
+  /*!
+   * @function	setState
+   * @brief	Restores a view state as returned by getState(). All
+   * 		existing markers and tracks are replaced by those of the
+   * 		state. An Error is thrown if the state is not from a
+   * 		GCA2DRenderer.
+   * @param	state		View state.
+   */
+  setState(state) {
+    if(state.type !== this.type) {
+      throw new Error('GCA2DRenderer can not restore a state of type ' +
+                      state.type + '.');
+    }
+    Object.keys(this._marker_defs).forEach((id) => this.removeMarker(id));
+    Object.keys(this._track_defs).forEach((id) => this.removeTrack(id));
+    let path_idx = this._model.pathIdxFromID(state.path);
+    if(this._isDefined(path_idx)) {
+      let roi_paths = this._isArray(state.roi_paths)?
+          state.roi_paths.map((id) => this._model.pathIdxFromID(id)):
+          undefined;
+      this._updatePosition(path_idx, state.index, state.roi[0], state.roi[1],
+                           roi_paths);
+    }
+    state.tracks.forEach((t) => {
+      this.addTrack(t.id, t.path, t.start_idx, t.end_idx, t.color, t.dist,
+                    t.ang, t.end_path);
+    });
+    state.markers.forEach((m) => {
+      // Restored on the marker's own path, which may not be the current path
+      let mpi = this._model.pathIdxFromID(m.path);
+      if(this._isDefined(mpi)) {
+        this._addMidlineMarker(m.id, {x: m.position.x, y: m.position.y,
+                                      i: m.index}, mpi, m.text, m.props,
+                               m.metadata);
+        if(m.visible === false) {
+          this.updateMarker(m.id, {visible: false});
         }
-        ++li;
-      }
-      if(path !== undefined) {
-	path_index = this._pathIdxFromID(path);
-        let i0 = this._config.landmarks[mi[0]].position[mpi[0]];
-        let i1 = this._config.landmarks[mi[1]].position[mpi[1]];
-        index = i0 + Math.floor((i1 - i0) * dst);
-        index = this._clamp(index, 0, this._config.paths[path_index].n - 1);
       }
+    });
+    if(this._isArray(state.viewport_transform)) {
+      this._canvas.setViewportTransform(state.viewport_transform.slice());
     }
-    return([path_index, index]);
+    this._renderAll();
   }
 
     /*!
@@ -470,24 +1222,38 @@ class GCA2DRenderer {
    * @brief     Update the rendering for a new current path position or
    *            new highlighted ROI.
    * @param     path            Index of path for current position.
-   * @param     pathIdx         Index of position on path for current position.
-   * @param     roiIdxSrt       Index of position on path for start of ROI.
-   * @param     roiIdxEnd       Index of position on path for end of ROI.
+   * @param     pathIdx         Position on path for current position, this
+   *                            may be fractional (see GCAModel.pointAt()).
+   * @param     roiIdxSrt       Position on path for start of ROI.
+   * @param     roiIdxEnd       Position on path for end of ROI.
+   * @param     roiPath         Optional array of the path indices of the
+   *                            start and end of the ROI, if not given
+   *                            the ROI is on the current path.
    */
-  _updatePosition(path, pathIdx, roiIdxSrt, roiIdxEnd) {
+  _updatePosition(path, pathIdx, roiIdxSrt, roiIdxEnd, roiPath) {
+    let pd = this._config.paths[path];
+    if(!this._isDefined(pd) || !this._isDefined(pd.points)) {
+      return; // Invalid path or path failed to load
+    }
+    let rp = this._roiPaths(path, roiPath);
+    let pos_chg = (path !== this._curPath) || (pathIdx !== this._curPathIdx);
     this._curPath = path;
     this._curPathIdx = pathIdx;
-    let pd = this._config.paths[this._curPath];
     if(roiIdxSrt < 0) {
       roiIdxSrt = 0;
     }
-    if(roiIdxEnd >= pd.n) {
-      roiIdxEnd = pd.n - 1;
+    if(roiIdxEnd >= this._config.paths[rp[1]].n) {
+      roiIdxEnd = this._config.paths[rp[1]].n - 1;
     }
+    let roi_chg = pos_chg || (roiIdxSrt !== this._roiIdx[0]) ||
+                  (roiIdxEnd !== this._roiIdx[1]) ||
+                  (rp[0] !== this._roiPath[0]) || (rp[1] !== this._roiPath[1]);
     this._roiIdx = [roiIdxSrt, roiIdxEnd];
+    this._roiPath = rp;
     // Update cursor
-    let pos = pd.points[this._curPathIdx];
-    let tan = pd.tangents[this._curPathIdx];
+    let pa = this._model.pointAt(path, this._curPathIdx);
+    let pos = new fabric.Point(pa.point[0], pa.point[1]);
+    let tan = {x: pa.tangent[0], y: pa.tangent[1]};
     let rot = Math.floor(180 * Math.atan2(-tan.x, tan.y) / Math.PI);
     this._cursor.set({angle: rot});
     this._cursor.setPositionByOrigin(pos, 'center', 'center');
@@ -497,8 +1263,7 @@ class GCA2DRenderer {
     let gdp = this._config.display_props;
     this._model_grp.remove(this._roi);
     this._canvas.remove(this._roi);
-    this._roi = this._makePath(
-	cp.points.slice(this._roiIdx[0], this._roiIdx[1] + 1), cp.id, {
+    this._roi = this._makePath(this._roiPoints(), cp.id, {
 	    color: this._parseColor(gdp.path_roi.color),
 	    width: gdp.path_roi.line_width,
 	    opacity: gdp.path_roi.opacity,
@@ -508,6 +1273,43 @@ class GCA2DRenderer {
     this._canvas.moveTo(this._roi, this._dispLayers['ROI']);
     // Update display
     this._renderAll();
+    if(pos_chg) {
+      this._events.emit('positionchange', {
+	  path: pd.id,
+	  path_idx: path,
+	  index: pathIdx,
+	  position: this._model.landmarkPosition(path, pathIdx)});
+    }
+    if(roi_chg) {
+      this._events.emit('roichange', {
+	  path: pd.id,
+	  path_idx: path,
+	  start: this._roiIdx[0],
+	  end: this._roiIdx[1],
+	  start_path: this._config.paths[rp[0]].id,
+	  end_path: this._config.paths[rp[1]].id,
+	  start_position: this._model.landmarkPosition(rp[0], this._roiIdx[0]),
+	  end_position: this._model.landmarkPosition(rp[1], this._roiIdx[1])});
+    }
+  }
+
+  /*!
+   * @function	_roiPaths
+   * @return	Array of the path indices of the start and end of the ROI.
+   * @brief	Checks the paths of the ROI start and end, using the
+   * 		current path for any which are not given or which are not
+   * 		connected to each other.
+   * @param	path		Index of the current path.
+   * @param	roiPath		Array of path indices or undefined.
+   */
+  _roiPaths(path, roiPath) {
+    let rp = [path, path];
+    if(this._isArray(roiPath) && this._isDefined(roiPath[0]) &&
+       this._isDefined(roiPath[1]) &&
+       this._isDefined(this._model.route(roiPath[0], 0, roiPath[1], 0))) {
+      rp = [roiPath[0], roiPath[1]];
+    }
+    return(rp);
   }
 
   /*!
@@ -600,43 +1402,13 @@ class GCA2DRenderer {
     return(objs);
   }
 
-  /*!
-   * @function	_sortLandmarks
-   * @brief	Sorts the landmarks (in place) in the given configuration.
-   * 		This is done to ensure that landmarks are  ordered by their
-   * 		position along (combined) paths and that we know the number
-   * 		of landmarks.
-   * @param	cfg	Configuration.
-   */
-  _sortLandmarks(cfg) {
-    cfg.landmarks.sort((a, b) => {
-      return(a.position[0] - b.position[0]);
-    });
-  }
-
-  /*!
-   * @function  _findDisplayProps
-   * @brief	Find the global display properties and put them where
-   * 		easily accessed in the config.
-   */
-  _findDisplayProps() {
-    for(const i in this._config.model_objects) {
-      let mo = this._config.model_objects[i];
-      if(this._isDefined(mo) && this._isDefined(mo.group) &&
-         (mo.group === "GLOBAL_DISPLAY_PROP") &&
-	 this._isDefined(mo.display_props)) {
-        this._config['display_props'] = mo.display_props;
-      }
-    }
-  }
-
   /*!
    * @function	_loadIcons
    * @brief	Loads the base marker icons. Currently only one.
    */
   _loadIcons() {
     for(const k in this._icons) {
-      this._loadSvg(this._icons[k].url, (obj) => {
+      this._loadSvg(this._icons[k].url, 'icon', (obj) => {
 	this._icons[k].prg = obj;});
     }
   }
@@ -654,7 +1426,8 @@ class GCA2DRenderer {
 	  case 'REFERENCE_IMAGES':
 	    if(!this._isDefined(this._ref_image)) {
 	      this._loadImage(this._config.model_dir +
-	                      obj.filepath + '/' + obj.filename, (img) => {
+	                      obj.filepath + '/' + obj.filename, 'image',
+			      (img) => {
 	        this._ref_image = img;
 	      });
 	    }
@@ -663,7 +1436,8 @@ class GCA2DRenderer {
 	    if(!this._isDefined(this._anat_images[obj.id])) {
 	      const obj1 = obj; // Make sure obj passed to function is correct
 	      this._loadImage(this._config.model_dir +
-                              obj1.filepath + '/' + obj1.filename, (img) => {
+                              obj1.filepath + '/' + obj1.filename, 'image',
+			      (img) => {
 	        this._anat_images[obj1.id] = img;
 	      });
 	    }
@@ -692,14 +1466,12 @@ class GCA2DRenderer {
   _loadPaths() {
     for(let i = 0; i < this._config.paths.length; ++i) {
       let path = this._config.paths[i];
-      let path_data;
       const path1 = path; // Make sure path passed to function is correct
       this._loadJson(this._config.model_dir +
-                     path.filepath + '/' + path.spline_filename, (obj) => {
+                     path.filepath + '/' + path.spline_filename, 'spline',
+		     (obj) => {
 	path1['name'] = this.getPathName(path.id);
-	path1['n'] = obj.n;
-	path1['points'] = obj.points;
-	path1['tangents'] = obj.tangents;
+	this._model.setPathData(path1, obj);
 	let op = obj.points;
 	let ot = obj.tangents;
 	let np = [];
@@ -711,10 +1483,13 @@ class GCA2DRenderer {
 	path1['points'] = np;
 	path1['tangents'] = nt;
       });
-      this._loadJson(this._config.model_dir +
-                     path.filepath + '/' + path.map_filename, (obj) => {
-        path1['mapping'] = obj;
-      });
+      if(this._isDefined(path.map_filename)) {
+	this._loadJson(this._config.model_dir +
+		       path.filepath + '/' + path.map_filename, 'map',
+		       (obj) => {
+	  path1['mapping'] = obj;
+	});
+      }
     }
   }
 
@@ -736,9 +1511,9 @@ class GCA2DRenderer {
 	  let odp = obj.display_props;
 	  switch(obj.group) {
 	    case 'REFERENCE_IMAGES':
-	      if(pass == 0) {
+	      if((pass == 0) && this._isDefined(this._ref_image)) {
 		if(!this._isDefined(odp)) {
-		  obj['display_props'] = {};
+		  odp = obj['display_props'] = {};
 		}
 		if(!this._isDefined(odp.opacity)) {
 		  odp['opacity'] = 1.0;
@@ -766,7 +1541,7 @@ class GCA2DRenderer {
 		img = this._anat_images[obj.id];
 		if(this._isDefined(img)) {
 		  if(!this._isDefined(odp)) {
-		    obj['display_props'] = {};
+		    odp = obj['display_props'] = {};
 		  }
 		  if(!this._isDefined(odp.opacity)) {
 		    odp['opacity'] = 1.0;
@@ -802,6 +1577,9 @@ class GCA2DRenderer {
       for(let pi = 0; pi < this._config.paths.length; ++pi) {
 	let cp = this._config.paths[pi];
 	let pdp = cp.display_props;
+	if(!this._isDefined(cp.points)) {
+	  continue; // Path failed to load
+	}
         this._paths[pi] = this._makePath(cp.points, cp.id, {
 	    color: this._parseColor(pdp.color),
 	    width: pdp.line_width,
@@ -810,9 +1588,8 @@ class GCA2DRenderer {
         this._model_grp.add(this._paths[pi]);
 	this._canvas.moveTo(this._paths[pi], this._dispLayers['PATHS']);
       }
-      let cp = this._config.paths[this._curPathIdx];
-      this._roi = this._makePath(
-          cp.points.slice(this._roiIdx[0], this._roiIdx[1] + 1), cp.id, {
+      let cp = this._config.paths[this._curPath];
+      this._roi = this._makePath(this._roiPoints(), cp.id, {
 	      color: this._parseColor(dp.path_roi.color),
 	      width: dp.path_roi.line_width,
 	      opacity: dp.path_roi.opacity,
@@ -826,8 +1603,11 @@ class GCA2DRenderer {
       let lmks = this._config.landmarks;
       for(let il = 0; il < lmks.length; ++il) {
         let l = lmks[il];
-	let pi = this._pathIdxFromID(l.paths[0]);
+	let pi = this._model.pathIdxFromID(l.paths[0]);
 	let pth = this._config.paths[pi];
+	if(!this._isDefined(pth) || !this._isDefined(pth.points)) {
+	  continue; // Landmark's path failed to load
+	}
 	let pos = pth.points[l.position[0]];
 	let ana = l.anatomy[0];
 	let ldp = this._isDefined(l.display_props)? l.display_props: l;
@@ -860,6 +1640,11 @@ class GCA2DRenderer {
     this._cursor['gca_group'] = 'CURSOR';
     this._model_grp.add(this._cursor);
     this._canvas.moveTo(this._cursor, this._dispLayers['CURSOR']);
+    /* Use the path index cell size for the marker and track indices. */
+    let cs = this._model.getPathIndex().getCellSize();
+    for(const k in this._obj_index) {
+      this._obj_index[k].setCellSize(cs);
+    }
     /* Set canvas size. */
     this._onResize();
   }
@@ -877,7 +1662,7 @@ class GCA2DRenderer {
 	size: 11};
     let sz = this._defordef(prop, def, 'size');
     let color = this._parseColor(this._defordef(prop, def, 'color'));
-    let cursor = fabric.util.object.clone(this._icons['cursor'].prg);
+    let cursor = fabric.util.object.clone(this._getIcon('cursor'));
     cursor.scaleToHeight(sz);
     cursor.set({stroke: color,
 		strokeWidth: (sz / 6) + 1,
@@ -885,6 +1670,44 @@ class GCA2DRenderer {
     return(cursor);
   }
 
+  /*!
+   * @function	_getIcon
+   * @return	Icon object for cloning.
+   * @brief	Gets the icon with the given key. If the icon failed to
+   * 		load a simple substitute shape is returned.
+   * @param	key		Icon key.
+   */
+  _getIcon(key) {
+    let icn = this._icons[key].prg;
+    if(!this._isDefined(icn)) {
+      if(key === 'cursor') {
+	icn = new fabric.Triangle({width: 12, height: 12});
+      } else {
+	icn = new fabric.Circle({radius: 6});
+      }
+      this._icons[key].prg = icn;
+    }
+    return(icn);
+  }
+
+  /*!
+   * @function	_roiPoints
+   * @return	Array of fabric.js points.
+   * @brief	Gets the points of the ROI, which may span junctions
+   * 		between paths, with the ends interpolated between the
+   * 		paths' points. The array is empty if a path has not been
+   * 		loaded.
+   */
+  _roiPoints() {
+    let pts = [];
+    let sec = this._model.routeSection(this._roiPath[0], this._roiIdx[0],
+                                       this._roiPath[1], this._roiIdx[1]);
+    if(this._isDefined(sec)) {
+      pts = sec.points.map((p) => new fabric.Point(p[0], p[1]));
+    }
+    return(pts);
+  }
+
   /*!
    * @function	_makePath
    * @returns	New path for display.
@@ -915,6 +1738,313 @@ class GCA2DRenderer {
     return(pth);
   }
 
+  /*!
+   * @function	_routePoints
+   * @return	Object with the fields points and tangents, arrays of the
+   * 		(x, y) points and unit tangents.
+   * @brief	Gets the points and tangents of a path route. The path
+   * 		tangents are normalised and reversed where the route
+   * 		follows a path toward it's start (see
+   * 		GCAModel.routeDirections()), so that the side of the
+   * 		midline is consistent through junctions, and where a
+   * 		tangent has zero length the direction between the
+   * 		neighbouring points is used instead.
+   * @param	ri	Route indices (see GCAModel.routeIndices()).
+   */
+  _routePoints(ri) {
+    let rt = {points: [], tangents: []};
+    let n = ri.length;
+    for(let k = 0; k < n; ++k) {
+      let pp = this._config.paths[ri[k][0]].points[ri[k][1]];
+      rt.points.push({x: pp.x, y: pp.y});
+    }
+    let dir = this._model.routeDirections(ri);
+    let t0 = {x: 1, y: 0};
+    for(let k = 0; k < n; ++k) {
+      let pt = this._config.paths[ri[k][0]].tangents[ri[k][1]];
+      let t = {x: dir[k] * pt.x, y: dir[k] * pt.y};
+      let l = Math.sqrt((t.x * t.x) + (t.y * t.y));
+      if(!(l > 0)) {
+        let p0 = rt.points[Math.max(k - 1, 0)];
+        let p1 = rt.points[Math.min(k + 1, n - 1)];
+        t = {x: p1.x - p0.x, y: p1.y - p0.y};
+        l = Math.sqrt((t.x * t.x) + (t.y * t.y));
+      }
+      if(l > 0) {
+        t = {x: t.x / l, y: t.y / l};
+      } else {
+        t = t0;
+      }
+      rt.tangents.push(t);
+      t0 = t;
+    }
+    return(rt);
+  }
+
+  /*!
+   * @function	_offsetCurve
+   * @return	Array of the (x, y) points of the offset curve.
+   * @brief	Computes a curve offset from a route, each point being
+   * 		moved along the perpendicular to the tangent. Where the
+   * 		offset is greater than the route's radius of curvature,
+   * 		eg on tight bends, the offset curve loops back on itself,
+   * 		so each such loop is removed by moving all of its points
+   * 		to the point where the curve crosses itself. The curve is
+   * 		then smoothed by the track smoothing (see
+   * 		setTrackSmoothing()). The offset curve always has the
+   * 		same number of points as the route.
+   * @param	rt	Route points and tangents (see _routePoints()).
+   * @param	offs	Signed offset distance at each point.
+   */
+  _offsetCurve(rt, offs) {
+    let pts = [];
+    let n = rt.points.length;
+    let mo = 0;
+    for(let k = 0; k < n; ++k) {
+      let pp = rt.points[k];
+      let pt = rt.tangents[k];
+      pts.push({x: pp.x - (offs[k] * pt.y),
+                y: pp.y + (offs[k] * pt.x)});
+      mo = Math.max(mo, Math.abs(offs[k]));
+    }
+    /* A loop is within a section of the route no longer than the
+     * circumference of a circle with radius the greatest offset. */
+    let len = [0];
+    for(let k = 1; k < n; ++k) {
+      let dx = rt.points[k].x - rt.points[k - 1].x;
+      let dy = rt.points[k].y - rt.points[k - 1].y;
+      len.push(len[k - 1] + Math.sqrt((dx * dx) + (dy * dy)));
+    }
+    let win = 2.0 * Math.PI * mo;
+    for(let i = 0; i + 3 < n; ++i) {
+      let x = undefined;
+      let jx = 0;
+      for(let j = i + 2; (j + 1 < n) && (len[j] - len[i + 1] <= win); ++j) {
+        let q = this._segIntersect(pts[i], pts[i + 1], pts[j], pts[j + 1]);
+	if(this._isDefined(q)) {
+	  x = q;
+	  jx = j;
+	}
+      }
+      if(this._isDefined(x)) {
+        for(let k = i + 1; k <= jx; ++k) {
+	  pts[k] = {x: x.x, y: x.y};
+	}
+	i = jx - 1;
+      }
+    }
+    for(let p = 0; p < this._track_smoothing; ++p) {
+      let prv = pts.slice();
+      for(let k = 1; k + 1 < n; ++k) {
+        pts[k] = {x: (prv[k - 1].x + (2 * prv[k].x) + prv[k + 1].x) / 4,
+	          y: (prv[k - 1].y + (2 * prv[k].y) + prv[k + 1].y) / 4};
+      }
+    }
+    return(pts);
+  }
+
+  /*!
+   * @function	_segIntersect
+   * @return	Intersection point {x, y} or undefined if the segments
+   * 		do not cross.
+   * @brief	Finds where two line segments cross. Parallel segments
+   * 		are taken not to cross.
+   * @param	p0	First point of the first segment.
+   * @param	p1	Second point of the first segment.
+   * @param	q0	First point of the second segment.
+   * @param	q1	Second point of the second segment.
+   */
+  _segIntersect(p0, p1, q0, q1) {
+    let x = undefined;
+    let r = {x: p1.x - p0.x, y: p1.y - p0.y};
+    let s = {x: q1.x - q0.x, y: q1.y - q0.y};
+    let d = (r.x * s.y) - (r.y * s.x);
+    if(d !== 0) {
+      let w = {x: q0.x - p0.x, y: q0.y - p0.y};
+      let t = ((w.x * s.y) - (w.y * s.x)) / d;
+      let u = ((w.x * r.y) - (w.y * r.x)) / d;
+      if((t >= 0) && (t <= 1) && (u >= 0) && (u <= 1)) {
+        x = {x: p0.x + (t * r.x), y: p0.y + (t * r.y)};
+      }
+    }
+    return(x);
+  }
+
+  /*!
+   * @function	_trackRibbon
+   * @return	Object with the fields offsets (array of the offsets of
+   * 		the two ribbon edges, each an array of the offset at each
+   * 		point) and values (values at the points), or undefined if
+   * 		the track is not a ribbon.
+   * @brief	Computes the edges of a ribbon track (see
+   * 		addRibbonTrack()). Missing values give zero width.
+   * @param	col	Track colour.
+   * @param	sd	Signed offset of the track from the midline.
+   * @param	n	Number of points along the track.
+   */
+  _trackRibbon(col, sd, n) {
+    let rbn = undefined;
+    if(this._isObject(col) && (col !== null) && this._isObject(col.ribbon) &&
+       (col.ribbon !== null) && this._isArray(col.ribbon.values)) {
+      let r = col.ribbon;
+      let scl = this._isDefined(r.scale)? Number(r.scale): 1.0;
+      let sgn = (sd < 0)? -1: 1;
+      let vals = new GCAColorMap().resample(r.values, n);
+      let o0 = [];
+      let o1 = [];
+      vals.forEach((v) => {
+        let w = isFinite(v)? scl * v: 0.0;
+	if(r.mode === 'offset') {
+	  o0.push(sd);
+	  o1.push(sd + (sgn * w));
+	} else {
+	  o0.push(sd - (Math.abs(w) / 2));
+	  o1.push(sd + (Math.abs(w) / 2));
+	}
+      });
+      rbn = {offsets: [o0, o1], values: vals};
+    }
+    return(rbn);
+  }
+
+  /*!
+   * @function	_segmentColors
+   * @return	Array of colours, one for each segment of a path (or one
+   * 		for a path with a single point).
+   * @brief	Finds the colours of a path's segments, either all the
+   * 		given colour or, if coloured by values, the colour of the
+   * 		mean of the values at the ends of each segment.
+   * @param	n	Number of points along the path.
+   * @param	col	Colour used if there is no colour map.
+   * @param	cm	Colour map (a GCAColorMap) or undefined.
+   * @param	vals	Values at the points if there is a colour map.
+   */
+  _segmentColors(n, col, cm, vals) {
+    let cols = [];
+    for(let k = 0; k < Math.max(n - 1, 1); ++k) {
+      cols.push(!this._isDefined(cm)? col:
+                cm.color((n > 1)? (vals[k] + vals[k + 1]) / 2: vals[0]));
+    }
+    return(cols);
+  }
+
+  /*!
+   * @function	_colorRuns
+   * @return	Array of runs, each an array of the first and last
+   * 		(plus one) segment indices.
+   * @brief	Splits segment colours into runs of the same colour.
+   * @param	cols	Segment colours.
+   */
+  _colorRuns(cols) {
+    let runs = [];
+    let k0 = 0;
+    for(let k = 1; k <= cols.length; ++k) {
+      if((k === cols.length) || (cols[k] !== cols[k0])) {
+        runs.push([k0, k]);
+	k0 = k;
+      }
+    }
+    return(runs);
+  }
+
+  /*!
+   * @function	_groupParts
+   * @return	The single part or a new group of the parts.
+   * @brief	Groups the parts of a multi coloured path or ribbon, with
+   * 		the group taking the parts' opacity and visibility.
+   * @param	parts	Display objects.
+   * @param	id	GCA id for the group.
+   */
+  _groupParts(parts, id) {
+    let grp = parts[0];
+    if(parts.length > 1) {
+      grp = new fabric.Group(parts, {
+	  opacity: parts[0].opacity,
+	  visible: parts[0].visible,
+	  selectable: false});
+      parts.forEach((p) => p.set({opacity: 1.0, visible: true}));
+      grp['gca_id'] = id;
+      grp['gca_group'] = 'PATHS';
+    }
+    return(grp);
+  }
+
+  /*!
+   * @function	_makeSegmentedPath
+   * @return	New polyline or group of polylines for display.
+   * @brief	Makes a path with coloured segments, eg coloured by values
+   * 		at its points. The path is split into polylines, with each
+   * 		run of segments which have the same colour being a single
+   * 		polyline.
+   * @param	pts	Points along the path.
+   * @param	cols	Segment colours (see _segmentColors()).
+   * @param	id	GCA id for the path.
+   * @param	prop	Path properties as for _makePath().
+   */
+  _makeSegmentedPath(pts, cols, id, prop) {
+    let segs = this._colorRuns(cols).map((r) => this._makePath(
+        pts.slice(r[0], r[1] + 1), id,
+	Object.assign({}, prop, {color: cols[r[0]]})));
+    let trk = this._groupParts(segs, id);
+    trk['gca_width'] = segs[0].strokeWidth;
+    return(trk);
+  }
+
+  /*!
+   * @function	_makeRibbon
+   * @return	New polygon or group of polygons for display.
+   * @brief	Makes a filled ribbon between two curves, with each run of
+   * 		segments which have the same colour being a single
+   * 		polygon.
+   * @param	e0	Points along the first edge.
+   * @param	e1	Points along the second edge.
+   * @param	cols	Segment colours (see _segmentColors()).
+   * @param	id	GCA id for the ribbon.
+   * @param	prop	Ribbon properties, as for _makePath() but without
+   * 			width.
+   */
+  _makeRibbon(e0, e1, cols, id, prop) {
+    const def = {
+      color: 0xffffff,
+      opacity: 1.0,
+      visible: true};
+    let parts = this._colorRuns(cols).map((r) => {
+      let c = this._parseColor(this._isDefined(cols[r[0]])? cols[r[0]]:
+                               def.color);
+      let pts = e0.slice(r[0], r[1] + 1).concat(
+          e1.slice(r[0], r[1] + 1).reverse());
+      let pgn = new fabric.Polygon(pts, {
+	  fill: c,
+	  stroke: c,
+	  strokeWidth: 1,
+	  opacity: this._defordef(prop, def, 'opacity'),
+	  visible: this._defordef(prop, def, 'visible'),
+	  selectable: false});
+      pgn['gca_id'] = id;
+      pgn['gca_group'] = 'PATHS';
+      return(pgn);
+    });
+    return(this._groupParts(parts, id));
+  }
+
+  /*!
+   * @function	_trackColorMap
+   * @return	Colour map (a GCAColorMap) fitted to the values or
+   * 		undefined if the colour is not a colouring by values.
+   * @brief	Makes the colour map of a track colour which is an object
+   * 		with the fields values, colormap and range (see
+   * 		addValueTrack()).
+   * @param	col	Track colour.
+   */
+  _trackColorMap(col) {
+    let cm = undefined;
+    if(this._isObject(col) && (col !== null) && this._isArray(col.values)) {
+      cm = new GCAColorMap(col.colormap, col.range);
+      cm.fitRange(col.values);
+    }
+    return(cm);
+  }
+
   /*!
    * @function _makeMarker
    * @returns 	New marker for display.
@@ -933,7 +2063,7 @@ class GCA2DRenderer {
       opacity: 1.0,
       marker_size: 24,
       visible: true};
-    let mrk = fabric.util.object.clone(this._icons[key].prg);
+    let mrk = fabric.util.object.clone(this._getIcon(key));
     let hgt = this._defordef(this._config.display_props, def, 'marker_size');
     mrk.scaleToHeight(hgt);
     mrk['gca_id'] = id;
@@ -985,67 +2115,6 @@ class GCA2DRenderer {
     return(lbl);
   }
 
-  /*!
-   * @function	_pathIdxFromID
-   * @return	Index of the path or undefined.
-   * @brief	Given a GCA path id finds and returns the index of the
-   * 		path in the array of paths.
-   * @parm	id	path id.
-   */
-  _pathIdxFromID(id) {
-    let pi = undefined;
-    let paths = this._config.paths;
-    for(let i = 0; i < paths.length; ++i) {
-      let p = paths[i];
-      if(p.id == id) {
-        pi = i;
-	break;
-      }
-    }
-    return(pi);
-  }
-
-  /*!
-   * @function	_getObjValue
-   * @return	The value if the given coordinates are within the object's
-   * 		domain, otherwise undefined.
-   * @brief	Gets the value of an encoded Woolz object at the given
-   * 		coordinates.
-   * @param	map	The mapping object.
-   * @param	x	The column coordinate.
-   * @param	y	The line coordinate.
-   */
-  _getObjValue(map, x, y) {
-    var vidx;
-    var inside = false;
-    var v = undefined;
-    var obj = map['object'];
-    var dom = obj.domain;
-    var val = obj.values;
-    x = Math.trunc(x) - dom.kol1;
-    y = Math.trunc(y) - dom.line1;
-    if((y >= 0) && (y <= dom.lastln - dom.line1) &&
-       (x >= 0) && (x <= dom.lastkl - dom.kol1))
-    {
-      var ivln = dom.intvlines[y];
-      vidx = val.value_line_indices[y];
-      for(let i = 0; !inside && (i < ivln.length); ++i) {
-        let iv = ivln[i];
-        if((x >= iv[0]) && (x <= iv[1])) {
-          vidx += x - iv[0];
-          inside = true;
-          break;
-        } else {
-          vidx += iv[1] - iv[0] + 1;
-        }
-      }
-    }
-    if(inside) {
-      v = val.values[vidx];
-    }
-    return(v);
-  }
-
   /*! 
    * @function 	mapPointToMidline
    * @return	Point on midline or undefined.
@@ -1057,7 +2126,7 @@ class GCA2DRenderer {
     let pom = undefined;
     let pp = undefined;
     let cp = this._config.paths[this._curPath];
-    let idx = this._getObjValue(cp.mapping, p.x, p.y);
+    let idx = this._model.mapPointToIndex(this._curPath, p);
     if(typeof idx !== 'undefined') {
       // There may be a small mapping error so search small range for
       // closest point.
@@ -1089,32 +2158,7 @@ class GCA2DRenderer {
    * @param	f1	Fraction from lmk2 to lmk3 of end point.
    */
   mapIntervalToMidline(lmk0, lmk1, f0, lmk2, lmk3, f1) {
-    let pse = undefined;
-    let lmk = [lmk0, lmk1, lmk2, lmk3];
-    let lmp = Array(4);
-    let l0;
-    for(let i = 0; i < 4; ++i) {
-      let l1 = this.landmarkFromAnatID(lmk[i]);
-      if(typeof l1 !== 'undefined') {
-        lmp[i] = l1.position;
-	if((i > 0) && (l0.paths[0] !== l1.paths[0])) {
-	  lmp = undefined;
-	}
-      } else {
-        lmp = undefined;
-	break;
-      }
-      if(typeof lmp === 'undefined') {
-        break;
-      }
-      l0 = l1;
-    }
-    if(typeof lmp !== 'undefined') {
-      pse = [l0.paths[0],
-             Number(lmp[0]) + Math.floor(f0 * (lmp[1] - lmp[0])),
-	     Number(lmp[2]) + Math.floor(f1 * (lmp[3] - lmp[2]))];
-    }
-    return(pse);
+    return(this._model.mapIntervalToMidline(lmk0, lmk1, f0, lmk2, lmk3, f1));
   }
 
   /*!
@@ -1124,24 +2168,336 @@ class GCA2DRenderer {
    * @param	pos		Position of the marker as a fabric point.
    * @param	txt		Optional text for label (may be undefined).
    * @param	props		Optional properties.
+   * @param	metadata	Optional object with any other data for
+   * 				the marker, eg as read by addMarkers().
    */
-  addMarker(id, pos, txt, props) {
-    let rad = 5;
+  addMarker(id, pos, txt, props, metadata) {
     let spos = new fabric.Point(pos.x, pos.y);
     let mpos = this.mapPointToMidline(spos);
-    let mapped = this._isDefined(mpos);
-    if(mapped) {
-      let mrk = this._makeMarker('pin', mpos, id, 'MARKERS', props);
-      this._markers_grp.add(mrk);
-      this._canvas.moveTo(mrk, this._dispLayers['MARKERS']);
-      if(this._isDefined(txt)) {
-        let lbl = this._makeLabel(mpos, txt, id, 'MARKERS', props);
-        this._markers_grp.add(lbl);
-        this._canvas.moveTo(lbl, this._dispLayers['MARKERS']);
+    if(this._isDefined(mpos)) {
+      this._addMidlineMarker(id, mpos, this._curPath, txt, props, metadata);
+    }
+  }
+
+  /*!
+   * @function	addPathMarker
+   * @brief	Adds a marker (with an optional text label) at a point
+   * 		on a path. Unlike addMarker() the path need not be the
+   * 		current path. Nothing is done if the path has not been
+   * 		loaded or the index is not on it.
+   * @param	id		Reference id string for the marker.
+   * @param	path_id		GCA id of the path.
+   * @param	index		Index of the point along the path.
+   * @param	txt		Optional text for label (may be undefined).
+   * @param	props		Optional properties.
+   * @param	metadata	Optional object with any other data for
+   * 				the marker.
+   */
+  addPathMarker(id, path_id, index, txt, props, metadata) {
+    let path_idx = this._model.pathIdxFromID(path_id);
+    let path = this._isDefined(path_idx)? this._config.paths[path_idx]:
+               undefined;
+    if(this._isDefined(path) && this._isDefined(path.points)) {
+      let pp = path.points[index];
+      if(this._isDefined(pp)) {
+        this._addMidlineMarker(id, {x: pp.x, y: pp.y, i: index}, path_idx,
+                               txt, props, metadata);
       }
     }
   }
 
+  /*!
+   * @function	addMarkers
+   * @return	Object with the fields added (array of the ids of the
+   * 		markers added) and errors (array of objects with the
+   * 		fields row, id and message for markers not added).
+   * @brief	Adds markers read from CSV or JSON (see GCAMarkerIO).
+   * 		Each marker is placed by its pair of landmarks and the
+   * 		fraction from the first to the second (as for
+   * 		setPosition()) if it has them, otherwise by its x and y
+   * 		coordinates snapped to the midline of the current path
+   * 		or else of the closest path. The marker's label, colour
+   * 		and metadata are also read. An Error is thrown if the
+   * 		data can not be parsed.
+   * @param	data		CSV or JSON text or an array of marker
+   * 				objects.
+   * @param	format		Optional format, either 'csv' or 'json'.
+   */
+  addMarkers(data, format) {
+    let rtn = {added: [], errors: []};
+    let recs = new GCAMarkerIO().parse(data, format);
+    this._clustering.deferred = true;
+    recs.forEach((r, row) => {
+      let msg = undefined;
+      let props = this._isDefined(r.color)? {color: r.color}: undefined;
+      if(!this._isDefined(r.id)) {
+        msg = 'Marker has no id.';
+      } else if(this._isDefined(r.landmarks)) {
+        let f = this._isDefined(r.fraction)? r.fraction: 0.0;
+        let p = this._model.parameterOnPath(r.landmarks[0], r.landmarks[1], f);
+        if(this._isDefined(p[0])) {
+          let pt = this._model.pointAt(p[0], p[1]).point;
+          this._addMidlineMarker(r.id, {x: pt[0], y: pt[1], i: p[1]}, p[0],
+                                 r.label, props, r.metadata);
+        } else {
+          msg = 'Marker landmarks not found or not connected.';
+        }
+      } else if(this._isDefined(r.position)) {
+        let snap = this._snapToMidline(new fabric.Point(r.position[0],
+                                                        r.position[1]));
+        if(this._isDefined(snap)) {
+          this._addMidlineMarker(r.id, snap, snap.path, r.label, props,
+                                 r.metadata);
+        } else {
+          msg = 'Marker position can not be mapped to the midline.';
+        }
+      } else {
+        msg = 'Marker has neither a position nor landmarks.';
+      }
+      if(this._isDefined(msg)) {
+        rtn.errors.push({row: row, id: r.id, message: msg});
+      } else {
+        rtn.added.push(r.id);
+      }
+    });
+    this._clustering.deferred = false;
+    this._updateClusters();
+    return(rtn);
+  }
+
+  /*!
+   * @function	exportMarkers
+   * @return	CSV or JSON text.
+   * @brief	Exports all the markers as CSV or JSON (see GCAMarkerIO)
+   * 		which can be read by addMarkers(). Each marker has its id,
+   * 		label, colour, position, the landmarks enclosing it with
+   * 		the fraction between them and its metadata.
+   * @param	format		Format, either 'csv' or 'json'.
+   */
+  exportMarkers(format) {
+    let recs = this.getMarkers().map((m) => ({
+        id: m.id,
+        label: m.text,
+        color: m.color,
+        position: m.position,
+        landmarks: m.landmarks,
+        fraction: m.fraction,
+        metadata: m.metadata}));
+    return(new GCAMarkerIO().format(recs, format));
+  }
+
+  /*!
+   * @function	getMarkers
+   * @return	Array of marker records.
+   * @brief	Gets the markers as plain records, each an object with
+   * 		the fields:
+   * 		  - id -        Marker id.
+   * 		  - text -      Label text or undefined.
+   * 		  - color -     Colour or undefined.
+   * 		  - position -  Position [x, y] on the midline.
+   * 		  - path -      GCA id of the marker's path.
+   * 		  - index -     Index along the path.
+   * 		  - landmarks - GCA ids of the landmarks enclosing the
+   * 		                marker.
+   * 		  - fraction -  Fraction of the distance from the first
+   * 		                landmark to the second.
+   * 		  - visible -   True unless the marker has been hidden.
+   * 		  - metadata -  Copy of the marker's metadata object.
+   * 		The markers may be filtered to those within a landmark
+   * 		interval or the current ROI.
+   * @param	filter		Optional object with either of the fields:
+   * 				landmarks (array of the GCA ids of two
+   * 				landmarks, selecting the markers between
+   * 				them) or roi (true to select the markers
+   * 				within the ROI).
+   */
+  getMarkers(filter) {
+    let rng = this._markerRange(filter);
+    let recs = [];
+    Object.values(this._marker_defs).forEach((md) => {
+      let pi = this._model.pathIdxFromID(md.path);
+      let pp = this._isDefined(pi)? [pi, md.index]: undefined;
+      if(!this._isDefined(rng) ||
+         (this._isDefined(pp) &&
+	  this._model.onRoute(rng[0], rng[1], rng[2], rng[3], pp[0], pp[1]))) {
+	let lp = this._isDefined(pp)?
+	         this._model.landmarkPosition(pp[0], pp[1]): undefined;
+	recs.push({
+	    id: md.id,
+	    text: md.text,
+	    color: this._isDefined(md.props)? md.props.color: undefined,
+	    position: [md.position.x, md.position.y],
+	    path: this._isDefined(pp)? this._config.paths[pp[0]].id: undefined,
+	    index: this._isDefined(pp)? pp[1]: undefined,
+	    landmarks: this._isDefined(lp)? lp.landmarks: undefined,
+	    fraction: this._isDefined(lp)? lp.fraction: undefined,
+	    visible: md.visible,
+	    metadata: Object.assign({}, md.metadata)});
+      }
+    });
+    return(recs);
+  }
+
+  /*!
+   * @function	updateMarker
+   * @return	True if the marker was found.
+   * @brief	Updates a marker's label text, colour, visibility and / or
+   * 		metadata, emitting a markerupdated event.
+   * @param	id		Reference id string of the marker.
+   * @param	changes		Object with any of the fields: text (label
+   * 				text, undefined or empty for no label),
+   * 				color, visible and metadata (fields merged
+   * 				into the marker's metadata, with those set
+   * 				to undefined being removed).
+   */
+  updateMarker(id, changes) {
+    let md = this._marker_defs[id];
+    if(this._isDefined(md) && this._isObject(changes)) {
+      let ev = {id: id};
+      let objs = this.findAllDispObj('MARKERS', id).map((o) => o[1]);
+      if('color' in changes) {
+        md.props = Object.assign({}, md.props, {color: changes.color});
+	let col = this._parseColor(changes.color);
+	objs.forEach((obj) => obj.set({stroke: col, fill: col}));
+	ev['color'] = changes.color;
+      }
+      if('text' in changes) {
+        md.text = changes.text;
+	objs.filter((obj) => obj.gca_type === 'LABEL').forEach((lbl) => {
+	  this._canvas.remove(lbl);
+	  this._markers_grp.remove(lbl);
+	});
+	if(this._isDefined(md.text) && (String(md.text).length > 0)) {
+	  let lbl = this._makeLabel(md.position, md.text, id, 'MARKERS',
+	                            md.props);
+	  this._markers_grp.add(lbl);
+	  this._canvas.moveTo(lbl, this._dispLayers['MARKERS']);
+	}
+	objs = this.findAllDispObj('MARKERS', id).map((o) => o[1]);
+	ev['text'] = changes.text;
+      }
+      if(('visible' in changes) || ('text' in changes)) {
+        if('visible' in changes) {
+	  md.visible = Boolean(changes.visible);
+	  ev['visible'] = md.visible;
+	}
+	objs.forEach((obj) => {
+	  obj.visible = md.visible;
+	  obj.gca_clustered = false;
+	});
+      }
+      if(this._isObject(changes.metadata)) {
+        md.metadata = Object.assign({}, md.metadata);
+	for(const k in changes.metadata) {
+	  if(this._isDefined(changes.metadata[k])) {
+	    md.metadata[k] = changes.metadata[k];
+	  } else {
+	    delete md.metadata[k];
+	  }
+	}
+	ev['metadata'] = Object.assign({}, changes.metadata);
+      }
+      this._updateClusters();
+      this._events.emit('markerupdated', ev);
+    }
+    return(this._isDefined(md));
+  }
+
+  /*!
+   * @function	_markerRange
+   * @return	Array [<path index>, <start>, <path index>, <end>] or
+   * 		undefined if there is no filter. If the filter's
+   * 		landmarks are not found the range is empty.
+   * @brief	Finds the midline range selected by a marker filter (see
+   * 		getMarkers()).
+   * @param	filter		Marker filter or undefined.
+   */
+  _markerRange(filter) {
+    let rng = undefined;
+    if(this._isObject(filter)) {
+      if(this._isArray(filter.landmarks)) {
+        let l = filter.landmarks;
+	let p0 = this._model.parameterOnPath(l[0], l[1], 0.0);
+	let p1 = this._model.parameterOnPath(l[0], l[1], 1.0);
+	rng = [p0[0], p0[1], p1[0], p1[1]];
+      } else if(filter.roi) {
+        rng = [this._roiPath[0], this._roiIdx[0],
+	       this._roiPath[1], this._roiIdx[1]];
+      }
+    }
+    return(rng);
+  }
+
+  /*!
+   * @function	_addMidlineMarker
+   * @brief	Adds a marker (with an optional text label) at a point
+   * 		on the midline.
+   * @param	id		Reference id string for the marker.
+   * @param	mpos		Midline point with x, y and i (index along
+   * 				the path) fields.
+   * @param	path_idx	Index of the marker's path.
+   * @param	txt		Optional text for label (may be undefined).
+   * @param	props		Optional properties.
+   * @param	metadata	Optional object with any other data.
+   */
+  _addMidlineMarker(id, mpos, path_idx, txt, props, metadata) {
+    let mrk = this._makeMarker('pin', mpos, id, 'MARKERS', props);
+    this._markers_grp.add(mrk);
+    this._canvas.moveTo(mrk, this._dispLayers['MARKERS']);
+    this._obj_index.MARKERS.addPoint(mrk, mrk.gca_position);
+    if(this._isDefined(txt)) {
+      let lbl = this._makeLabel(mpos, txt, id, 'MARKERS', props);
+      this._markers_grp.add(lbl);
+      this._canvas.moveTo(lbl, this._dispLayers['MARKERS']);
+    }
+    this._marker_defs[id] = {
+	id: id,
+	position: {x: mpos.x, y: mpos.y},
+	path: this._config.paths[path_idx].id,
+	index: mpos.i,
+	text: txt,
+	props: props,
+	metadata: metadata,
+	visible: !this._isDefined(props) || (props.visible !== false)};
+    this._events.emit('markeradded', {
+	id: id,
+	position: new fabric.Point(mpos.x, mpos.y),
+	path: this._config.paths[path_idx].id,
+	index: mpos.i,
+	text: txt,
+	props: props,
+	metadata: metadata});
+    if(!this._clustering.deferred) {
+      this._updateClusters();
+    }
+  }
+
+  /*!
+   * @function	_snapToMidline
+   * @return	Midline point with x, y, i (index along the path) and
+   * 		path (path index) fields or undefined if there are no
+   * 		paths.
+   * @brief	Snaps a position to the midline, using the current path's
+   * 		mapping (see mapPointToMidline()) if the position is
+   * 		within its domain or else the closest point on any path
+   * 		(see GCAModel.positionToPath()).
+   * @param	pos		Position in model coordinates.
+   */
+  _snapToMidline(pos) {
+    let snap = undefined;
+    let mpos = this.mapPointToMidline(pos);
+    if(this._isDefined(mpos)) {
+      snap = {x: mpos.x, y: mpos.y, i: mpos.i, path: this._curPath};
+    } else {
+      let pp = this._model.positionToPath(pos, Number.MAX_VALUE);
+      if(this._isDefined(pp)) {
+        let pt = this._model.pointAt(pp[0], pp[1]).point;
+	snap = {x: pt[0], y: pt[1], i: pp[1], path: pp[0]};
+      }
+    }
+    return(snap);
+  }
+
   /*!
    * @function removeMarker
    * @brief	Removes the marker (and it's optional text label) with the
@@ -1155,10 +2511,149 @@ class GCA2DRenderer {
     for(let i = 0; i < mrks.length; ++i) {
       let mrk = mrks[i];
       if(this._isDefined(mrk[grp]) && this._isDefined(mrk[itm])) {
+	this._obj_index.MARKERS.remove(mrk[itm]);
 	this._canvas.remove(mrk[itm]);
 	this._markers_grp.remove(mrk[itm]);
       }
     }
+    delete this._marker_defs[id];
+    if(mrks.length > 0) {
+      this._updateClusters();
+      this._events.emit('markerremoved', {id: id});
+    }
+  }
+
+  /*!
+   * @function	_moveMarker
+   * @brief	Moves a marker and its label to a new position, keeping
+   * 		the marker index and definition up to date.
+   * @param	id		Reference id string of the marker.
+   * @param	pos		New midline position with x, y, i (index
+   * 				along the path) and path (path index)
+   * 				fields, see _snapToMidline().
+   */
+  _moveMarker(id, pos) {
+    let md = this._marker_defs[id];
+    if(this._isDefined(md)) {
+      let dx = pos.x - md.position.x;
+      let dy = pos.y - md.position.y;
+      this.findAllDispObj('MARKERS', id).forEach((o) => {
+        let obj = o[1];
+	obj.left += dx;
+	obj.top += dy;
+	obj.setCoords();
+	if(obj.gca_type === 'MARKER') {
+	  obj.gca_position = new fabric.Point(pos.x, pos.y);
+	  this._obj_index.MARKERS.remove(obj);
+	  this._obj_index.MARKERS.addPoint(obj, obj.gca_position);
+	}
+      });
+      md.position = {x: pos.x, y: pos.y};
+      md.path = this._config.paths[pos.path].id;
+      md.index = pos.i;
+    }
+  }
+
+  /*!
+   * @function	_updateClusters
+   * @brief	Updates the marker clusters for the current zoom. Any
+   * 		existing cluster badges are removed and their markers
+   * 		shown again, then if clustering is enabled the visible
+   * 		markers are greedily grouped with all the other markers
+   * 		within the clustering radius and each group of more than
+   * 		one marker is replaced by a badge at its centroid.
+   */
+  _updateClusters() {
+    let cl = this._clustering;
+    if(!this._isDefined(this._canvas) || !this._isDefined(this._markers_grp)) {
+      return;
+    }
+    cl.badges.forEach((b) => {
+      this._markers_grp.remove(b);
+      this._canvas.remove(b);
+    });
+    cl.badges = [];
+    let mobjs = this.findAllDispObj('MARKERS', undefined).map((o) => o[1]);
+    mobjs.forEach((obj) => {
+      if(obj.gca_clustered) {
+        obj.visible = obj.gca_visible;
+	obj.gca_clustered = false;
+      }
+    });
+    if(cl.enabled) {
+      let z = this._canvas.getZoom();
+      let done = new Set();
+      let pins = mobjs.filter((o) => (o.gca_type === 'MARKER') && o.visible);
+      pins.forEach((pin) => {
+        if(!done.has(pin)) {
+	  let near = this._obj_index.MARKERS.within(pin.gca_position,
+	      cl.radius / z, (k) => !done.has(k) && k.visible);
+	  let mem = near.map((n) => n.key);
+	  mem.forEach((m) => done.add(m));
+	  if(mem.length > 1) {
+	    let ctr = new fabric.Point(0, 0);
+	    let ids = [];
+	    mem.forEach((m) => {
+	      ctr.x += m.gca_position.x / mem.length;
+	      ctr.y += m.gca_position.y / mem.length;
+	      ids.push(m.gca_id);
+	    });
+	    mobjs.forEach((obj) => {
+	      if(ids.indexOf(obj.gca_id) >= 0) {
+	        obj['gca_visible'] = obj.visible;
+		obj['gca_clustered'] = true;
+		obj.visible = false;
+	      }
+	    });
+	    let bdg = this._makeClusterBadge(ctr, ids, z);
+	    cl.badges.push(bdg);
+	    this._markers_grp.add(bdg);
+	    this._canvas.moveTo(bdg, this._dispLayers['MARKERS']);
+	  }
+	}
+      });
+    }
+    this._canvas.requestRenderAll();
+  }
+
+  /*!
+   * @function	_makeClusterBadge
+   * @return	New cluster badge for display.
+   * @brief	Makes a badge showing the number of markers in a cluster,
+   * 		scaled so that it has a constant size on the screen.
+   * @param	pos		Position of the badge.
+   * @param	ids		Array of the ids of the markers in the
+   * 				cluster.
+   * @param	zoom		Current canvas zoom.
+   */
+  _makeClusterBadge(pos, ids, zoom) {
+    let cl = this._clustering;
+    let cir = new fabric.Circle({
+	radius: cl.size,
+	fill: cl.color,
+	stroke: '#ffffff',
+	strokeWidth: 1,
+	originX: 'center',
+	originY: 'center'});
+    let txt = new fabric.Text(String(ids.length), {
+	fontSize: cl.size,
+	fill: '#ffffff',
+	originX: 'center',
+	originY: 'center'});
+    let bdg = new fabric.Group([cir, txt], {
+	left: pos.x,
+	top: pos.y,
+	originX: 'center',
+	originY: 'center',
+	scaleX: 1.0 / zoom,
+	scaleY: 1.0 / zoom,
+	selectable: false});
+    bdg['gca_group'] = 'MARKERS';
+    bdg['gca_type'] = 'CLUSTER';
+    bdg['gca_position'] = new fabric.Point(pos.x, pos.y);
+    bdg['gca_radius'] = cl.size / zoom;
+    bdg['gca_members'] = ids;
+    return(bdg);
   }
 
   /*!
@@ -1168,16 +2663,7 @@ class GCA2DRenderer {
    * @param	id	Required landmark's GCA id
    */
   landmarkFromID(id) {
-    var lmk = undefined;
-    let lmks = this._config.landmarks;
-    for(let li = 0; li < lmks.length; ++li) {
-      let l = lmks[li];
-      if(l.id === id) {
-        lmk = l;
-	break;
-      }
-    }
-    return(lmk);
+    return(this._model.landmarkFromID(id));
   }
 
   /*!
@@ -1187,50 +2673,302 @@ class GCA2DRenderer {
    * @param	id	Required landmark's GCA anatomy id
    */
   landmarkFromAnatID(id) {
-    var lmk = undefined;
-    let lmks = this._config.landmarks;
-    for(let li = 0; li < lmks.length; ++li) {
-      let l = lmks[li];
-      if(l.anatomy[0].id === id) {
-        lmk = l;
-	break;
-      }
-    }
-    return(lmk);
+    return(this._model.landmarkFromAnatID(id));
   }
 
   /*!
    * @function  positionToPath
    * @return    [<path>, <path position index>, <distance>] or undefined
-   * @brief	Finds a path which intersects the given position and then
-   * 		returns the path and path position index. If a path does
-   * 		not pass within the tolerance distance from the position
-   * 		then undefined is returned.
+   * @brief	Finds the path closest to the given position and then
+   * 		returns the path and path position index, which may lie
+   * 		between the path's points (see GCAModel.positionToPath()).
+   * 		If a path does not pass within the tolerance from the
+   * 		position then undefined is returned.
    * @param	pos		Position coordinate.
    * @param	tol		Tolerance distance.
    */
   positionToPath(pos, tol) {
-    let fnd = [0, 0, Number.MAX_VALUE];
-    let pv = new fabric.Point(pos.x, pos.y);
-    for(let pi = 0; pi < this._config.paths.length; ++pi) {
-      let path = this._config.paths[pi];
-      for(let pj = 0; pj < path.n; ++pj) {
-        let pp = path.points[pj];
-	let pq = new fabric.Point(pp.x - pv.x, pp.y - pv.y);
-	let d2 = pq.x * pq.x + pq.y * pq.y;
-	if(d2 < fnd[2]) {
-	  fnd[0] = pi;
-	  fnd[1] = pj;
-	  fnd[2] = d2;
-	}
+    return(this._model.positionToPath(pos, tol));
+  }
+
+  /*!
+   * @function	pick
+   * @return	Pick result, an object with fields:
+   * 		  - position -  The given position.
+   * 		  - path_position - Landmark relative position of the
+   * 		                position mapped to the current path or
+   * 		                undefined if it can not be mapped.
+   * 		  - path -      Nearest path, an object with the fields
+   * 		                path (GCA path id), path_idx, index
+   * 		                (position along the path, which may lie
+   * 		                between the path's points), distance and
+   * 		                position (landmark relative position), or
+   * 		                undefined if no path has been loaded.
+   * 		  - interval -  Array of the GCA ids of the landmarks
+   * 		                enclosing the nearest path position or
+   * 		                undefined.
+   * 		  - anatomy -   Array of the GCA ids of the anatomy images
+   * 		                with opaque pixels at the position.
+   * 		  - objects, types, names, positions, distances and
+   * 		                values -
+   * 		                Parallel arrays of the hits as in the 3D
+   * 		                renderer: the display objects, their types
+   * 		                (the name prefixes: markerNamePrefix,
+   * 		                landmarkNamePrefix, clusterNamePrefix,
+   * 		                trackNamePrefix, pathNamePrefix and
+   * 		                anatomyNamePrefix), GCA ids (for marker
+   * 		                clusters the comma separated ids of the
+   * 		                markers), closest points (fabric.js points),
+   * 		                distances from the given position and, for
+   * 		                tracks coloured by or drawn with values (see
+   * 		                addValueTrack() and addRibbonTrack()), the
+   * 		                value at the closest point (otherwise
+   * 		                undefined).
+   * 		                Markers and landmarks are first, then marker
+   * 		                clusters, tracks, the nearest path and
+   * 		                anatomy, each ordered by distance.
+   * @brief	Finds what lies at a position in model coordinates.
+   * 		Markers, landmarks, tracks and the nearest path are hits
+   * 		if they lie within the pick precision (the configuration's
+   * 		pick_precision in screen pixels) of the position, with
+   * 		markers and landmarks also hit within their icons,
+   * 		tracks and paths within their line width and ribbons
+   * 		within their width.
+   * @param	pos		Position as a fabric.js point in model
+   * 				coordinates.
+   */
+  pick(pos) {
+    let rtn = {
+      position: pos,
+      path_position: undefined,
+      path: undefined,
+      interval: undefined,
+      anatomy: [],
+      objects: [],
+      types: [],
+      names: [],
+      positions: [],
+      distances: [],
+      values: []};
+    let hits = [];
+    let tol = this._config.display_props.pick_precision /
+              this._canvas.getZoom();
+    let mpos = this.mapPointToMidline(pos);
+    if(this._isDefined(mpos)) {
+      rtn.path_position = this._model.landmarkPosition(this._curPath, mpos.i);
+    }
+    // Markers and landmarks
+    let mkg = [['MARKERS', this.markerNamePrefix],
+               ['LANDMARKS', this.landmarkNamePrefix]];
+    mkg.forEach((g) => {
+      let h = this._pickMarkers(g[0], pos, tol);
+      h.forEach((hit) => {
+        hit.type = g[1];
+      });
+      hits.push(...h.sort((a, b) => a.distance - b.distance));
+    });
+    // Marker clusters
+    this._clustering.badges.forEach((b) => {
+      let d = Math.sqrt((pos.x - b.gca_position.x) * (pos.x - b.gca_position.x) +
+                        (pos.y - b.gca_position.y) * (pos.y - b.gca_position.y));
+      if(d <= tol + b.gca_radius) {
+	hits.push({object: b, type: this.clusterNamePrefix,
+	           name: b.gca_members.join(','),
+	           position: new fabric.Point(b.gca_position.x,
+		                              b.gca_position.y),
+	           distance: d});
+      }
+    });
+    // Tracks
+    let trk = this._obj_index.TRACKS.within(pos,
+                                            tol + (this._maxTrackWidth() / 2));
+    trk.forEach((t) => {
+      let obj = t.key;
+      let hw = this._isDefined(obj.gca_half_widths)?
+               this._lerpAt(obj.gca_half_widths, t.data.index, t.t):
+	       this._trackWidth(obj) / 2;
+      if(obj.visible && (t.distance <= tol + hw)) {
+	hits.push({object: obj, type: this.trackNamePrefix, name: obj.gca_id,
+	           position: new fabric.Point(t.point[0], t.point[1]),
+	           distance: t.distance,
+		   value: this._isDefined(obj.gca_values)?
+		          this._lerpAt(obj.gca_values, t.data.index, t.t):
+			  undefined});
+      }
+    });
+    // Nearest path
+    let pp = this._model.positionToPath(pos, Number.MAX_VALUE);
+    if(this._isDefined(pp)) {
+      let path = this._config.paths[pp[0]];
+      let pt = this._model.pointAt(pp[0], pp[1]).point;
+      rtn.path = {
+	path: path.id,
+	path_idx: pp[0],
+	index: pp[1],
+	distance: pp[2],
+	position: this._model.landmarkPosition(pp[0], pp[1])};
+      if(this._isDefined(rtn.path.position)) {
+        rtn.interval = rtn.path.position.landmarks;
+      }
+      let pobj = this._isDefined(this._paths)? this._paths[pp[0]]: undefined;
+      if(this._isDefined(pobj) && pobj.visible &&
+         (pp[2] <= tol + (pobj.strokeWidth / 2))) {
+	hits.push({object: pobj, type: this.pathNamePrefix, name: path.id,
+	           position: new fabric.Point(pt[0], pt[1]),
+	           distance: pp[2]});
       }
     }
-    if(fnd[2] < tol) {
-      fnd[2] = Math.sqrt(fnd[2]);
+    // Anatomy
+    let ana = this.findAllDispObj('ANATOMY_IMAGES', undefined);
+    ana.forEach((a) => {
+      let img = a[1];
+      if(img.visible && this._isOpaqueAt(img, pos)) {
+        rtn.anatomy.push(img.gca_id);
+	hits.push({object: img, type: this.anatomyNamePrefix,
+	           name: img.gca_id,
+	           position: new fabric.Point(pos.x, pos.y),
+		   distance: 0});
+      }
+    });
+    hits.forEach((h) => {
+      rtn.objects.push(h.object);
+      rtn.types.push(h.type);
+      rtn.names.push(h.name);
+      rtn.positions.push(h.position);
+      rtn.distances.push(h.distance);
+      rtn.values.push(h.value);
+    });
+    return(rtn);
+  }
+
+  /*!
+   * @function	_pickMarkers
+   * @return	Array of hits, each an object with fields: object,
+   * 		name, position and distance.
+   * @brief	Finds the (visible) markers of a group which lie within
+   * 		the tolerance of a position or which have their icon under
+   * 		the position. Markers are kept in a spatial index, while
+   * 		the few landmarks are searched directly.
+   * @param	grp		The group, either MARKERS or LANDMARKS.
+   * @param	pos		Position in model coordinates.
+   * @param	tol		Tolerance distance.
+   */
+  _pickMarkers(grp, pos, tol) {
+    let hits = [];
+    let objs = [];
+    if(grp === 'MARKERS') {
+      // Icons extend up to the marker size above their positions
+      let ms = this._config.display_props.marker_size;
+      let near = this._obj_index.MARKERS.within(pos,
+          tol + (this._isDefined(ms)? ms: 24));
+      objs = near.map((n) => n.key);
     } else {
-      fnd = undefined;
+      objs = this.findAllDispObj(grp, undefined).map((o) => o[1]);
+    }
+    objs.forEach((obj) => {
+      let mp = obj.gca_position;
+      if(obj.visible && (obj.gca_type === 'MARKER') && this._isDefined(mp)) {
+	let d = Math.sqrt((pos.x - mp.x) * (pos.x - mp.x) +
+	                  (pos.y - mp.y) * (pos.y - mp.y));
+	let r = obj.getBoundingRect(true, true);
+	if((d <= tol) ||
+	   ((pos.x >= r.left) && (pos.x <= r.left + r.width) &&
+	    (pos.y >= r.top) && (pos.y <= r.top + r.height))) {
+	  hits.push({object: obj, name: obj.gca_id,
+	             position: new fabric.Point(mp.x, mp.y), distance: d});
+	}
+      }
+    });
+    return(hits);
+  }
+
+  /*!
+   * @function	_maxTrackWidth
+   * @return	Maximum line width of the tracks.
+   * @brief	Finds the maximum line width of the tracks, this is used
+   * 		to limit the distance searched for picked tracks.
+   */
+  _maxTrackWidth() {
+    let w = 0;
+    for(const id in this._tracks) {
+      w = Math.max(w, this._trackWidth(this._tracks[id]));
+    }
+    return(w);
+  }
+
+  /*!
+   * @function	_lerpAt
+   * @return	Interpolated value, which is NaN if the nearer value is
+   * 		missing.
+   * @brief	Linearly interpolates between the values at the ends of a
+   * 		segment of a track.
+   * @param	vals		Values at the track's points.
+   * @param	i		Segment index.
+   * @param	f		Fraction along the segment.
+   */
+  _lerpAt(vals, i, f) {
+    let v0 = vals[i];
+    let v1 = (i + 1 < vals.length)? vals[i + 1]: v0;
+    let v = v0 + (f * (v1 - v0));
+    return(isFinite(v)? v: (f < 0.5)? v0: v1);
+  }
+
+  /*!
+   * @function	_trackWidth
+   * @return	Line width of the track.
+   * @brief	Gets the line width of a track, which for a track coloured
+   * 		by values is that of its polylines.
+   * @param	trk		The track's display object.
+   */
+  _trackWidth(trk) {
+    return(this._isDefined(trk.gca_width)? trk.gca_width: trk.strokeWidth);
+  }
+
+  /*!
+   * @function	_isOpaqueAt
+   * @return	True if the image has an opaque pixel at the position.
+   * @brief	Checks whether an image has a non transparent pixel at a
+   * 		position. The image's alpha values are read once and kept
+   * 		with the image. If they can not be read (eg a cross origin
+   * 		image) then only the image bounds are checked.
+   * @param	img		The fabric.js image.
+   * @param	pos		Position in model coordinates.
+   */
+  _isOpaqueAt(img, pos) {
+    let opq = false;
+    let inv = fabric.util.invertTransform(img.calcTransformMatrix());
+    let lp = fabric.util.transformPoint(pos, inv);
+    let x = lp.x + (img.width / 2);
+    let y = lp.y + (img.height / 2);
+    if((x >= 0) && (y >= 0) && (x < img.width) && (y < img.height)) {
+      if(!this._isDefined(img.gca_alpha)) {
+	img['gca_alpha'] = null;
+	try {
+	  let el = img.getElement();
+	  let c = document.createElement('canvas');
+	  c.width = el.width;
+	  c.height = el.height;
+	  let ctx = c.getContext('2d');
+	  ctx.drawImage(el, 0, 0);
+	  img['gca_alpha'] = {
+	      width: c.width,
+	      height: c.height,
+	      data: ctx.getImageData(0, 0, c.width, c.height).data};
+	} catch(e) {
+	  console.warn('GCA2DRenderer unable to read anatomy image pixels ' +
+	               img.gca_id);
+	}
+      }
+      let alp = img.gca_alpha;
+      if(alp) {
+	let ix = Math.floor(x * alp.width / img.width);
+	let iy = Math.floor(y * alp.height / img.height);
+	opq = alp.data[(((iy * alp.width) + ix) * 4) + 3] > 0;
+      } else {
+        opq = true;
+      }
     }
-    return(fnd);
+    return(opq);
   }
 
   /*!
@@ -1243,16 +2981,39 @@ class GCA2DRenderer {
     this._pointer.button = e.button;
     this._pointer.drag = false;
     this._pointer.position = new fabric.Point(e.pointer.x, e.pointer.y);
+    this._pointer.marker = undefined;
+    if(this._marker_edit && (e.button == 1) &&
+       this._isDefined(this._config)) {
+      let pos = this._toModel(e.pointer);
+      let tol = this._config.display_props.pick_precision /
+                this._canvas.getZoom();
+      let hits = this._pickMarkers('MARKERS', pos, tol);
+      if(hits.length > 0) {
+        hits.sort((a, b) => a.distance - b.distance);
+	this._pointer.marker = {id: hits[0].name, snap: undefined};
+	this._hover.leave();
+      }
+    }
   }
 
   /*!
    * @function	_onMouseMove
    * @brief	Responds to a mouse move event if the first mouse button is
-   * 		down by panning the canvas recording the position.
+   * 		down by dragging the marker being edited (snapped to the
+   * 		midline) or else by panning the canvas recording the
+   * 		position.
    * @param	e		Event.
    */
   _onMouseMove(e) {
-    if(this._pointer.button == 1) {
+    if((this._pointer.button == 1) && this._isDefined(this._pointer.marker)) {
+      let snap = this._snapToMidline(this._toModel(e.pointer));
+      if(this._isDefined(snap)) {
+        this._pointer.drag = true;
+	this._pointer.marker.snap = snap;
+	this._moveMarker(this._pointer.marker.id, snap);
+	this._canvas.requestRenderAll();
+      }
+    } else if(this._pointer.button == 1) {
       let del = new fabric.Point(e.pointer.x - this._pointer.position.x,
                                  e.pointer.y - this._pointer.position.y);
       let del2 = (del.x * del.x) + (del.y * del.y);
@@ -1263,32 +3024,119 @@ class GCA2DRenderer {
       }
       if(this._pointer.drag) {
         this._canvas.relativePan(del);
+	this._hover.leave();
       }
       this._pointer.position = new fabric.Point(e.pointer.x, e.pointer.y);
+    } else if(this._isDefined(this._config) &&
+              (this._events.hasListeners('hover') ||
+	       this._hover.isTooltipEnabled())) {
+      this._hover.update({
+	  x: e.pointer.x,
+	  y: e.pointer.y,
+	  clientX: e.e.clientX,
+	  clientY: e.e.clientY});
     }
   }
 
+  /*!
+   * @function	_onHover
+   * @brief	Responds to a (throttled) hover by picking at the pointer
+   * 		position, emitting a hover event and updating the tooltip.
+   * @param	hv		Pointer position with canvas (x, y) and
+   * 				client (clientX, clientY) coordinates.
+   */
+  _onHover(hv) {
+    let pos = new fabric.Point(hv.x, hv.y);
+    let inv = fabric.util.invertTransform(this._canvas.viewportTransform);
+    pos = fabric.util.transformPoint(pos, inv);
+    let pck = this.pick(pos);
+    pck['pointer'] = new fabric.Point(hv.x, hv.y);
+    this._events.emit('hover', pck);
+    this._hover.showTooltip(this._hoverText(pck.types, pck.names), hv);
+  }
+
+  /*!
+   * @function	_hoverText
+   * @return	Tooltip text or undefined.
+   * @brief	Finds the tooltip text for the first landmark, marker or
+   * 		track in a list of hits.
+   * @param	types		Array of hit types.
+   * @param	names		Array of hit names (GCA ids).
+   */
+  _hoverText(types, names) {
+    let txt = undefined;
+    for(let i = 0; (i < types.length) && !this._isDefined(txt); ++i) {
+      let id = names[i];
+      switch(types[i]) {
+	case this.landmarkNamePrefix:
+	  txt = this._model.landmarkAnatomyName(id);
+	  break;
+	case this.markerNamePrefix:
+	  {
+	    let md = this._marker_defs[id];
+	    txt = (this._isDefined(md) && this._isDefined(md.text))?
+		  md.text: id;
+	  }
+	  break;
+	case this.trackNamePrefix:
+	  txt = id;
+	  break;
+	case this.clusterNamePrefix:
+	  txt = id.split(',').length + ' markers';
+	  break;
+	default:
+	  break;
+      }
+    }
+    return(txt);
+  }
+
   /*!
    * @function	_onMouseUp
    * @brief	Responds to a mouse up event by calling the client pick
    * 		function (if defined and first mouse button was down)
-   * 		then making sure not in a drag state.
+   * 		or, if a marker has been dragged, emitting a markermoved
+   * 		event, then making sure not in a drag state.
    * @param	e		Event.
    */
   _onMouseUp(e) {
-    if(this._pointer.button == 1)
+    let mrk = this._pointer.marker;
+    if((this._pointer.button == 1) && this._isDefined(mrk) &&
+       this._isDefined(mrk.snap)) {
+      this._updateClusters();
+      this._events.emit('markermoved', {
+	  id: mrk.id,
+	  position: new fabric.Point(mrk.snap.x, mrk.snap.y),
+	  path: this._config.paths[mrk.snap.path].id,
+	  index: mrk.snap.i,
+	  path_position: this._model.landmarkPosition(mrk.snap.path,
+	                                              mrk.snap.i)});
+    } else if(this._pointer.button == 1)
     {
       if(!this._pointer.drag) {
-	let pos = new fabric.Point(e.pointer.x, e.pointer.y);
-	let inv = fabric.util.invertTransform(this._canvas.viewportTransform);
-	pos = fabric.util.transformPoint(pos, inv);
+	let pos = this._toModel(e.pointer);
+	let pck = this.pick(pos);
 	if(this._isDefined(this._pick_fn)) {
-	  this._pick_fn(this, pos);
+	  this._pick_fn(this, pos, pck);
 	}
+	this._events.emit('pick', pck);
       }
     }
     this._pointer.drag = false;
     this._pointer.button = 0;
+    this._pointer.marker = undefined;
+  }
+
+  /*!
+   * @function	_toModel
+   * @return	Position in model coordinates as a fabric point.
+   * @brief	Transforms a canvas pointer position to model coordinates
+   * 		using the current viewport transform.
+   * @param	ptr		Pointer position with x and y fields.
+   */
+  _toModel(ptr) {
+    let inv = fabric.util.invertTransform(this._canvas.viewportTransform);
+    return(fabric.util.transformPoint(new fabric.Point(ptr.x, ptr.y), inv));
   }
 
   /*!
@@ -1332,6 +3180,7 @@ class GCA2DRenderer {
       let y = s * this._canvas.height / 2;
       // this._canvas.zoomToPoint(new fabric.Point(x, y), s);
       this._canvas.zoomToPoint(new fabric.Point(0, 0), s);
+      this._updateClusters();
       if(this._debug) {
         console.log('DEBUG viewportTransform ' +
                     this._canvas.viewportTransform[0] + ' ' +
@@ -1354,6 +3203,7 @@ class GCA2DRenderer {
   _updateZoom(pos, del) {
     let z = this._canvas.getZoom() * Math.pow(0.95, Math.sign(del));
     this._canvas.zoomToPoint(pos, z);
+    this._updateClusters();
   }
 
   /*!
@@ -1480,38 +3330,66 @@ class GCA2DRenderer {
    * @function	_loadJson
    * @brief	Loads the JSON file at the given URL.
    * @param	url		URL of the JSON file.
+   * @param	kind		Kind of resource being loaded.
+   * @param	on_load		Function called with the loaded object.
    */
-  _loadJson(url, on_load) {
-    this._preLoad();
+  _loadJson(url, kind, on_load) {
+    this._preLoad(url, kind);
     let req = new XMLHttpRequest();
     req.open('GET', url, false);
     req.overrideMimeType("text/html");
+    let handled = false;
     let rscf = function() {
-      if(req.status === 200) {
-        let obj = JSON.parse(req.responseText);
-        on_load(obj);
-        this._postLoad();
-      } else {
-        alert('Failed to load JSON file ' + url + '.');
+      if(req.readyState === 4) {
+	handled = true;
+	if(req.status === 200) {
+	  let obj = undefined;
+	  try {
+	    obj = JSON.parse(req.responseText);
+	  } catch(e) {
+	    this._loadError(url, kind, req.status,
+		'Failed to parse ' + kind + ' file ' + url + ': ' + e.message);
+	    return;
+	  }
+	  on_load(obj);
+	  let len = parseInt(req.getResponseHeader('Content-Length'));
+	  if(isNaN(len)) {
+	    // Size of the UTF-8 text, not the number of UTF-16 characters
+	    len = new TextEncoder().encode(req.responseText).length;
+	  }
+	  this._postLoad(url, kind, len);
+	} else {
+	  this._loadError(url, kind, req.status);
+	}
       }
     };
     req.onreadystatechange = rscf.bind(this);
-    req.send();
+    try {
+      req.send();
+    } catch(e) {
+      /* Synchronous requests throw on network errors, with the state
+       * already done but no readystatechange. */
+      if(!handled) {
+	this._loadError(url, kind, req.status || 0);
+      }
+    }
   }
 
   /*!
    * @function	_loadImage
    * @brief	Loads an image from the given URL.
    * @param     url             URL of the image file.
+   * @param	kind		Kind of resource being loaded.
+   * @param	on_load		Function called with the loaded image.
    */
-  _loadImage(url, on_load) {
-    this._preLoad();
+  _loadImage(url, kind, on_load) {
+    this._preLoad(url, kind);
     fabric.Image.fromURL(url, (img, err) => {
       if(err) {
-        alert('Failed to load image file ' + url + '.');
+	this._loadError(url, kind, undefined);
       } else {
 	on_load(img);
-	this._postLoad();
+	this._postLoad(url, kind);
       }
     });
   }
@@ -1520,47 +3398,115 @@ class GCA2DRenderer {
    * @function	_loadSvg
    * @brief	Loads an SVG object from the given URL.
    * @param     url             URL of the SVG object.
+   * @param	kind		Kind of resource being loaded.
+   * @param	on_load		Function called with the loaded object.
    */
-  _loadSvg(url, on_load) {
-    this._preLoad();
+  _loadSvg(url, kind, on_load) {
+    this._preLoad(url, kind);
     fabric.loadSVGFromURL(url, (obj) => {
-      on_load(fabric.util.groupSVGElements(obj));
-      this._postLoad();
+      if(obj && (obj.length > 0)) {
+	on_load(fabric.util.groupSVGElements(obj));
+	this._postLoad(url, kind);
+      } else {
+	this._loadError(url, kind, undefined);
+      }
     });
   }
 
+  /*!
+   * @function	_loadError
+   * @brief	Handles a failure to load a file by emitting a loaderror
+   * 		event (or logging the error if there are no listeners)
+   * 		then applying the load error policy. Must only be called
+   * 		in place of a _postLoad().
+   * @param	url		URL of the file.
+   * @param	kind		Kind of resource.
+   * @param	status		HTTP status if known.
+   * @param	msg		Optional message.
+   */
+  _loadError(url, kind, status, msg) {
+    let err = new GCALoadError(url, kind, status, msg);
+    let fatal = (this._load_error_policy !== 'continue');
+    if(fatal) {
+      this._load_failed = true;
+    }
+    if(this._events.emit('loaderror', {
+	  url: url,
+	  kind: kind,
+	  status: status,
+	  fatal: fatal,
+	  error: err}) < 1) {
+      console.error(err.message);
+    }
+    this._postLoad(url, kind);
+  }
+
   /*!
    * @function	_startLoad
    * @brief	Called before loading any files.
    */
   _startLoad() {
     this._file_load_cnt = 1;
+    this._load_failed = false;
+    this._load_progress = {total: 0, completed: 0, bytes: 0};
   }
 
   /*!
    * @function  _preLoad
    * @brief	Called before attempting to load required files. Must be
    * 		paired with _postLoad().
+   * @param	url		URL of the file.
+   * @param	kind		Kind of resource.
    */
-  _preLoad() {
+  _preLoad(url, kind) {
     ++(this._file_load_cnt);
+    ++(this._load_progress.total);
+    this._emitProgress(url, kind);
   }
 
   /*!
    * @function  _postLoad
    * @brief	Called after loading required file. Must be paired with
-   * 		_preLoad().
+   * 		_preLoad(), except for the call from _endLoad() for which
+   * 		the URL is undefined.
+   * @param	url		URL of the file.
+   * @param	kind		Kind of resource.
+   * @param	bytes		Size of the file in bytes if known.
    */
-  _postLoad() {
+  _postLoad(url, kind, bytes) {
+    if(this._isDefined(url)) {
+      ++(this._load_progress.completed);
+      if(this._isDefined(bytes)) {
+	this._load_progress.bytes += bytes;
+      }
+      this._emitProgress(url, kind);
+    }
     --(this._file_load_cnt);
-    if(this._file_load_cnt <= 0) {
+    if((this._file_load_cnt <= 0) && !this._load_failed) {
       this._createVisualisation();
       if(this._isDefined(this._post_load_fn)) {
         this._post_load_fn();
       }
+      this._events.emit('loaded', {});
     }
   }
 
+  /*!
+   * @function	_emitProgress
+   * @brief	Emits a loadprogress event.
+   * @param	url		URL of the current file.
+   * @param	kind		Kind of resource.
+   */
+  _emitProgress(url, kind) {
+    let lp = this._load_progress;
+    this._events.emit('loadprogress', {
+	url: url,
+	kind: kind,
+	total: lp.total,
+	completed: lp.completed,
+	bytes: lp.bytes});
+  }
+
   /*!
    * @function	_endLoad
    * @brief	Called after all files have been set loading.
@@ -31,8 +31,14 @@
 
 import * as THREE from './three.module.js';
 import {MARenderer, MARenderMode, MARenderShape} from './MARender.js';
+import {GCAModel, GCALoadError} from './GCAModel.js';
+import {GCAEventEmitter} from './GCAEventEmitter.js';
+import {GCAHover} from './GCAHover.js';
+import {GCAMarkerIO} from './GCAMarkerIO.js';
+import {GCAColorMap} from './GCAColorMap.js';
+import {GCAConfigValidator, GCAConfigError} from './GCAConfigValidator.js';
 
-/* globals XMLHttpRequest */
+/* globals clearInterval, console, setInterval, XMLHttpRequest */
 
 /*!
  * @class	GCA3DRenderer
@@ -46,17 +52,104 @@ import {MARenderer, MARenderMode, MARenderShape} from './MARender.js';
  * @param	cont		Parent container.
  * @param	pick		Picking function called on pick events if
  * 				defined.
+ * \par Events
+ * 		Listeners may be added using on() and removed using off().
+ * 		The events emitted are:
+ * 		  - loadprogress - Emitted as each file starts loading,
+ * 		                receives data and finishes loading, the
+ * 		                event has fields: url, kind ('config',
+ * 		                'spline', 'map' or 'surface'), total
+ * 		                (number of files, which may increase during
+ * 		                loading), completed (number of files loaded
+ * 		                or failed) and bytes (total bytes received
+ * 		                for those files where this is known, which
+ * 		                excludes surfaces).
+ * 		                A surface which has not been loaded within
+ * 		                surfaceLoadTimeout (ms) is counted as
+ * 		                failed.
+ * 		  - loaded -    The models have been added and all the
+ * 		                anatomy mapping files loaded.
+ * 		  - positionchange - The current position has changed, the
+ * 		                event has fields: path (GCA path id),
+ * 		                path_idx (index of the path), index
+ * 		                (position along the path, which may lie
+ * 		                between the path's points) and position
+ * 		                (landmark relative position, see
+ * 		                GCAModel.landmarkPosition()).
+ * 		  - roichange - The ROI has changed, the event has fields:
+ * 		                path, path_idx, start and end (positions
+ * 		                along the paths), start_path and end_path
+ * 		                (GCA ids of the paths of the start and end,
+ * 		                which differ if the ROI spans a junction),
+ * 		                start_position and end_position (landmark
+ * 		                relative positions).
+ * 		  - pick -      A pick, the event has fields: event (the
+ * 		                MARenderer pick event) and objects, types,
+ * 		                names, positions, points, normals, faces
+ * 		                and values as described for _picker().
+ * 		  - hover -     The pointer has moved over the container
+ * 		                (throttled, see setHoverInterval()), the
+ * 		                event has the fields objects, types, names,
+ * 		                positions, points, normals, faces and values
+ * 		                as for a pick event and pointer (position
+ * 		                [x, y] in container pixels).
+ * 		  - markeradded - A marker has been added, the event has
+ * 		                fields: id, position ([x, y, z]), color, text
+ * 		                and metadata.
+ * 		  - markerremoved - A marker has been removed, the event has
+ * 		                the field id.
+ * 		  - markerupdated - A marker has been changed by
+ * 		                updateMarker(), the event has the field id
+ * 		                and those of text, color, visible and
+ * 		                metadata which were changed.
+ * 		  - markermoved - A marker has been dragged to a new
+ * 		                position in marker edit mode (see
+ * 		                setMarkerEditMode()), the event has fields:
+ * 		                id, position ([x, y, z] on the midline), path
+ * 		                (GCA id of the marker's path), index (index
+ * 		                along the path) and path_position (landmark
+ * 		                relative position).
+ * 		  - trackadded - A track has been added, the event has
+ * 		                fields: id, path, start_idx, end_idx, color
+ * 		                (colour or, for a track coloured by or drawn
+ * 		                with values, an object as described for
+ * 		                addTrack()), dist, ang and end_path.
+ * 		  - trackremoved - A track has been removed, the event has
+ * 		                the field id.
+ * 		The pick function is called as before in addition to any
+ * 		pick listeners.
  */
 class GCA3DRenderer {
   constructor(wind, cont, pick) {
     this.type = 'GCA3DRenderer';
+    this._model = new GCAModel();
+    this._events = new GCAEventEmitter(this);
+    this._load_progress = {total: 0, completed: 0, bytes: 0};
+    this._surface_loads = {};	// Surfaces being loaded keyed by model name
+    this._surface_timer = undefined;
+    this.surfaceLoadTimeout = 120000; // Time (ms) before a surface has failed
     this._config = undefined;
     Object.defineProperty(this, 'version', {value: '2.2.1', writable: false});
     this._pickerFn = pick;
     this._curPath = 0;	   	// Current path
-    this._curPathIdx = 0;     	// Index of position on current path
+    this._curPathIdx = 0;     	// Position on current path (may be fractional)
     this._roiIdx = [0, 0];	// Indices defining the ROI on current path
+    this._roiPath = [0, 0];	// Paths of the ROI start and end
+    this._marker_defs = {};	// Marker parameters keyed by id
+    this._track_defs = {};	// Track parameters keyed by id
+    this._track_values = {};	// Track points and values keyed by id
+    this._track_offsets = {};	// Drawn track dist and ang keyed by id
+    this._track_layout = {	// Track layout (see setTrackLayout())
+      mode: 'manual',
+      spacing: undefined,	// Lane spacing, default half the base
+      base: undefined,		// Offset of the first lanes, default disc radius
+      lanes_per_ring: 6,	// Number of lanes around the tangent
+      lanes: {}};		// Lane of each track keyed by id
     this._ren = new MARenderer(wind, cont);
+    this._container = cont;
+    this._hover = new GCAHover(cont, this._onHover.bind(this));
+    this._marker_edit = false;
+    this._marker_drag = undefined;	// Marker being dragged in edit mode
     this.nameSep = '-';
     this.referenceNamePrefix = 'ref';
     this.anatomyNamePrefix = 'ana';
@@ -72,30 +165,98 @@ class GCA3DRenderer {
   /**
    * @class	GCA3DRenderer
    * @function	init
+   * @return	Promise which resolves (to this renderer) once the
+   * 		configuration and all path spline files have been loaded
+   * 		or rejects with a GCALoadError if any fail to load.
+   * 		The promise rejects with a GCAConfigError if the
+   * 		configuration is not valid, validation warnings are
+   * 		logged to the console.
    * @brief	Post creation initialisation.
    * @param	cfg		Configuration file URL or configuration as
    * 				read from a valid configuration file.
    */
   init(cfg) {
-    if(this._isString(cfg)) {
-      cfg = this._loadJson(cfg);
-    }
-    if(this._isArray(cfg)) {
-      cfg = cfg[0];
-    }
-    this._setConfig(cfg);
-    this._loadPaths();
-    this._ren.init();
-    if(!Boolean(this._config.display_props.pick_precision)) {
-      this._config.display_props['pick_precision'] = 1.0;
-    }
-    this._ren.raycaster.linePrecision =
-        this._config.display_props.pick_precision;
-    this._ren.win.addEventListener('pointerdown', this._ren._pick.bind(this._ren),
-        false);
-    this._ren.win.addEventListener('pointerup', this._ren._pick.bind(this._ren),
-        false);
-    this._ren.addEventListener('pick', this._picker.bind(this), false);
+    let prm = this._isString(cfg)?
+              this._loadJson(cfg, 'config'): Promise.resolve(cfg);
+    return(prm.then((c) => {
+      let diag = new GCAConfigValidator().validate(c, '3D');
+      diag.warnings.forEach((w) => {
+        console.warn('GCA3DRenderer config ' + w.pointer + ': ' + w.message);
+      });
+      if(diag.errors.length > 0) {
+        throw new GCAConfigError(diag);
+      }
+      this._setConfig(c);
+      return(this._loadPaths());
+    }).then(() => {
+      this._ren.init();
+      if(!Boolean(this._config.display_props.pick_precision)) {
+        this._config.display_props['pick_precision'] = 1.0;
+      }
+      this._ren.raycaster.linePrecision =
+          this._config.display_props.pick_precision;
+      this._ren.win.addEventListener('pointerdown',
+          this._ren._pick.bind(this._ren), false);
+      this._ren.win.addEventListener('pointerup',
+          this._ren._pick.bind(this._ren), false);
+      this._ren.addEventListener('pick', this._picker.bind(this), false);
+      this._container.addEventListener('pointerdown',
+          this._onPointerDown.bind(this), true);
+      this._container.addEventListener('pointerup',
+          this._onPointerUp.bind(this), true);
+      this._container.addEventListener('pointermove',
+          this._onPointerMove.bind(this), false);
+      this._container.addEventListener('pointerleave',
+          () => this._hover.leave(), false);
+      return(this);
+    }));
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	on
+   * @brief	Adds a listener function for the given event type.
+   * @param	type		Event type.
+   * @param	fn		Listener function which is called with a
+   * 				single event object.
+   */
+  on(type, fn) {
+    this._events.on(type, fn);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	off
+   * @brief	Removes a listener function for the given event type or
+   * 		all listeners for the type if the function is undefined.
+   * @param	type		Event type.
+   * @param	fn		Listener function.
+   */
+  off(type, fn) {
+    this._events.off(type, fn);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	setTooltip
+   * @brief	Enables or disables the tooltip which is shown next to
+   * 		the pointer when it hovers over a landmark (the full
+   * 		anatomy name), a marker (its text) or a track (its id).
+   * @param	enable		True to enable the tooltip.
+   */
+  setTooltip(enable) {
+    this._hover.setTooltipEnabled(enable);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	setHoverInterval
+   * @brief	Sets the minimum time between hover events (and tooltip
+   * 		updates), the default is 100ms.
+   * @param	ms		Interval in milliseconds.
+   */
+  setHoverInterval(ms) {
+    this._hover.setInterval(ms);
   }
 
   /**
@@ -108,28 +269,42 @@ class GCA3DRenderer {
     return(this._config);
   }
 
+  /**
+   * @class	GCA3DRenderer
+   * @function	getModel
+   * @return	The renderer independent model.
+   * @brief	Gets the model which holds the configuration, paths and
+   * 		landmarks.
+   */
+  getModel() {
+    return(this._model);
+  }
+
   /**
    * @class	GCA3DRenderer
    * @function	addModels
+   * @return	Promise which resolves (to this renderer) once all the
+   * 		anatomy mapping files have been loaded or rejects with a
+   * 		GCALoadError if any fail to load.
    * @brief	Adds the given set of models to the renderer. These are
    *    	the (optional) reference surface (reference), the anatomy
    *    	surface models (anatomy-%d), disc orthogonal to the path(s)
    *    	(disc), the path(s) (path-%d) and the landmarks.
-   * @param	pths		An array of mid-line paths through the colon,
-   *				with each path being encoded in a Jsn file
-   *				which has the following form:
+   *    	This must only be called once the promise returned by
+   *    	init() has resolved.
    */
   addModels() {
-    let name = undefined;
+    let maps = [];
     if(Boolean(this._config.reference_surfaces) &&
        this._isArray(this._config.reference_surfaces) &&
        (this._config.reference_surfaces.length > 0)) {
       for(let i = 0, l = this._config.reference_surfaces.length; i < l; ++i) {
         let ref = this._config.reference_surfaces[i];
 	let dsp = ref.display_props;
+	let url = this._config.model_dir + ref.filepath + '/' + ref.filename;
+	this._surfaceLoadStart(url, this.getReferenceName() + String(i));
         this._ren.addModel({name:        this.getReferenceName() + String(i),
-	                    path:	 this._config.model_dir +
-			                 ref.filepath + '/' + ref.filename,
+	                    path:	 url,
 			    color:	 dsp.color,
 			    opacity:	 dsp.opacity,
 			    transparent: true});
@@ -141,16 +316,19 @@ class GCA3DRenderer {
       for(let i = 0, l = this._config.anatomy_surfaces.length; i < l; ++i) {
         let anat = this._config.anatomy_surfaces[i];
 	let dsp = anat.display_props;
+	let url = this._config.model_dir + anat.filepath + '/' + anat.filename;
+	this._surfaceLoadStart(url, this.getAnatomyName(anat.id));
 	this._ren.addModel({name:       this.getAnatomyName(anat.id),
-			    path:       this._config.model_dir +
-		                        anat.filepath + '/' + anat.filename,
+			    path:       url,
 			    color:      dsp.color,
 			    opacity:	dsp.opacity,
 			    transparent: true});
         if(this._isDefined(anat.map_filename)) {
-	  anat['mapping'] = this._loadJson(this._config.model_dir +
-	                                   anat.filepath + '/' +
-	                                   anat.map_filename);
+	  maps.push(this._loadJson(this._config.model_dir +
+	                           anat.filepath + '/' + anat.map_filename,
+				   'map').then((obj) => {
+	    anat['mapping'] = obj;
+	  }));
 	}
       }
     }
@@ -177,7 +355,7 @@ class GCA3DRenderer {
     for(let i = 0; i < this._config.landmarks.length; ++i) {
       let lmk = this._config.landmarks[i];
       for(let j = 0; j < lmk.paths.length; ++j) {
-	let lpi = this._config.pathIdToIdx[lmk.paths[j]];
+	let lpi = this._model.pathIdxFromID(lmk.paths[j]);
 	let pas = this._config.paths[lpi].points[lmk.position[j]];
 	let pos = new THREE.Vector3(pas[0], pas[1], pas[2]);
 	this._ren.addModel({name: this.getLandmarkName(lmk.id),
@@ -189,6 +367,10 @@ class GCA3DRenderer {
 		           position: pos.add(lof)});
       }
     }
+    return(Promise.all(maps).then(() => {
+      this._events.emit('loaded', {});
+      return(this);
+    }));
   }
 
   /**
@@ -233,8 +415,37 @@ class GCA3DRenderer {
    * @param	pos		Position of the marker as an array [x,y,z].
    * @param	col		Colour of the marker.
    * @param	txt		Optional text for label.
+   * @param	metadata	Optional object with any other data for
+   * 				the marker, eg as read by addMarkers().
+   */
+  addMarker(name, pos, col, txt, metadata) {
+    let mpos = [pos[0], pos[1], pos[2]];
+    this._addMarkerModels(name, mpos, col, txt);
+    this._marker_defs[name] = {
+	id: name,
+	position: mpos,
+	color: col,
+	text: txt,
+	metadata: metadata,
+	visible: true};
+    this._events.emit('markeradded', {
+	id: name,
+	position: mpos,
+	color: col,
+	text: txt,
+	metadata: metadata});
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_addMarkerModels
+   * @brief	Adds the render models of a marker and its optional label.
+   * @param	name		Reference name string for the marker.
+   * @param	pos		Position of the marker as an array [x,y,z].
+   * @param	col		Colour of the marker.
+   * @param	txt		Optional text for label.
    */
-  addMarker(name, pos, col, txt) {
+  _addMarkerModels(name, pos, col, txt) {
     pos = new THREE.Vector3(pos[0], pos[1], pos[2]);
     this._ren.addModel({name: this.getMarkerName(name),
                         mode:  MARenderMode.MARKER,
@@ -251,16 +462,286 @@ class GCA3DRenderer {
     }
   }
 
+  /**
+   * @class	GCA3DRenderer
+   * @function	setMarkerEditMode
+   * @brief	Enables or disables marker edit mode. In edit mode
+   * 		markers may be dragged with the first pointer button,
+   * 		the marker following the closest midline point to where
+   * 		the pointer's ray meets the plane through the marker
+   * 		facing the camera. A markermoved event is emitted when
+   * 		the marker is dropped. The view controls are disabled
+   * 		while a marker is dragged.
+   * @param	enable		True to enable marker edit mode.
+   */
+  setMarkerEditMode(enable) {
+    this._marker_edit = Boolean(enable);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	getMarkerEditMode
+   * @return	True if marker edit mode is enabled.
+   * @brief	Checks whether marker edit mode is enabled.
+   */
+  getMarkerEditMode() {
+    return(this._marker_edit);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	addMarkers
+   * @return	Object with the fields added (array of the ids of the
+   * 		markers added) and errors (array of objects with the
+   * 		fields row, id and message for markers not added).
+   * @brief	Adds markers read from CSV or JSON (see GCAMarkerIO).
+   * 		Each marker is placed either by its x, y and z
+   * 		coordinates or by a pair of landmarks and the fraction
+   * 		from the first to the second (as for setPosition()) in
+   * 		which case it is placed on the midline. The marker's
+   * 		label, colour and metadata are also read. An Error is
+   * 		thrown if the data can not be parsed.
+   * @param	data		CSV or JSON text or an array of marker
+   * 				objects.
+   * @param	format		Optional format, either 'csv' or 'json'.
+   */
+  addMarkers(data, format) {
+    let rtn = {added: [], errors: []};
+    let recs = new GCAMarkerIO().parse(data, format);
+    recs.forEach((r, row) => {
+      let msg = undefined;
+      let pos = undefined;
+      let pp = undefined;
+      if(!this._isDefined(r.id)) {
+        msg = 'Marker has no id.';
+      } else if(this._isDefined(r.position)) {
+        if(r.position.length === 3) {
+          pos = r.position;
+        } else {
+          msg = 'Marker position must have x, y and z coordinates.';
+        }
+      } else if(this._isDefined(r.landmarks)) {
+        let f = this._isDefined(r.fraction)? r.fraction: 0.0;
+        let p = this._model.parameterOnPath(r.landmarks[0], r.landmarks[1], f);
+        if(this._isDefined(p[0])) {
+          pos = this._model.pointAt(p[0], p[1]).point;
+          pp = p;
+        } else {
+          msg = 'Marker landmarks not found or not connected.';
+        }
+      } else {
+        msg = 'Marker has neither a position nor landmarks.';
+      }
+      if(this._isDefined(pos)) {
+        this.addMarker(r.id, pos, r.color, r.label, r.metadata);
+        if(this._isDefined(pp)) {
+          this._setMarkerPath(r.id, pp[0], pp[1]);
+        }
+        rtn.added.push(r.id);
+      } else {
+        rtn.errors.push({row: row, id: r.id, message: msg});
+      }
+    });
+    return(rtn);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	exportMarkers
+   * @return	CSV or JSON text.
+   * @brief	Exports all the markers as CSV or JSON (see GCAMarkerIO)
+   * 		which can be read by addMarkers(). Each marker has its id,
+   * 		label, colour, position, the landmarks enclosing its
+   * 		closest midline point with the fraction between them and
+   * 		its metadata.
+   * @param	format		Format, either 'csv' or 'json'.
+   */
+  exportMarkers(format) {
+    let recs = this.getMarkers().map((m) => ({
+        id: m.id,
+        label: m.text,
+        color: m.color,
+        position: m.position,
+        landmarks: m.landmarks,
+        fraction: m.fraction,
+        metadata: m.metadata}));
+    return(new GCAMarkerIO().format(recs, format));
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	getMarkers
+   * @return	Array of marker records.
+   * @brief	Gets the markers as plain records, each an object with
+   * 		the fields:
+   * 		  - id -        Marker id.
+   * 		  - text -      Label text or undefined.
+   * 		  - color -     Colour or undefined.
+   * 		  - position -  Position [x, y, z].
+   * 		  - path -      GCA id of the marker's path if it was
+   * 		                placed on the midline (by landmarks or
+   * 		                by dragging), otherwise of the path of
+   * 		                the closest midline point to the marker.
+   * 		  - index -     Index along the path of that point.
+   * 		  - landmarks - GCA ids of the landmarks enclosing that
+   * 		                point.
+   * 		  - fraction -  Fraction of the distance from the first
+   * 		                landmark to the second.
+   * 		  - visible -   True unless the marker has been hidden.
+   * 		  - metadata -  Copy of the marker's metadata object.
+   * 		The markers may be filtered to those with their midline
+   * 		point within a landmark interval or the current ROI.
+   * @param	filter		Optional object with either of the fields:
+   * 				landmarks (array of the GCA ids of two
+   * 				landmarks, selecting the markers between
+   * 				them) or roi (true to select the markers
+   * 				within the ROI).
+   */
+  getMarkers(filter) {
+    let rng = this._markerRange(filter);
+    let recs = [];
+    Object.values(this._marker_defs).forEach((md) => {
+      let pi = this._model.pathIdxFromID(md.path);
+      let pp = this._isDefined(pi)? [pi, md.index]:
+               this._model.positionToPath(md.position, Number.MAX_VALUE);
+      if(!this._isDefined(rng) ||
+         (this._isDefined(pp) &&
+	  this._model.onRoute(rng[0], rng[1], rng[2], rng[3], pp[0], pp[1]))) {
+	let lp = this._isDefined(pp)?
+	         this._model.landmarkPosition(pp[0], pp[1]): undefined;
+	recs.push({
+	    id: md.id,
+	    text: md.text,
+	    color: md.color,
+	    position: [md.position[0], md.position[1], md.position[2]],
+	    path: this._isDefined(pp)? this._config.paths[pp[0]].id: undefined,
+	    index: this._isDefined(pp)? pp[1]: undefined,
+	    landmarks: this._isDefined(lp)? lp.landmarks: undefined,
+	    fraction: this._isDefined(lp)? lp.fraction: undefined,
+	    visible: md.visible,
+	    metadata: Object.assign({}, md.metadata)});
+      }
+    });
+    return(recs);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	updateMarker
+   * @return	True if the marker was found.
+   * @brief	Updates a marker's label text, colour, visibility and / or
+   * 		metadata, emitting a markerupdated event.
+   * @param	name		Reference name string of the marker.
+   * @param	changes		Object with any of the fields: text (label
+   * 				text, undefined or empty for no label),
+   * 				color, visible and metadata (fields merged
+   * 				into the marker's metadata, with those set
+   * 				to undefined being removed).
+   */
+  updateMarker(name, changes) {
+    let md = this._marker_defs[name];
+    if(this._isDefined(md) && (typeof changes === 'object')) {
+      let ev = {id: name};
+      if(('text' in changes) || ('color' in changes)) {
+        if('text' in changes) {
+	  md.text = changes.text;
+	  ev['text'] = changes.text;
+	}
+	if('color' in changes) {
+	  md.color = changes.color;
+	  ev['color'] = changes.color;
+	}
+	this._ren.removeModel(this.getMarkerName(name));
+	this._ren.removeModel(this.getMarkerLblName(name));
+	this._addMarkerModels(name, md.position, md.color, md.text);
+      }
+      if('visible' in changes) {
+        md.visible = Boolean(changes.visible);
+	ev['visible'] = md.visible;
+      }
+      if(!md.visible || ('visible' in changes)) {
+	[this.getMarkerName(name), this.getMarkerLblName(name)].forEach((n) => {
+	  if(this._ren.getObjectByName(n)) {
+	    this._ren.updateModel({name: n, visible: md.visible});
+	  }
+	});
+      }
+      if(this._isDefined(changes.metadata) &&
+         (typeof changes.metadata === 'object')) {
+        md.metadata = Object.assign({}, md.metadata);
+	for(const k in changes.metadata) {
+	  if(this._isDefined(changes.metadata[k])) {
+	    md.metadata[k] = changes.metadata[k];
+	  } else {
+	    delete md.metadata[k];
+	  }
+	}
+	ev['metadata'] = Object.assign({}, changes.metadata);
+      }
+      this._events.emit('markerupdated', ev);
+    }
+    return(this._isDefined(md));
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_setMarkerPath
+   * @brief	Records the midline point of a marker placed on the
+   * 		midline, so that its path is known even where paths
+   * 		meet.
+   * @param	name		Reference name string of the marker.
+   * @param	path_idx	Index of the marker's path.
+   * @param	index		Index along the path.
+   */
+  _setMarkerPath(name, path_idx, index) {
+    let md = this._marker_defs[name];
+    if(this._isDefined(md)) {
+      md.path = this._config.paths[path_idx].id;
+      md.index = index;
+    }
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_markerRange
+   * @return	Array [<path index>, <start>, <path index>, <end>] or
+   * 		undefined if there is no filter. If the filter's
+   * 		landmarks are not found the range is empty.
+   * @brief	Finds the midline range selected by a marker filter (see
+   * 		getMarkers()).
+   * @param	filter		Marker filter or undefined.
+   */
+  _markerRange(filter) {
+    let rng = undefined;
+    if(this._isDefined(filter) && (typeof filter === 'object')) {
+      if(this._isArray(filter.landmarks)) {
+        let l = filter.landmarks;
+	let p0 = this._model.parameterOnPath(l[0], l[1], 0.0);
+	let p1 = this._model.parameterOnPath(l[0], l[1], 1.0);
+	rng = [p0[0], p0[1], p1[0], p1[1]];
+      } else if(filter.roi) {
+        rng = [this._roiPath[0], this._roiIdx[0],
+	       this._roiPath[1], this._roiIdx[1]];
+      }
+    }
+    return(rng);
+  }
+
   /**
    * @class	GCA3DRenderer
    * @function  removeMarker
    * @brief	Removes the marker (and it's optional text label) with the
-   * 		given reference name.
+   * 		given reference name. Nothing is done if there is no such
+   * 		marker.
    * @param	Reference name string of the marker.
    */
   removeMarker(name) {
-    this._ren.removeModel(this.getMarkerName(name));
-    this._ren.removeModel(this.getMarkerLblName(name));
+    if(this._isDefined(this._marker_defs[name])) {
+      this._ren.removeModel(this.getMarkerName(name));
+      this._ren.removeModel(this.getMarkerLblName(name));
+      delete this._marker_defs[name];
+      this._events.emit('markerremoved', {id: name});
+    }
   }
 
   /**
@@ -284,32 +765,7 @@ class GCA3DRenderer {
    * @param     f1      Fraction from lmk2 to lmk3 of end point.
    */
   mapIntervalToMidline(lmk0, lmk1, f0, lmk2, lmk3, f1) {
-    let pse = undefined;
-    let lmk = [lmk0, lmk1, lmk2, lmk3];
-    let lmp = Array(4);
-    let l0;
-    for(let i = 0; i < 4; ++i) {
-      let l1 = this.landmarkFromAnatID(lmk[i]);
-      if(typeof l1 !== 'undefined') {
-        lmp[i] = l1.position;
-        if((i > 0) && (l0.paths[0] !== l1.paths[0])) {
-          lmp = undefined;
-        }
-      } else {
-        lmp = undefined;
-        break;
-      }
-      if(typeof lmp === 'undefined') {
-        break;
-      }
-      l0 = l1;
-    }
-    if(typeof lmp !== 'undefined') {
-      pse = [l0.paths[0],
-             Number(lmp[0]) + Math.floor(f0 * (lmp[1] - lmp[0])),
-             Number(lmp[2]) + Math.floor(f1 * (lmp[3] - lmp[2]))];
-    }
-    return(pse);
+    return(this._model.mapIntervalToMidline(lmk0, lmk1, f0, lmk2, lmk3, f1));
   }
 
   /**
@@ -320,82 +776,681 @@ class GCA3DRenderer {
    * @param     id      Required landmark's GCA anatomy id
    */
   landmarkFromAnatID(id) {
-    var lmk = undefined;
-    let lmks = this._config.landmarks;
-    for(let li = 0; li < lmks.length; ++li) {
-      let l = lmks[li];
-      if(l.anatomy[0].id === id) {
-        lmk = l;
-        break;
+    return(this._model.landmarkFromAnatID(id));
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	addTrack
+   * @brief	Adds a track (line parallel to a midline path). In the
+   * 		stack track layout (see setTrackLayout()) the given
+   * 		distance and angle are kept but the track is drawn in a
+   * 		lane assigned by the layout.
+   * @param	name		Reference name string for the track.
+   * @param	path_id		Midline path id.
+   * @param	start_idx	Index along the path at which the track starts.
+   * @param	end_idx		Index along the path at which the track ends.
+   * @param	col		Colour for the track, or for a track
+   * 				coloured by values an object with the fields
+   * 				values, colormap and range (see
+   * 				addValueTrack()), or for a ribbon an object
+   * 				with the fields color, ribbon (values, mode
+   * 				and scale) and optionally values, colormap
+   * 				and range (see addRibbonTrack()).
+   * @param	dist		Distance from the midline for the track.
+   * @param	ang		Angle for the track with respect to the
+   * 				midline's reference normal in radians.
+   * @param	end_path_id	Optional midline path id of the end of the
+   * 				track, if given and not the same as path_id
+   * 				the track follows the route between the
+   * 				paths through their junctions.
+   */
+  addTrack(name, path_id, start_idx, end_idx, col, dist, ang, end_path_id) {
+    let path_idx = this._model.pathIdxFromID(path_id);
+    let end_path_idx = this._isDefined(end_path_id)?
+                       this._model.pathIdxFromID(end_path_id): path_idx;
+    let ri = undefined;
+    if((path_idx !== undefined) && (end_path_idx !== undefined)) {
+      ri = this._model.routeIndices(path_idx, start_idx,
+                                    end_path_idx, end_idx);
+    }
+    if(this._isDefined(ri) && (ri.length > 0)) {
+      if(path_idx === end_path_idx) {
+        start_idx = ri[0][1];
+        end_idx = ri[ri.length - 1][1];
+      }
+      this._track_defs[name] = {
+	  id: name,
+	  path: path_id,
+	  start_idx: start_idx,
+	  end_idx: end_idx,
+	  color: col,
+	  dist: dist,
+	  ang: ang,
+	  end_path: this._config.paths[end_path_idx].id};
+      if(this._track_layout.mode === 'stack') {
+        this._layoutTracks();
+      } else {
+        this._drawTrack(name, dist, ang);
       }
+      this._events.emit('trackadded', {
+	  id: name,
+	  path: path_id,
+	  start_idx: start_idx,
+	  end_idx: end_idx,
+	  color: col,
+	  dist: dist,
+	  ang: ang,
+	  end_path: this._config.paths[end_path_idx].id});
     }
-    return(lmk);
   }
 
   /**
    * @class	GCA3DRenderer
-   * @function	addTrack
-   * @brief	Adds a track (line parallel to a midline path).
+   * @function	setTrackLayout
+   * @brief	Sets how tracks are placed about the midline and lays out
+   * 		all the tracks again. In the manual layout (the default)
+   * 		each track is drawn at the distance and angle given when
+   * 		it was added. In the stack layout tracks are assigned
+   * 		lanes, with tracks which cover overlapping ranges of a
+   * 		path being in different lanes, and the lanes are placed
+   * 		at equal angles around the tangent in rings of increasing
+   * 		distance from the midline. Tracks are laid out again as
+   * 		they are added and removed.
+   * @param	mode		Either 'manual' or 'stack'.
+   * @param	opt		Optional object with the fields: base
+   * 				(distance of the first ring of lanes from
+   * 				the midline, default the disc radius),
+   * 				spacing (distance between rings, default
+   * 				half the base) and lanes_per_ring (number of
+   * 				lanes in each ring, default 6).
+   */
+  setTrackLayout(mode, opt) {
+    let lyt = this._track_layout;
+    if((mode !== 'manual') && (mode !== 'stack')) {
+      throw new Error('GCA3DRenderer unknown track layout ' + mode + '.');
+    }
+    lyt.mode = mode;
+    if(this._isDefined(opt) && (opt !== null)) {
+      ['spacing', 'base', 'lanes_per_ring'].forEach((k) => {
+        if(k in opt) {
+	  lyt[k] = opt[k];
+	}
+      });
+    }
+    this._layoutTracks();
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	getTrackLayout
+   * @return	Object with the fields mode, spacing, base,
+   * 		lanes_per_ring and lanes, lanes being an object keyed by
+   * 		track name with each track's lane, dist and ang (lane
+   * 		being undefined in the manual layout and dist and ang
+   * 		undefined for a track which has not been drawn).
+   * @brief	Gets the track layout (see setTrackLayout()).
+   */
+  getTrackLayout() {
+    let lyt = this._track_layout;
+    let lanes = {};
+    Object.keys(this._track_defs).forEach((id) => {
+      let to = this._track_offsets[id];
+      let drawn = this._isDefined(to);
+      lanes[id] = {
+	lane: lyt.lanes[id],
+	dist: drawn? to.dist: undefined,
+	ang: drawn? to.ang: undefined};
+    });
+    let sp = this._laneSpacing();
+    return({
+      mode: lyt.mode,
+      spacing: sp[1],
+      base: sp[0],
+      lanes_per_ring: lyt.lanes_per_ring,
+      lanes: lanes});
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_layoutTracks
+   * @brief	Lays out all the tracks for the current track layout (see
+   * 		setTrackLayout()), redrawing those which have moved.
+   */
+  _layoutTracks() {
+    let lyt = this._track_layout;
+    let ids = Object.keys(this._track_defs);
+    let offs = ids.map((id) => {
+      let td = this._track_defs[id];
+      return({dist: td.dist, ang: td.ang});
+    });
+    lyt.lanes = {};
+    if(lyt.mode === 'stack') {
+      let lanes = this._model.assignLanes(
+          ids.map((id) => this._trackRoute(this._track_defs[id])));
+      let sp = this._laneSpacing();
+      let npr = Math.max(Math.floor(lyt.lanes_per_ring), 1);
+      offs = lanes.map((l, k) => {
+	lyt.lanes[ids[k]] = l;
+        return({
+	  dist: sp[0] + (sp[1] * Math.floor(l / npr)),
+	  ang: 2.0 * Math.PI * (l % npr) / npr});
+      });
+    }
+    ids.forEach((id, k) => {
+      let to = this._track_offsets[id];
+      if(!this._isDefined(to) ||
+         (to.dist !== offs[k].dist) || (to.ang !== offs[k].ang)) {
+        this._drawTrack(id, offs[k].dist, offs[k].ang);
+      }
+    });
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_laneSpacing
+   * @return	Array of the distance of the first ring of lanes from
+   * 		the midline and the spacing between rings.
+   * @brief	Gets the track lane distances, by default from the disc
+   * 		radius.
+   */
+  _laneSpacing() {
+    let lyt = this._track_layout;
+    let base = lyt.base;
+    if(!this._isDefined(base)) {
+      let dsc = this._isDefined(this._config)? this._config.disc: undefined;
+      base = (this._isDefined(dsc) && this._isDefined(dsc.display_props) &&
+              (dsc.display_props.radius > 0))? dsc.display_props.radius: 1.0;
+    }
+    return([base, this._isDefined(lyt.spacing)? lyt.spacing: base / 2]);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_trackRoute
+   * @return	Route indices (see GCAModel.routeIndices()) or undefined.
+   * @brief	Gets the route of a track.
+   * @param	td		Track parameters as kept in _track_defs.
+   */
+  _trackRoute(td) {
+    let ri = undefined;
+    let path_idx = this._model.pathIdxFromID(td.path);
+    let end_path_idx = this._model.pathIdxFromID(td.end_path);
+    if((path_idx !== undefined) && (end_path_idx !== undefined)) {
+      ri = this._model.routeIndices(path_idx, td.start_idx,
+                                    end_path_idx, td.end_idx);
+    }
+    return(ri);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_drawTrack
+   * @brief	Makes the rendered model of a track, replacing any it
+   * 		already has.
+   * @param	name		Reference name string for the track.
+   * @param	dist		Distance from the midline for the track.
+   * @param	ang		Angle for the track with respect to the
+   * 				midline's reference normal in radians.
+   */
+  _drawTrack(name, dist, ang) {
+    let td = this._track_defs[name];
+    let ri = this._trackRoute(td);
+    this._undrawTrack(name);
+    if(this._isDefined(ri) && (ri.length > 0)) {
+      let col = td.color;
+      let path = this._config.paths[this._model.pathIdxFromID(td.path)];
+      let frm = this._routeFrames(ri);
+      let tgt = frm.map((f) => f.tangent);
+      let pts = frm.map((f) => this._framePoint(f, dist, ang));
+      let m_name = this.getTrackName(name);
+      let dsp = path.display_props;
+      let cm = this._trackColorMap(col);
+      let vals = this._isDefined(cm)?
+                 cm.resample(col.values, pts.length): undefined;
+      let rbn = this._trackRibbon(col, pts.length);
+      if(this._isDefined(rbn)) {
+        let rgb = this._isDefined(cm)? vals.map((v) => cm.rgb(v)): undefined;
+	let mesh = this._makeRibbon(m_name, frm, rbn, dist, ang,
+	                            this._isDefined(cm)? 0xffffff: col.color,
+				    rgb, dsp.opacity);
+	this._addMeshModel(mesh);
+	if(rbn.mode === 'offset') {
+	  pts = frm.map((f, k) => this._framePoint(f,
+	      dist + (rbn.widths[k] / 2), ang));
+	}
+	vals = rbn.values;
+      } else {
+	this._ren.addModel({name: m_name,
+		mode:		MARenderMode.PATH,
+		color:		this._isDefined(cm)? 0xffffff: col,
+		linewidth:	dsp.line_width,
+		vertices:	pts,
+		tangents:	tgt});
+	if(this._isDefined(cm)) {
+	  this._setVertexColors(m_name, vals.map((v) => cm.rgb(v)));
+	}
+      }
+      if(this._isDefined(vals)) {
+        this._track_values[name] = {
+	    points: pts,
+	    values: vals};
+      }
+      this._track_offsets[name] = {dist: dist, ang: ang};
+    }
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_undrawTrack
+   * @brief	Removes the rendered model of a track.
+   * @param	name		Reference name string for the track.
+   */
+  _undrawTrack(name) {
+    if(this._isDefined(this._track_offsets[name])) {
+      this._ren.removeModel(this.getTrackName(name));
+      delete this._track_values[name];
+      delete this._track_offsets[name];
+    }
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	addValueTrack
+   * @return	Legend descriptor for the track's colours (see
+   * 		GCAColorMap.legend()) or undefined on error.
+   * @brief	Adds a track (as addTrack()) which is coloured by values,
+   * 		eg gene expression or cell counts, along it using per
+   * 		vertex colours. The values are taken to be equally spaced
+   * 		from the start of the track to its end and are
+   * 		interpolated between. Missing values (not finite numbers)
+   * 		are shown in the colour map's missing colour.
+   * @param	name		Reference name string for the track.
+   * @param	path_id		Midline path id.
+   * @param	start_idx	Index along the path at which the track starts.
+   * @param	end_idx		Index along the path at which the track ends.
+   * @param	values		Array of values.
+   * @param	colormap	Colour map name or array of colours (see
+   * 				GCAColorMap) or an object with the fields
+   * 				map (name or colours) and range ([min, max],
+   * 				by default the range of the values).
+   * @param	dist		Distance from the midline for the track.
+   * @param	ang		Angle for the track with respect to the
+   * 				midline's reference normal in radians.
+   * @param	end_path_id	Optional midline path id of the end of the
+   * 				track.
+   */
+  addValueTrack(name, path_id, start_idx, end_idx, values, colormap,
+                dist, ang, end_path_id) {
+    let col = {values: values.slice(), colormap: colormap};
+    if(this._isDefined(colormap) && (typeof colormap === 'object') &&
+       !this._isArray(colormap)) {
+      col.colormap = colormap.map;
+      col.range = colormap.range;
+    }
+    this.addTrack(name, path_id, start_idx, end_idx, col, dist, ang,
+                  end_path_id);
+    return(this.getTrackLegend(name));
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	addRibbonTrack
+   * @return	Ribbon descriptor, an object with the fields mode, scale,
+   * 		min and max (range of the values) and legend (see
+   * 		getTrackLegend(), undefined unless coloured by the
+   * 		values), or undefined on error.
+   * @brief	Adds a track (as addTrack()) drawn as a surface whose
+   * 		size varies with values along it. The values are taken to
+   * 		be equally spaced from the start of the track to its end
+   * 		and are interpolated between. In width mode the track is
+   * 		a tube swept along the track's offset from the midline
+   * 		with a diameter of scale * |value|, while in offset mode
+   * 		it is a strip from the track's offset out to a further
+   * 		scale * value in the direction given by the angle (so
+   * 		negative values are toward the midline). Picking a ribbon
+   * 		gives the value under the pointer (see _picker()).
    * @param	name		Reference name string for the track.
    * @param	path_id		Midline path id.
    * @param	start_idx	Index along the path at which the track starts.
    * @param	end_idx		Index along the path at which the track ends.
-   * @param	col		Colour for the track.
+   * @param	values		Array of values.
+   * @param	col		Colour for the ribbon, unused if coloured by
+   * 				the values.
+   * @param	dist		Distance from the midline for the track.
+   * @param	ang		Angle for the track with respect to the
+   * 				midline's reference normal in radians.
+   * @param	end_path_id	Optional midline path id of the end of the
+   * 				track.
+   * @param	opt		Optional object with the fields: mode
+   * 				('width', the default, or 'offset'), scale
+   * 				(distance per unit value, default 1) and
+   * 				colormap (to colour the ribbon by the values,
+   * 				as for addValueTrack()).
+   */
+  addRibbonTrack(name, path_id, start_idx, end_idx, values, col,
+                 dist, ang, end_path_id, opt) {
+    let rtn = undefined;
+    let o = (this._isDefined(opt) && (opt !== null))? opt: {};
+    let spec = {
+      color: col,
+      ribbon: {
+	values: values.slice(),
+	mode: (o.mode === 'offset')? 'offset': 'width',
+	scale: this._isDefined(o.scale)? o.scale: 1.0}};
+    if(this._isDefined(o.colormap)) {
+      spec.values = spec.ribbon.values;
+      spec.colormap = o.colormap;
+      if((typeof o.colormap === 'object') && !this._isArray(o.colormap)) {
+	spec.colormap = o.colormap.map;
+	spec.range = o.colormap.range;
+      }
+    }
+    this.addTrack(name, path_id, start_idx, end_idx, spec, dist, ang,
+                  end_path_id);
+    if(this._isDefined(this._track_defs[name])) {
+      let cm = new GCAColorMap();
+      cm.fitRange(values);
+      let rng = cm.getRange();
+      rtn = {
+	mode: spec.ribbon.mode,
+	scale: spec.ribbon.scale,
+	min: rng[0],
+	max: rng[1],
+	legend: this.getTrackLegend(name)};
+    }
+    return(rtn);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	getTrackLegend
+   * @return	Legend descriptor (see GCAColorMap.legend()) or undefined
+   * 		if the track is not coloured by values.
+   * @brief	Gets the legend descriptor of a track coloured by values.
+   * @param	name		Reference name string of the track.
+   */
+  getTrackLegend(name) {
+    let td = this._track_defs[name];
+    let cm = this._isDefined(td)? this._trackColorMap(td.color): undefined;
+    return(this._isDefined(cm)? cm.legend(): undefined);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_trackColorMap
+   * @return	Colour map (a GCAColorMap) fitted to the values or
+   * 		undefined if the colour is not a colouring by values.
+   * @brief	Makes the colour map of a track colour which is an object
+   * 		with the fields values, colormap and range (see
+   * 		addValueTrack()).
+   * @param	col		Track colour.
+   */
+  _trackColorMap(col) {
+    let cm = undefined;
+    if(this._isDefined(col) && (col !== null) && (typeof col === 'object') &&
+       this._isArray(col.values)) {
+      cm = new GCAColorMap(col.colormap, col.range);
+      cm.fitRange(col.values);
+    }
+    return(cm);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_routeFrames
+   * @return	Array of frames, one for each point of the route, each an
+   * 		object with the fields point, normal (the reference
+   * 		normal), side (the second normal, tangent x normal) and
+   * 		tangent, all coordinate arrays [x, y, z].
+   * @brief	Gets the frames along a path route from which tracks are
+   * 		offset. The path tangents are reversed where the route
+   * 		follows a path toward it's start (see
+   * 		GCAModel.routeDirections()), as in
+   * 		GCAModel.routeSection().
+   * @param	ri		Route indices (see GCAModel.routeIndices()).
+   */
+  _routeFrames(ri) {
+    let frm = [];
+    let dir = this._model.routeDirections(ri);
+    for(let k = 0; k < ri.length; ++k) {
+      let rp = this._config.paths[ri[k][0]];
+      let pp = rp.points[ri[k][1]];
+      let pr = rp.normals[ri[k][1]];
+      let pt = rp.tangents[ri[k][1]];
+      let lt = Math.sqrt((pt[0] * pt[0]) + (pt[1] * pt[1]) + (pt[2] * pt[2]));
+      lt = (lt > 0)? dir[k] / lt: dir[k];
+      pt = [pt[0] * lt, pt[1] * lt, pt[2] * lt];
+      let ps = [(pt[1] * pr[2]) - (pr[1] * pt[2]),
+		(pt[2] * pr[0]) - (pr[2] * pt[0]),
+		(pt[0] * pr[1]) - (pr[0] * pt[1])];
+      frm.push({
+	  point: [pp[0], pp[1], pp[2]],
+	  normal: [pr[0], pr[1], pr[2]],
+	  side: ps,
+	  tangent: [pt[0], pt[1], pt[2]]});
+    }
+    return(frm);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_frameDir
+   * @return	Unit direction coordinate array [x, y, z].
+   * @brief	Gets the direction at an angle around a frame's tangent
+   * 		from its reference normal.
+   * @param	f		Frame (see _routeFrames()).
+   * @param	ang		Angle in radians.
+   */
+  _frameDir(f, ang) {
+    let c = Math.cos(ang);
+    let s = Math.sin(ang);
+    return([0, 1, 2].map((j) => (c * f.normal[j]) + (s * f.side[j])));
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_framePoint
+   * @return	Point coordinate array [x, y, z].
+   * @brief	Gets the point at a distance and angle from a frame's
+   * 		point.
+   * @param	f		Frame (see _routeFrames()).
+   * @param	dist		Distance from the frame's point.
+   * @param	ang		Angle in radians (see _frameDir()).
+   */
+  _framePoint(f, dist, ang) {
+    let d = this._frameDir(f, ang);
+    return([0, 1, 2].map((j) => f.point[j] + (dist * d[j])));
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_trackRibbon
+   * @return	Object with the fields mode, values (values at the
+   * 		points) and widths (scale * value at the points, zero for
+   * 		missing values) or undefined if the track is not a
+   * 		ribbon.
+   * @brief	Computes the sizes of a ribbon track (see
+   * 		addRibbonTrack()).
+   * @param	col		Track colour.
+   * @param	n		Number of points along the track.
+   */
+  _trackRibbon(col, n) {
+    let rbn = undefined;
+    if(this._isDefined(col) && (col !== null) && (typeof col === 'object') &&
+       this._isDefined(col.ribbon) && (col.ribbon !== null) &&
+       this._isArray(col.ribbon.values)) {
+      let r = col.ribbon;
+      let scl = this._isDefined(r.scale)? Number(r.scale): 1.0;
+      let vals = new GCAColorMap().resample(r.values, n);
+      rbn = {
+        mode: (r.mode === 'offset')? 'offset': 'width',
+	values: vals,
+	widths: vals.map((v) => isFinite(v)? scl * v: 0.0)};
+    }
+    return(rbn);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_makeRibbon
+   * @return	New Three.js mesh.
+   * @brief	Makes the surface of a ribbon track. In width mode this
+   * 		is a tube around the track's offset curve with a radius
+   * 		of half the width at each point and in offset mode a
+   * 		double sided strip from the track's offset curve out to
+   * 		the width at each point.
+   * @param	m_name		Name for the mesh.
+   * @param	frm		Route frames (see _routeFrames()).
+   * @param	rbn		Ribbon sizes (see _trackRibbon()).
    * @param	dist		Distance from the midline for the track.
    * @param	ang		Angle for the track with respect to the
    * 				midline's reference normal in radians.
+   * @param	col		Colour of the surface.
+   * @param	rgb		Optional array of colours, one for each
+   * 				point, each an array [r, g, b].
+   * @param	opacity		Opacity of the surface.
+   */
+  _makeRibbon(m_name, frm, rbn, dist, ang, col, rgb, opacity) {
+    const nSeg = 12;		// Number of segments around a tube
+    let n = frm.length;
+    let vtx = [];
+    let nrm = [];
+    let cols = [];
+    let idx = [];
+    let nr = (rbn.mode === 'offset')? 2: nSeg + 1;
+    for(let k = 0; k < n; ++k) {
+      let f = frm[k];
+      let c = this._isDefined(rgb)? rgb[k]: undefined;
+      if(rbn.mode === 'offset') {
+	let d = this._frameDir(f, ang);
+	let t = f.tangent;
+	let fn = [(t[1] * d[2]) - (d[1] * t[2]),
+		  (t[2] * d[0]) - (d[2] * t[0]),
+		  (t[0] * d[1]) - (d[0] * t[1])];
+	[dist, dist + rbn.widths[k]].forEach((o) => {
+	  vtx.push(...this._framePoint(f, o, ang));
+	  nrm.push(...fn);
+	});
+      } else {
+	let ctr = this._framePoint(f, dist, ang);
+	let rad = Math.abs(rbn.widths[k]) / 2;
+	for(let j = 0; j < nr; ++j) {
+	  let d = this._frameDir(f, 2.0 * Math.PI * j / nSeg);
+	  vtx.push(...[0, 1, 2].map((i) => ctr[i] + (rad * d[i])));
+	  nrm.push(...d);
+	}
+      }
+      if(this._isDefined(c)) {
+        for(let j = 0; j < nr; ++j) {
+	  cols.push(c[0], c[1], c[2]);
+	}
+      }
+      if(k > 0) {
+        let r0 = (k - 1) * nr;
+	let r1 = k * nr;
+	for(let j = 0; j < nr - 1; ++j) {
+	  idx.push(r0 + j, r0 + j + 1, r1 + j,
+	           r1 + j, r0 + j + 1, r1 + j + 1);
+	}
+      }
+    }
+    let geom = new THREE.BufferGeometry();
+    geom.setAttribute('position',
+        new THREE.BufferAttribute(new Float32Array(vtx), 3));
+    geom.setAttribute('normal',
+        new THREE.BufferAttribute(new Float32Array(nrm), 3));
+    if(cols.length > 0) {
+      geom.setAttribute('color',
+          new THREE.BufferAttribute(new Float32Array(cols), 3));
+    }
+    geom.setIndex(idx);
+    let op = this._isDefined(opacity)? opacity: 1.0;
+    let mat = new THREE.MeshPhongMaterial({
+	color: col,
+	vertexColors: cols.length > 0,
+	side: THREE.DoubleSide,
+	opacity: op,
+	transparent: op < 1.0});
+    let mesh = new THREE.Mesh(geom, mat);
+    mesh.name = m_name;
+    return(mesh);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_addMeshModel
+   * @brief	Adds a Three.js mesh made by this renderer (eg a ribbon
+   * 		track) as a model of the MARenderer. The MARenderer finds
+   * 		its models by name in its scene, so once the named mesh
+   * 		is in the scene getObjectByName(), updateModel() and
+   * 		removeModel() work on it as on the models made by
+   * 		addModel().
+   * @param	mesh		Named mesh with a single material.
+   */
+  _addMeshModel(mesh) {
+    this._ren.scene.add(mesh);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_setVertexColors
+   * @brief	Sets per vertex colours on a rendered model. Fat line
+   * 		geometries are given a colour per point, otherwise each
+   * 		of the geometry's vertices is given the colour of the
+   * 		point at the same proportion along the geometry, so that
+   * 		the colours are also spread along geometries (eg tubes)
+   * 		which have more vertices than points.
+   * @param	m_name		Name of the model.
+   * @param	rgb		Array of colours, one for each of the
+   * 				model's points, each an array [r, g, b] with
+   * 				components in the range [0, 1].
    */
-  addTrack(name, path_id, start_idx, end_idx, col, dist, ang) {
-    let path = undefined;
-    let path_idx = this._config.pathIdToIdx[path_id];
-    if(path_idx !== undefined) {
-      path = this._config.paths[path_idx];
-      if(start_idx > end_idx) {
-        let i = start_idx;
-	start_idx = end_idx;
-	end_idx = i;
-      }
-      if(start_idx < 0) {
-        start_idx = 0;
-      }
-      if(end_idx >= path.n) {
-        end_idx = path.n - 1;
+  _setVertexColors(m_name, rgb) {
+    let obj = this._ren.scene.getObjectByName(m_name);
+    if(obj && obj.geometry && (rgb.length > 0)) {
+      let g = obj.geometry;
+      let n = rgb.length;
+      let cnt = (!g.setColors && g.attributes.position)?
+                g.attributes.position.count: n;
+      let cols = new Float32Array(cnt * 3);
+      for(let j = 0; j < cnt; ++j) {
+        let c = rgb[Math.min(Math.floor(j * n / cnt), n - 1)];
+	cols[3 * j] = c[0];
+	cols[3 * j + 1] = c[1];
+	cols[3 * j + 2] = c[2];
       }
-      let pts = [];
-      let tgt = [];
-      var cad = Math.cos(ang) * dist;
-      var sad = Math.sin(ang) * dist;
-      for(let i = start_idx; i <= end_idx; ++i) {
-        let pp = path.points[i];
-        let pr = path.normals[i];
-        let pt = path.tangents[i];
-	let ps = [(pt[1] * pr[2]) - (pr[1] * pt[2]),
-	          (pt[2] * pr[0]) - (pr[2] * pt[0]),
-		  (pt[0] * pr[1]) - (pr[0] * pt[1])];
-	pts.push([pp[0] + (cad * pr[0] + sad * ps[0]),
-	          pp[1] + (cad * pr[1] + sad * ps[1]),
-		  pp[2] + (cad * pr[2] + sad * ps[2])]);
-	tgt.push([pt[0], pt[1], pt[2]]);
+      if(g.setColors) {
+        g.setColors(cols);	// Fat line geometry
+      } else {
+        g.setAttribute('color', new THREE.BufferAttribute(cols, 3));
       }
-      let m_name = this.getTrackName(name);
-      let dsp = path.display_props;
-      this._ren.addModel({name: m_name,
-	      mode:		MARenderMode.PATH,
-	      color:		col,
-	      linewidth:	dsp.line_width,
-	      vertices:	pts,
-	      tangents:	tgt});
+      let mats = this._isArray(obj.material)? obj.material: [obj.material];
+      mats.forEach((m) => {
+        if(m) {
+	  m.vertexColors = true;
+	  m.needsUpdate = true;
+	}
+      });
     }
   }
 
   /**
    * @class	GCA3DRenderer
    * @function  removeTrack
-   * @brief	Removes the track with the given reference name.
+   * @brief	Removes the track with the given reference name. Nothing
+   * 		is done if there is no such track.
    * @param	name		Reference name string of the track.
    */
   removeTrack(name) {
-    this._ren.removeModel(this.getTrackName(name));
+    if(this._isDefined(this._track_defs[name])) {
+      this._undrawTrack(name);
+      delete this._track_defs[name];
+      if(this._track_layout.mode === 'stack') {
+	this._layoutTracks();
+      }
+      this._events.emit('trackremoved', {id: name});
+    }
   }
 
   /**
@@ -404,7 +1459,9 @@ class GCA3DRenderer {
    * @brief	Sets the current position along the colon. This is defined
    * 		by a proportion from the first to the second given landmark.
    * 		The position of the ROI is similarly defined using it's
-   * 		start and end points.
+   * 		start and end points. Positions are not rounded to the
+   * 		path's points, the cursor and ROI ends are interpolated
+   * 		between them.
    * @param	pmk0		Index of the first current position landmark.
    * @param	pmk1		Index of the second current position landmark.
    * @param	pdt		Proportional distance from the first landmark
@@ -419,10 +1476,105 @@ class GCA3DRenderer {
    * 				ROI landmark to the second.
    */
   setPosition(pmk0, pmk1, pdt, smk0, smk1, sdt, emk0, emk1, edt) {
-    let p = this._indexOnPath(pmk0, pmk1, pdt);
-    let rs = this._indexOnPath(smk0, smk1, sdt);
-    let re = this._indexOnPath(emk0, emk1, edt);
-    this._updatePosition(p[0], p[1], rs[1], re[1]);
+    let p = this._model.parameterOnPath(pmk0, pmk1, pdt);
+    let rs = this._model.parameterOnPath(smk0, smk1, sdt);
+    let re = this._model.parameterOnPath(emk0, emk1, edt);
+    this._updatePosition(p[0], p[1], rs[1], re[1], [rs[0], re[0]]);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	getState
+   * @return	JSON serialisable object with the fields:
+   * 		  - type -       Renderer type ('GCA3DRenderer').
+   * 		  - version -    Renderer version.
+   * 		  - path -       GCA id of the current path.
+   * 		  - index -      Index of the current position on the path.
+   * 		  - roi -        Array of the start and end indices of the
+   * 		                 ROI.
+   * 		  - roi_paths -  Array of the GCA ids of the paths of the
+   * 		                 start and end of the ROI.
+   * 		  - markers -    Array of markers, each with the fields id,
+   * 		                 position ([x, y, z]), color, text,
+   * 		                 metadata, visible and, for markers placed
+   * 		                 on the midline, path (GCA id) and index.
+   * 		  - tracks -     Array of tracks, each with the fields id,
+   * 		                 path, start_idx, end_idx, color, dist, ang
+   * 		                 and end_path.
+   * 		  - camera -     Object with the fields centre, cam_pos and
+   * 		                 up (arrays [x, y, z]) and near and far, as
+   * 		                 for the model views (see setView()).
+   * @brief	Gets a snapshot of the view state which may be restored
+   * 		using setState().
+   */
+  getState() {
+    let pd = this._config.paths[this._curPath];
+    let cam = this._ren.camera;
+    let cen = this._ren.controls.target;
+    let state = {
+      type: this.type,
+      version: this.version,
+      path: pd.id,
+      index: this._curPathIdx,
+      roi: [this._roiIdx[0], this._roiIdx[1]],
+      roi_paths: this._roiPath.map((p) => this._config.paths[p].id),
+      markers: Object.values(this._marker_defs),
+      tracks: Object.values(this._track_defs),
+      camera: {
+        centre: [cen.x, cen.y, cen.z],
+        near: cam.near,
+        far: cam.far,
+        cam_pos: [cam.position.x, cam.position.y, cam.position.z],
+        up: [cam.up.x, cam.up.y, cam.up.z]}};
+    // Copy so that the snapshot is detached from the renderer
+    return(JSON.parse(JSON.stringify(state)));
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	setState
+   * @brief	Restores a view state as returned by getState(). All
+   * 		existing markers and tracks are replaced by those of the
+   * 		state. An Error is thrown if the state is not from a
+   * 		GCA3DRenderer.
+   * @param	state		View state.
+   */
+  setState(state) {
+    if(state.type !== this.type) {
+      throw new Error('GCA3DRenderer can not restore a state of type ' +
+                      state.type + '.');
+    }
+    Object.keys(this._marker_defs).forEach((id) => this.removeMarker(id));
+    Object.keys(this._track_defs).forEach((id) => this.removeTrack(id));
+    let path_idx = this._model.pathIdxFromID(state.path);
+    if(this._isDefined(path_idx)) {
+      let roi_paths = this._isArray(state.roi_paths)?
+          state.roi_paths.map((id) => this._model.pathIdxFromID(id)):
+          undefined;
+      this._updatePosition(path_idx, state.index, state.roi[0], state.roi[1],
+                           roi_paths);
+    }
+    state.tracks.forEach((t) => {
+      this.addTrack(t.id, t.path, t.start_idx, t.end_idx, t.color, t.dist,
+                    t.ang, t.end_path);
+    });
+    state.markers.forEach((m) => {
+      this.addMarker(m.id, m.position, m.color, m.text, m.metadata);
+      let mpi = this._model.pathIdxFromID(m.path);
+      if(this._isDefined(mpi)) {
+        this._setMarkerPath(m.id, mpi, m.index);
+      }
+      if(m.visible === false) {
+        this.updateMarker(m.id, {visible: false});
+      }
+    });
+    let v = state.camera;
+    if(this._isDefined(v)) {
+      let c = new THREE.Vector3(v.centre[0], v.centre[1], v.centre[2]);
+      let p = new THREE.Vector3(v.cam_pos[0], v.cam_pos[1], v.cam_pos[2]);
+      this._ren.setCamera(c, v.near, v.far, p);
+      this._ren.camera.up.set(v.up[0], v.up[1], v.up[2]);
+    }
   }
 
   /**
@@ -435,9 +1587,9 @@ class GCA3DRenderer {
     let dsc = this._config.disc;
     let dsp = dsc.display_props;
     dsp.radius = rad;
-    let pd = this._config.paths[this._curPath];
-    let vtx = pd.points[this._curPathIdx];
-    let tan = pd.tangents[this._curPathIdx];
+    let pa = this._model.pointAt(this._curPath, this._curPathIdx);
+    let vtx = pa.point;
+    let tan = pa.tangent;
     let ext = dsp.thickness;
     if(!Boolean(ext)) {
       ext = 1.0;
@@ -476,44 +1628,123 @@ class GCA3DRenderer {
    * @param path_idx		Index along the path.
    */
   getPosition(path, path_idx) {
-    let rtn = undefined;
-    let landmarks = this._config.landmarks;
-    let lmks = [undefined, undefined];
-    let pi = [-1, -1];
-    /* Find lower and upper containing landmarks of path_idx. */
-    for(let i = 0; i < landmarks.length; ++i)
-    {
-      let pinp = -1;
-      let lmk = landmarks[i];
-      for(let j = 0; j < lmk.paths.length; ++j) {
-	if(path === lmk.paths[j]) {
-	  pinp = j;
-	  break;
-	}
-      }
-      if(pinp >= 0) {
-	if(lmk.position[pinp] <= path_idx) {
-	  if((lmks[0] === undefined) || (i > lmks[0]))
-	  {
-	    pi[0] = pinp;
-	    lmks[0] = i;
-	  }
-	}
-	if(lmk.position[pinp] >= path_idx) {
-	  if((lmks[1] === undefined) || (i < lmks[1]))
-	  {
-	    pi[1] = pinp;
-	    lmks[1] = i;
-	  }
-	}
-      }
+    return(this._model.getPosition(path, path_idx));
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	getCurrentPosition
+   * @return	Object with the fields cursor, roi_start and roi_end,
+   * 		each of which is either a landmark relative position (see
+   * 		GCAModel.landmarkPosition()) or undefined if the position
+   * 		is not enclosed by landmarks.
+   * @brief	Gets the current position and ROI in the landmark
+   * 		coordinate system.
+   */
+  getCurrentPosition() {
+    return({
+      cursor: this._model.landmarkPosition(this._curPath, this._curPathIdx),
+      roi_start: this._model.landmarkPosition(this._roiPath[0],
+                                              this._roiIdx[0]),
+      roi_end: this._model.landmarkPosition(this._roiPath[1],
+                                            this._roiIdx[1])});
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	setPositionByDistance
+   * @brief	Sets the current position and ROI using distances along
+   * 		the path from landmarks (see getDistanceUnits()).
+   * 		Positive distances are toward the end of the path and
+   * 		negative distances toward it's start.
+   * @param	pmk		Id of the current position landmark.
+   * @param	pdst		Distance of the current position from it's
+   * 				landmark.
+   * @param	smk		Id of the start of ROI landmark.
+   * @param	sdst		Distance of the start of ROI from it's
+   * 				landmark.
+   * @param	emk		Id of the end of ROI landmark.
+   * @param	edst		Distance of the end of ROI from it's
+   * 				landmark.
+   */
+  setPositionByDistance(pmk, pdst, smk, sdst, emk, edst) {
+    let p = this._model.positionFromLandmark(pmk, pdst);
+    let rs = this._model.positionFromLandmark(smk, sdst);
+    let re = this._model.positionFromLandmark(emk, edst);
+    if(this._isDefined(p[0]) && this._isDefined(rs[0]) &&
+       this._isDefined(re[0])) {
+      this._updatePosition(p[0], p[1], rs[1], re[1], [rs[0], re[0]]);
     }
-    if((lmks[0] !== undefined) && (lmks[1] !== undefined)) {
-      let p0 = landmarks[lmks[0]].position[pi[0]];
-      let p1 = landmarks[lmks[1]].position[pi[1]];
-      rtn = [lmks[0], lmks[1], (path_idx - p0) / (p1 - p0)];
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	moveCursor
+   * @brief	Moves the current position a distance along the path
+   * 		(see getDistanceUnits()), leaving the ROI unchanged. When
+   * 		moved past the last landmark of the path, if that
+   * 		landmark is shared with another path, the position
+   * 		crosses to the other path (see GCAModel.advance()).
+   * @param	dist		Distance to move, positive distances are
+   * 				toward the end of the path.
+   */
+  moveCursor(dist) {
+    let p = this._model.advance(this._curPath, this._curPathIdx, dist);
+    if(this._isDefined(p[0])) {
+      this._updatePosition(p[0], p[1], this._roiIdx[0], this._roiIdx[1],
+                           this._roiPath);
     }
-    return(rtn);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	getDistance
+   * @return	Signed distance or undefined if the positions are not
+   * 		connected by loaded paths.
+   * @brief	Computes the distance along a path, or the route between
+   * 		paths, from the first position to the second (see
+   * 		getDistanceUnits() and GCAModel.distance()). The distance
+   * 		is negative if the path or route runs backwards.
+   * @param	path0		GCA id of the path of the first position.
+   * @param	idx0		Position along the path of the first
+   * 				position.
+   * @param	path1		GCA id of the path of the second position.
+   * @param	idx1		Position along the path of the second
+   * 				position.
+   */
+  getDistance(path0, idx0, path1, idx1) {
+    return(this._model.distance(this._model.pathIdxFromID(path0), idx0,
+                                this._model.pathIdxFromID(path1), idx1));
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	getLandmarkDistance
+   * @return	Signed distance or undefined if the landmarks are not
+   * 		connected by loaded paths.
+   * @brief	Computes the distance along a path, or the route between
+   * 		paths, from the first landmark to the second (see
+   * 		getDistanceUnits() and GCAModel.landmarkDistance()). The
+   * 		distance is negative if the path or route runs
+   * 		backwards.
+   * @param	lmid0		First landmark id.
+   * @param	lmid1		Second landmark id.
+   */
+  getLandmarkDistance(lmid0, lmid1) {
+    return(this._model.landmarkDistance(lmid0, lmid1));
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	getDistanceUnits
+   * @return	Distance units or undefined.
+   * @brief	Gets the units of distances, these are given by the
+   * 		configuration's distance_units and voxel_size. If the
+   * 		units are undefined then distances are in model
+   * 		coordinates.
+   */
+  getDistanceUnits() {
+    return(this._model.getDistanceUnits());
   }
 
   /**
@@ -531,7 +1762,7 @@ class GCA3DRenderer {
       let rx = /%([0 ]?)(\d*)d/;
       let fmt = template.match(rx);
       let n = parseInt(fmt[2]) || 0;
-      let d = String(this._curPathIdx);
+      let d = String(Math.round(this._curPathIdx));
       if(n > d.length) {
 	d = fmt[1].repeat(n - d.length) + d;
       }
@@ -545,34 +1776,16 @@ class GCA3DRenderer {
    * @class	GCA3DRenderer
    * @function  positionToPath
    * @return    [<path>, <index>, <dsiatance>] or undefined
-   * @brief	Finds a path which intersects the given position and then
-   * 		returns the path and path index. If a path does not pass
-   * 		within the tolerance distance from the position then
-   * 		undefined is returned.
+   * @brief	Finds the path closest to the given position and then
+   * 		returns the path and path index, which may lie between
+   * 		the path's points (see GCAModel.positionToPath()). If a
+   * 		path does not pass within the tolerance from the position
+   * 		then undefined is returned.
    * @param	pos		Position coordinate array ([x, y, z]).
    * @param	tol		Tolerance distance.
    */
   positionToPath(pos, tol) {
-    let fnd = [0, 0, Number.MAX_VALUE];
-    let pv = new THREE.Vector3(pos[0], pos[1], pos[2]);
-    for(let pi = 0; pi < this._config.paths.length; ++pi) {
-      let path = this._config.paths[pi];
-      for(let pj = 0; pj < path.n; ++pj) {
-        let pp = path.points[pj];
-	let d2 = pv.distanceToSquared(new THREE.Vector3(pp[0],pp[1],pp[2]));
-	if(d2 < fnd[2]) {
-	  fnd[0] = pi;
-	  fnd[1] = pj;
-	  fnd[2] = d2;
-	}
-      }
-    }
-    if(fnd[2] < tol) {
-      fnd[2] = Math.sqrt(fnd[2]);
-    } else {
-      fnd = undefined;
-    }
-    return(fnd);
+    return(this._model.positionToPath(pos, tol));
   }
 
   /**
@@ -638,7 +1851,7 @@ class GCA3DRenderer {
    * @param	id		GCA path id.
    */
   getPathName(id) {
-    let pix = this._config.pathIdToIdx[id];
+    let pix = this._model.pathIdxFromID(id);
     let name = this.pathNamePrefix + this.nameSep + pix;
     return(name);
   }
@@ -813,20 +2026,150 @@ class GCA3DRenderer {
   /**
    * @class	GCA3DRenderer
    * @function	_loadJson
-   * @return	Object loaded.
-   * @brief	Loads the JSON file at the given URL.
+   * @return	Promise which resolves to the object loaded or rejects
+   * 		with a GCALoadError.
+   * @brief	Asynchronously loads the JSON file at the given URL.
    * @param	url		URL of the JSON file.
+   * @param	kind		Kind of resource being loaded (eg 'config',
+   * 				'spline' or 'map'), used for error reporting.
+   */
+  _loadJson(url, kind) {
+    return(new Promise((resolve, reject) => {
+      let req = new XMLHttpRequest();
+      let rcv = 0;
+      req.open('GET', url, true);
+      req.overrideMimeType("text/html");
+      this._progressStart(url, kind);
+      req.onprogress = (e) => {
+        this._progressBytes(url, kind, e.loaded - rcv);
+	rcv = e.loaded;
+      };
+      req.onload = (e) => {
+        this._progressBytes(url, kind, e.loaded - rcv);
+	this._progressEnd(url, kind);
+        if(req.status === 200) {
+	  let obj = undefined;
+	  try {
+	    obj = JSON.parse(req.responseText);
+	  } catch(e) {
+	    reject(new GCALoadError(url, kind, req.status,
+	        'Failed to parse ' + kind + ' file ' + url + ': ' + e.message));
+	    return;
+	  }
+	  resolve(obj);
+	} else {
+	  reject(new GCALoadError(url, kind, req.status));
+	}
+      };
+      req.onerror = () => {
+	this._progressEnd(url, kind);
+        reject(new GCALoadError(url, kind, req.status));
+      };
+      req.send(null);
+    }));
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_progressStart
+   * @brief	Records the start of a file load and emits a loadprogress
+   * 		event.
+   * @param	url		URL of the file.
+   * @param	kind		Kind of resource.
+   */
+  _progressStart(url, kind) {
+    ++(this._load_progress.total);
+    this._emitProgress(url, kind);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_progressBytes
+   * @brief	Records the receipt of data for a file being loaded and
+   * 		emits a loadprogress event.
+   * @param	url		URL of the file.
+   * @param	kind		Kind of resource.
+   * @param	bytes		Number of bytes received since the previous
+   * 				call for this file.
+   */
+  _progressBytes(url, kind, bytes) {
+    if(bytes > 0) {
+      this._load_progress.bytes += bytes;
+      this._emitProgress(url, kind);
+    }
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_progressEnd
+   * @brief	Records the end of a file load (successful or not) and
+   * 		emits a loadprogress event.
+   * @param	url		URL of the file.
+   * @param	kind		Kind of resource.
+   */
+  _progressEnd(url, kind) {
+    ++(this._load_progress.completed);
+    this._emitProgress(url, kind);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_emitProgress
+   * @brief	Emits a loadprogress event.
+   * @param	url		URL of the current file.
+   * @param	kind		Kind of resource.
+   */
+  _emitProgress(url, kind) {
+    let lp = this._load_progress;
+    this._events.emit('loadprogress', {
+	url: url,
+	kind: kind,
+	total: lp.total,
+	completed: lp.completed,
+	bytes: lp.bytes});
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_surfaceLoadStart
+   * @brief	Records the start of a surface load. Surfaces are loaded
+   * 		asynchronously by the MARenderer, which adds the model to
+   * 		its scene once loaded, so the renderer's models are
+   * 		checked (see _checkSurfaceLoads()) until it appears.
+   * @param	url		URL of the surface file.
+   * @param	name		Name of the surface model.
+   */
+  _surfaceLoadStart(url, name) {
+    this._surface_loads[name] = {url: url, start: Date.now()};
+    this._progressStart(url, 'surface');
+    if(!this._isDefined(this._surface_timer)) {
+      this._surface_timer = setInterval(() => this._checkSurfaceLoads(), 100);
+    }
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_checkSurfaceLoads
+   * @brief	Records the end of the loads of those surfaces which have
+   * 		been added to the MARenderer or which have not been added
+   * 		within surfaceLoadTimeout, in which case they are taken to
+   * 		have failed. Checking stops once there are no surfaces
+   * 		being loaded.
    */
-  _loadJson(url) {
-    let obj = undefined;
-    let req = new XMLHttpRequest();
-    req.open('GET', url, false);
-    req.overrideMimeType("text/html");
-    req.send(null);
-    if(req.status === 200) {
-      obj = JSON.parse(req.responseText);
+  _checkSurfaceLoads() {
+    let now = Date.now();
+    Object.keys(this._surface_loads).forEach((name) => {
+      let sl = this._surface_loads[name];
+      if(this._ren.getObjectByName(name) ||
+         (now - sl.start > this.surfaceLoadTimeout)) {
+	delete this._surface_loads[name];
+	this._progressEnd(sl.url, 'surface');
+      }
+    });
+    if(Object.keys(this._surface_loads).length === 0) {
+      clearInterval(this._surface_timer);
+      this._surface_timer = undefined;
     }
-    return(obj);
   }
 
   /**
@@ -836,13 +2179,7 @@ class GCA3DRenderer {
    * @param	Given cfg	configuration.
    */
   _setConfig(cfg) {
-    this._config = cfg;
-    if(!(this._config.model_dir)) {
-      this._config['model_dir'] = '';
-    }
-    this._sortCfgLandmarks(cfg);
-    this._findCfgPaths();
-    this._findCfgModelObjects();
+    this._config = this._model.setConfig(cfg);
     this._findCfgViews();
     this._ren.markerSizeSet(this._config.display_props.marker_size);
   }
@@ -850,6 +2187,7 @@ class GCA3DRenderer {
   /**
    * @class	GCA3DRenderer
    * @function	_loadPaths
+   * @return	Promise which resolves once all the paths have been loaded.
    * @brief	Loads the path data into the config using the URLs in
    *  		the config.
    *  		The paths are read from JSON files with the format:
@@ -857,100 +2195,30 @@ class GCA3DRenderer {
      {
        "n": <number of points>,
        "points": [[<x0,y0,z0],...],
-       "tangents": [[<x0,y0,z0],...]
+       "tangents": [[<x0,y0,z0],...],
+       "normals": [[<x0,y0,z0],...]
      }
      \endverbatim				  
+   *  		where the normals are optional. If a path has no normals
+   *  		they are computed as rotation minimising frames (see
+   *  		GCAModel.computeFrames()) smoothed by the path's optional
+   *  		frame_smoothing number of passes, so that tracks do not
+   *  		twist about the path.
    */
   _loadPaths() {
+    let prms = [];
     for(let i = 0, l = this._config.paths.length; i < l; ++i) {
       let path = this._config.paths[i];
-      let path_data = this._loadJson(this._config.model_dir + 
-                                     path.filepath + '/' +
-                                     path.spline_filename);
-      path["n"] = path_data.n;
-      path["points"] = path_data.points;
-      path["tangents"] = path_data.tangents;
-      if(path_data.normals !== undefined) {
-        path["normals"] = path_data.normals;
-      }
-    }
-  }
-
-  /**
-   *
-   * @class	GCA3DRenderer
-   * @function	_sortCfgLandmarks
-   * @brief	Sorts the landmarks in place) in the given configuration.
-   *  		This is done to ensure that landmarks are ordered by their
-   * 		position along (combined) paths.
-   */
-  _sortCfgLandmarks(cfg) {
-    cfg.landmarks.sort((a, b) => {
-      let cmp = a.position[0] - b.position[0];
-      return(cmp);
-    });
-  }
-
-  /**
-   * @class	GCA3DRenderer
-   * @function  _findCfgModelObjects
-   * @brief     Finds model objects and sets easily accessed entries
-   * 		in the config:
-   * 		  config.display_props     <- GLOBAL_DISPLAY_PROP
-   * 		  config.disc              <- DISC
-   * 		  config.reference_surfaces <- REFERENCE_SURFACES
-   * 		  config.anatomy_surfaces  <- [ANATOMY_SURFACES]
-   *            easily accessed in the config.
-   */
-  _findCfgModelObjects() {
-    let cfg = this._config;
-    for(const i in cfg.model_objects) {
-      let mo = cfg.model_objects[i];
-      if(this._isDefined(mo) && this._isDefined(mo.group)) {
-        switch(mo.group) {
-	  case 'GLOBAL_DISPLAY_PROP':
-            cfg['display_props'] = mo.display_props;
-	    break;
-	  case 'DISC':
-            cfg['disc'] = mo;
-	    break;
-	  case 'SECTION_FILES':
-	    if(!this._isDefined(cfg.section_files)) {
-	      cfg['section_files'] = [];
-	    }
-	    let pi = cfg.pathIdToIdx[mo.path];
-	    cfg.section_files[pi] = mo;
-	    break;
-	  case 'REFERENCE_SURFACES':
-	    if(!this._isDefined(cfg.reference_surfaces)) {
-	      cfg.reference_surfaces = [];
-	    }
-	    cfg.reference_surfaces.push(mo);
-	    break;
-	  case 'ANATOMY_SURFACES':
-	    if(!this._isDefined(cfg.anatomy_surfaces)) {
-	      cfg.anatomy_surfaces = [];
-	    }
-	    cfg.anatomy_surfaces.push(mo);
-	    break;
-	  default:
-	    break;
-        }
-      }
-    }
-  }
-
-  /**
-   * @class	GCA3DRenderer
-   * @function	_findCfgPaths
-   * @brief	Build a look up table from path ids to path indices.
-   */
-  _findCfgPaths() {
-    this._config['pathIdToIdx'] = [];
-    for(let i = 0; i < this._config.paths.length; ++i) {
-      let p = this._config.paths[i];
-      this._config.pathIdToIdx[p.id] = i;
+      prms.push(this._loadJson(this._config.model_dir + 
+                               path.filepath + '/' + path.spline_filename,
+			       'spline').then((path_data) => {
+        this._model.setPathData(path, path_data);
+	if(!this._isDefined(path.normals)) {
+	  this._model.computeFrames(path, path.frame_smoothing);
+	}
+      }));
     }
+    return(Promise.all(prms));
   }
 
   /**
@@ -967,67 +2235,6 @@ class GCA3DRenderer {
     }
   }
 
-  /**
-   * @class	GCA3DRenderer
-   * @function	_indexOnPath
-   * @return	Array of path index and position index along the path.
-   * @brief	Finds the index on a path which is dst fraction from the
-   * 		landmark lmn0 toward landmark lmn1. Both landmarks must
-   * 		be on the same path.
-   * @param	lmid0		First landmark id.
-   * @param	lmid1		Second landmark id.
-   * @param	dst		Proportional distance.
-   */
-  _indexOnPath(lmid0, lmid1, dst) {
-    let path = undefined;
-    let path_idx = undefined;
-    let index = undefined;
-    let mi = [-1, -1];
-    let mpi = [-1, -1];
-    let mp = [[], []];
-    let li = 0;
-    let ll = this._config.landmarks.length;
-    // Find landmarks and paths with matching ids
-    while(((mi[0] < 0) || (mi[1] < 0)) && li < ll) {
-      let lmk = this._config.landmarks[li];
-      if(lmk.id === lmid0) {
-	mi[0] = li;
-	mp[0] = lmk.paths;
-      }
-      if(lmk.id == lmid1) {
-	mi[1] = li;
-	mp[1] = lmk.paths;
-      }
-      ++li;
-    }
-    // If matching landmarks found
-    if((mi[0] > -1) && (mi[1] > -1)) {
-      // Check if landmarks share a path
-      li = 0;
-      ll = mp[0].length;
-      let jl = mp[1].length;
-      while((path_idx === undefined) && li < ll) {
-	let ji = 0;
-	for(let ji = 0; ji < jl; ++ji) {
-	  if(mp[0][li] === mp[1][ji]) {
-	    mpi[0] = li;
-	    mpi[1] = ji;
-	    path = mp[0][li];
-	    path_idx = this._config.pathIdToIdx[path];
-	  }
-	}
-        ++li;
-      }
-      if(path_idx !== undefined) {
-        let i0 = this._config.landmarks[mi[0]].position[mpi[0]];
-        let i1 = this._config.landmarks[mi[1]].position[mpi[1]];
-	index = i0 + Math.floor((i1 - i0) * dst);
-	index = this._clamp(index, 0, this._config.paths[path_idx].n - 1);
-      }
-    }
-    return([path_idx, index]);
-  }
-
   /**
    * @class	GCA3DRenderer
    * @function	_updateColon
@@ -1058,22 +2265,33 @@ class GCA3DRenderer {
    * @brief	Update the rendering for a new current path position or
    * 		new highlighted ROI.
    * @param	path		Index of path for current position.
-   * @param	pathIdx		Index of position on path for current position.
-   * @param	roiIdxSrt	Index of position on path for start of ROI.
-   * @param	roiIdxEnd	Index of position on path for end of ROI.
+   * @param	pathIdx		Position on path for current position, this
+   * 				may be fractional (see GCAModel.pointAt()).
+   * @param	roiIdxSrt	Position on path for start of ROI.
+   * @param	roiIdxEnd	Position on path for end of ROI.
+   * @param	roiPath		Optional array of the path indices of the
+   * 				start and end of the ROI, if not given the
+   * 				ROI is on the current path.
    */
-  _updatePosition(path, pathIdx, roiIdxSrt, roiIdxEnd) {
+  _updatePosition(path, pathIdx, roiIdxSrt, roiIdxEnd, roiPath) {
+    let rp = this._roiPaths(path, roiPath);
+    let pos_chg = (path !== this._curPath) || (pathIdx !== this._curPathIdx);
+    let roi_chg = pos_chg || (roiIdxSrt !== this._roiIdx[0]) ||
+                  (roiIdxEnd !== this._roiIdx[1]) ||
+                  (rp[0] !== this._roiPath[0]) || (rp[1] !== this._roiPath[1]);
     this._curPath = path;
     this._curPathIdx = pathIdx;
     this._roiIdx = [roiIdxSrt, roiIdxEnd];
+    this._roiPath = rp;
     //
     let pd = this._config.paths[this._curPath];
     // Update disc
     let dsc = this._config.disc;
     let dsp = dsc.display_props;
     let name = this.getDiscName(dsc.id);
-    let vtx = pd.points[this._curPathIdx];
-    let tan = pd.tangents[this._curPathIdx];
+    let pa = this._model.pointAt(this._curPath, this._curPathIdx);
+    let vtx = pa.point;
+    let tan = pa.tangent;
     let ext = dsp.thickness;
     if(!Boolean(ext)) {
       ext = 1.0;
@@ -1085,8 +2303,10 @@ class GCA3DRenderer {
 	extrude: ext});
     // Update highlight
     name = 'highlight';
-    let vertices = pd.points.slice(this._roiIdx[0], this._roiIdx[1]);
-    let tangents = pd.tangents.slice(this._roiIdx[0], this._roiIdx[1]);
+    let sec = this._model.routeSection(this._roiPath[0], this._roiIdx[0],
+                                       this._roiPath[1], this._roiIdx[1]);
+    let vertices = sec.points;
+    let tangents = sec.tangents;
     if(this._ren.getObjectByName(name)) {
       this._ren.updateModel({name: name,
 	  bloom: true,
@@ -1100,6 +2320,44 @@ class GCA3DRenderer {
 	  vertices:   vertices,
 	  tangents:   tangents});
     }
+    if(pos_chg) {
+      this._events.emit('positionchange', {
+	  path: pd.id,
+	  path_idx: path,
+	  index: pathIdx,
+	  position: this._model.landmarkPosition(path, pathIdx)});
+    }
+    if(roi_chg) {
+      this._events.emit('roichange', {
+	  path: pd.id,
+	  path_idx: path,
+	  start: this._roiIdx[0],
+	  end: this._roiIdx[1],
+	  start_path: this._config.paths[rp[0]].id,
+	  end_path: this._config.paths[rp[1]].id,
+	  start_position: this._model.landmarkPosition(rp[0], this._roiIdx[0]),
+	  end_position: this._model.landmarkPosition(rp[1], this._roiIdx[1])});
+    }
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_roiPaths
+   * @return	Array of the path indices of the start and end of the ROI.
+   * @brief	Checks the paths of the ROI start and end, using the
+   * 		current path for any which are not given or which are not
+   * 		connected to each other.
+   * @param	path		Index of the current path.
+   * @param	roiPath		Array of path indices or undefined.
+   */
+  _roiPaths(path, roiPath) {
+    let rp = [path, path];
+    if(this._isArray(roiPath) && this._isDefined(roiPath[0]) &&
+       this._isDefined(roiPath[1]) &&
+       this._isDefined(this._model.route(roiPath[0], 0, roiPath[1], 0))) {
+      rp = [roiPath[0], roiPath[1]];
+    }
+    return(rp);
   }
 
   /**
@@ -1180,144 +2438,431 @@ class GCA3DRenderer {
    * @function	_picker
    * @brief	Processes pick events before passing them on to the
    * 		client picker function.
-   * 		Currently only paths, landmarks and markers are handled
-   * 		by this function, all other objects are ignored. The
-   * 		first path and/or the first landmarks/marker hit are passed
-   * 		on to the client function, which is called as:
-   *  		  picker(ev, obj, typ, nam, pos)
+   * 		All named objects are handled by this function: the
+   * 		reference surface, anatomy, discs, paths, tracks,
+   * 		landmarks, markers and their labels. The first hit on
+   * 		an object of each kind (with landmarks and markers being
+   * 		one kind and their labels another) is passed on to the
+   * 		client function, which is called as:
+   *  		  picker(ev, obj, typ, nam, pos, pnt, nrm, fce)
    *  		where:
    *  		  - ev  - The event.
    *  		  - obj - Array of Three.js / MARender.js objects.
    *  		  - typ - Array of GCARenderer.js types of objects that
-   *  		          can be picked, these are one of 'path' (path),
-   *  		          'lmkm' (landmark) or 'mrkm' (marker).
+   *  		          can be picked, these are the object name
+   *  		          prefixes, eg 'path' (path), 'lm' (landmark),
+   *  		          'mm' (marker), 'll' (landmark label), 'ml'
+   *  		          (marker label), 'track', 'ana' (anatomy), 'ref'
+   *  		          (reference surface) or 'disc'.
    *              - nam - Array of names as used to create the objects.
    *              - pos - Array of position coordinate arrays ([x, y, z]).
-   * 		The obj, typ, name and pos arrays are of the same length.
+   *                      For paths, landmarks and markers this is the
+   *                      centroid of the hits on the object. For anatomy
+   *                      it is the midline point found using the
+   *                      anatomy's mapping or, if it has no mapping, the
+   *                      closest midline point (see positionToPath()).
+   *              - pnt - Array of the first surface hit point coordinate
+   *                      arrays ([x, y, z]).
+   *              - nrm - Array of the surface normals at the hit points
+   *                      ([x, y, z] in world coordinates) or undefined
+   *                      for objects without faces, eg lines.
+   *              - fce - Array of the face indices of the hits or
+   *                      undefined for objects without faces.
+   * 		The obj, typ, nam, pos, pnt, nrm and fce arrays are of the
+   * 		same length. The pick event also has a values array, of
+   * 		the same length, with the value at the hit for tracks
+   * 		coloured by or drawn with values (see addValueTrack() and
+   * 		addRibbonTrack()) and otherwise undefined.
    * \parma	ev		Event.
    */
   _picker(ev) {
     if(ev && ev.type && (ev.type === 'pick') && this._picker) {
-      /* Find hit on path object nearest to centroid of hits, but
-       * any hit on a landmark or marker will take priority. */
-      let idx = {pth: -1, mkm: -1, ana: -1, trk: -1};
-      let cnt = [];
-      let objA = [];
-      let typA = [];
-      let namA = [];
-      let posA = [];
-      let triA = [];
-      for(let i = 0, l = ev.hitlist.length; i < l; ++i) {
-	let hit = ev.hitlist[i];
-	let obj = hit.object;
-	if(obj && obj.name) {
-	  let tynm = obj.name.split(this.nameSep);
-	  if(tynm.length > 1) {
-	    if(tynm.length > 2) {
-	      tynm = [tynm[0], tynm.slice(1).join(this.nameSep)];
+      let h = this._classifyHits(ev.hitlist);
+      if(h.objects.length > 0) {
+	if(this._isDefined(this._pickerFn)) {
+	  this._pickerFn(ev, h.objects, h.types, h.names, h.positions,
+	                 h.points, h.normals, h.faces);
+	}
+	h['event'] = ev;
+	this._events.emit('pick', h);
+      }
+    }
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_classifyHits
+   * @return	Object with the fields objects, types, names, positions,
+   * 		points, normals, faces and values, these being the arrays
+   * 		described for _picker().
+   * @brief	Classifies a list of ray intersections (nearest first)
+   * 		by the names of the objects hit, as used for both picks
+   * 		and hovers.
+   * @param	hitlist		Array of Three.js intersections.
+   */
+  _classifyHits(hitlist) {
+    /* Find the first hit on each kind of object, for paths, landmarks
+     * and markers the hits on the same object are averaged. */
+    let kind = {};
+    kind[this.pathNamePrefix] = 'pth';
+    kind[this.landmarkNamePrefix] = 'mkm';
+    kind[this.markerNamePrefix] = 'mkm';
+    kind[this.landmarkNameLblPrefix] = 'lbl';
+    kind[this.markerNameLblPrefix] = 'lbl';
+    kind[this.trackNamePrefix] = 'trk';
+    kind[this.anatomyNamePrefix] = 'ana';
+    kind[this.referenceNamePrefix] = 'ref';
+    kind[this.discNamePrefix] = 'dsc';
+    let idx = {};
+    let cnt = [];
+    let objA = [];
+    let typA = [];
+    let namA = [];
+    let posA = [];
+    let pntA = [];
+    let nrmA = [];
+    let triA = [];
+    for(let i = 0, l = hitlist.length; i < l; ++i) {
+      let hit = hitlist[i];
+      let obj = hit.object;
+      if(obj && obj.name) {
+	let tynm = obj.name.split(this.nameSep);
+	if(tynm.length > 1) {
+	  if(tynm.length > 2) {
+	    tynm = [tynm[0], tynm.slice(1).join(this.nameSep)];
+	  }
+	  let k = kind[tynm[0]];
+	  if(this._isDefined(k)) {
+	    if(!this._isDefined(idx[k])) {
+	      idx[k] = objA.length;
+	      cnt.push(1);
+	      objA.push(obj);
+	      typA.push(tynm[0]);
+	      namA.push(tynm[1]);
+	      posA.push(hit.point.clone());
+	      pntA.push([hit.point.x, hit.point.y, hit.point.z]);
+	      nrmA.push(this._hitNormal(hit));
+	      triA.push(hit.faceIndex);
+	    } else if(((k === 'pth') || (k === 'mkm')) &&
+		      (tynm[0] === typA[idx[k]]) &&
+		      (tynm[1] === namA[idx[k]])) {
+	      ++(cnt[idx[k]]);
+	      posA[idx[k]].add(hit.point);
 	    }
-	    if(tynm[0] === this.pathNamePrefix) {
-	      if(idx.pth < 0) {
-		idx.pth = objA.length;
-		cnt.push(1);
-		objA.push(obj);
-		typA.push(tynm[0]);
-		namA.push(tynm[1]);
-		posA.push(hit.point);
-		triA.push(0);
-	      } else if(tynm[1] === namA[idx.pth]) {
-		++(cnt[idx.pth]);
-		posA[idx.pth].add(hit.point);
-	      }
-	    } else if((tynm[0] === this.landmarkNamePrefix) ||
-	              (tynm[0] === this.markerNamePrefix)) {
-	      if(idx.mkm < 0) {
-		idx.mkm = objA.length;
-		cnt.push(1);
-		objA.push(obj);
-		typA.push(tynm[0]);
-		namA.push(tynm[1]);
-		posA.push(hit.point);
-		triA.push(0);
-	      } else if((tynm[0] === typA[idx.pth]) &&
-		        (tynm[1] === namA[idx.pth])){
-		++(cnt[idx.pth]);
-		posA[idx.pth].add(hit.point);
-	      }
-	    } else if(tynm[0] === this.trackNamePrefix) {
-	      if(idx.trk < 0) {
-	        idx.trk  = objA.length;
-                cnt.push(1);
-		objA.push(obj);
-		typA.push(tynm[0]);
-		namA.push(tynm[1]);
-		posA.push(hit.point);
-              }
-	    } else if(tynm[0] === this.anatomyNamePrefix) {
-	      if(idx.ana < 0) {
-	        idx.ana  = objA.length;
-                cnt.push(1);
-		objA.push(obj);
-		typA.push(tynm[0]);
-		namA.push(tynm[1]);
-		posA.push(hit.point);
-		triA.push(hit.faceIndex);
-              }
-            }
 	  }
 	}
       }
-      if(objA.length > 0) {
-	for(let i = 0; i < objA.length; ++i) {
-	  if(typA[i] === this.anatomyNamePrefix) {
-	    /* Map anatomy surface hit to path if possible. */
-	    let g = objA[i].geometry;
-	    let an = this.getAnatomyConfig(namA[i]);
-	    if(this._isDefined(an) && this._isDefined(an.mapping) &&
-	       this._isDefined(g.index)  &&
-	       this._isDefined(g.attributes.position)){
-	      let t = triA[i] * 3;
-	      let ti = [g.index.array[t], g.index.array[t + 1],
-	                g.index.array[t + 2]];
-	      let p = g.attributes.position.array;
-	      let tv = new Array(3);
-	      let mp = new Array(3);
-	      for(let j = 0; j < 3; ++j) {
-		let v = ti[j] * 3;
-		mp[j] = an.mapping[ti[i]];
-	        tv[j] = new THREE.Vector3(p[v], p[v + 1], p[v + 2]);
-	      }
-	      // Do barycentric interpolation in triangle
-	      let tw = this._baryCoords(tv, posA[i]);
-	      let pi = Math.floor(mp[0] * tw[0] + 
-	          mp[1] * tw[1] + mp[2] * tw[2]);
-	      // Compute path coordinates
-	      let path = this._config.paths[this._curPath];
-	      pi = this._clamp(pi, 0, path.n - 1);
-	      posA[i] = path.points[pi];
-	    } else {
-	      // Something wrong, eg no mapping for anatomy so flag for removal
-	      objA[i] = undefined;
-	    }
+    }
+    for(let i = 0; i < objA.length; ++i) {
+      if(typA[i] === this.anatomyNamePrefix) {
+	/* Map anatomy surface hit to path if possible. */
+	let g = objA[i].geometry;
+	let an = this.getAnatomyConfig(namA[i]);
+	if(this._isDefined(an) && this._isDefined(an.mapping) &&
+	   this._isDefined(g.index)  &&
+	   this._isDefined(g.attributes.position)){
+	  let t = triA[i] * 3;
+	  let ti = [g.index.array[t], g.index.array[t + 1],
+		    g.index.array[t + 2]];
+	  let p = g.attributes.position.array;
+	  let tv = new Array(3);
+	  let mp = new Array(3);
+	  for(let j = 0; j < 3; ++j) {
+	    let v = ti[j] * 3;
+	    mp[j] = an.mapping[ti[j]];
+	    tv[j] = new THREE.Vector3(p[v], p[v + 1], p[v + 2]);
+	  }
+	  // Do barycentric interpolation in triangle
+	  let tw = this._baryCoords(tv, posA[i]);
+	  let pi = Math.floor(mp[0] * tw[0] + 
+	      mp[1] * tw[1] + mp[2] * tw[2]);
+	  // Compute path coordinates
+	  let path = this._config.paths[this._curPath];
+	  pi = this._clamp(pi, 0, path.n - 1);
+	  posA[i] = path.points[pi];
+	} else {
+	  /* No mapping so use the closest point on any path. */
+	  let pp = this._model.positionToPath(pntA[i], Number.MAX_VALUE);
+	  if(this._isDefined(pp)) {
+	    posA[i] = this._model.pointAt(pp[0], pp[1]).point;
 	  } else {
-	    let p = posA[i].divideScalar(cnt[i]);
-	    posA[i] = [p.x, p.y, p.z];
+	    // No paths loaded so flag for removal
+	    objA[i] = undefined;
 	  }
 	}
-	/* Remove and invalid hits, flagged but undefined object */
-	for(let i = objA.length - 1; i >= 0; --i) {
-	  if(!this._isDefined(objA[i])) {
-            objA.splice(i, 1);
-	    typA.splice(i, 1);
-            namA.splice(i, 1);
-	    posA.splice(i, 1);
-	  }
+      } else {
+	let p = posA[i].divideScalar(cnt[i]);
+	posA[i] = [p.x, p.y, p.z];
+      }
+    }
+    /* Remove and invalid hits, flagged but undefined object */
+    for(let i = objA.length - 1; i >= 0; --i) {
+      if(!this._isDefined(objA[i])) {
+	objA.splice(i, 1);
+	typA.splice(i, 1);
+	namA.splice(i, 1);
+	posA.splice(i, 1);
+	pntA.splice(i, 1);
+	nrmA.splice(i, 1);
+	triA.splice(i, 1);
+      }
+    }
+    return({
+	objects: objA,
+	types: typA,
+	names: namA,
+	positions: posA,
+	points: pntA,
+	normals: nrmA,
+	faces: triA,
+	values: typA.map((t, i) => (t === this.trackNamePrefix)?
+	                           this._trackValueAt(namA[i], pntA[i]):
+				   undefined)});
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_trackValueAt
+   * @return	Value or undefined if the track has no values.
+   * @brief	Gets the value of a track coloured by or drawn with values
+   * 		at its point closest to the given position.
+   * @param	name		Reference name string of the track.
+   * @param	pos		Position coordinate array [x, y, z].
+   */
+  _trackValueAt(name, pos) {
+    let v = undefined;
+    let tv = this._track_values[name];
+    if(this._isDefined(tv)) {
+      let dMin = Number.MAX_VALUE;
+      tv.points.forEach((p, k) => {
+        let d = ((p[0] - pos[0]) * (p[0] - pos[0])) +
+	        ((p[1] - pos[1]) * (p[1] - pos[1])) +
+	        ((p[2] - pos[2]) * (p[2] - pos[2]));
+	if(d < dMin) {
+	  dMin = d;
+	  v = tv.values[k];
+	}
+      });
+    }
+    return(v);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_onPointerMove
+   * @brief	Responds to a pointer move over the container by dragging
+   * 		the marker being edited or else by passing the position on
+   * 		to the (throttled) hover handler if there are hover
+   * 		listeners or the tooltip is enabled. Moves with a button
+   * 		pressed (eg rotating the view) are not hovers.
+   * @param	e		Pointer event.
+   */
+  _onPointerMove(e) {
+    if(this._isDefined(this._marker_drag)) {
+      this._dragMarker(e);
+    } else if(e.buttons !== 0) {
+      this._hover.leave();
+    } else if(this._events.hasListeners('hover') ||
+              this._hover.isTooltipEnabled()) {
+      this._hover.update({clientX: e.clientX, clientY: e.clientY});
+    }
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_onPointerDown
+   * @brief	Responds to a pointer down on the container in marker edit
+   * 		mode by starting a drag if the first button is pressed
+   * 		over a marker (or its label). The event is captured before
+   * 		it reaches the view controls and the renderer's picking,
+   * 		neither of which then see the drag.
+   * @param	e		Pointer event.
+   */
+  _onPointerDown(e) {
+    if(this._marker_edit && (e.button === 0)) {
+      let hits = this._castRay(e).filter((hit) => hit.object.visible);
+      let h = this._classifyHits(hits);
+      let i = h.types.findIndex((t) => (t === this.markerNamePrefix) ||
+                                       (t === this.markerNameLblPrefix));
+      let md = (i >= 0)? this._marker_defs[h.names[i]]: undefined;
+      if(this._isDefined(md)) {
+        let cam = this._ren.camera;
+	let nrm = new THREE.Vector3();
+	cam.getWorldDirection(nrm);
+	let mp = new THREE.Vector3(md.position[0], md.position[1],
+	                           md.position[2]);
+	this._marker_drag = {
+	    id: md.id,
+	    plane: new THREE.Plane().setFromNormalAndCoplanarPoint(nrm, mp),
+	    path: undefined,
+	    index: undefined};
+	this._ren.controls.enabled = false;
+	this._hover.leave();
+	if(this._container.setPointerCapture) {
+	  this._container.setPointerCapture(e.pointerId);
 	}
+	e.stopPropagation();
+      }
+    }
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_dragMarker
+   * @brief	Moves the marker being dragged to the closest midline
+   * 		point (see GCAModel.positionToPath()) to where the
+   * 		pointer's ray meets the drag plane.
+   * @param	e		Pointer event.
+   */
+  _dragMarker(e) {
+    let drg = this._marker_drag;
+    let p = this._setRay(e).ray.intersectPlane(drg.plane,
+                                               new THREE.Vector3());
+    if(p) {
+      let pp = this._model.positionToPath([p.x, p.y, p.z], Number.MAX_VALUE);
+      if(this._isDefined(pp)) {
+        let md = this._marker_defs[drg.id];
+	let pos = this._model.pointAt(pp[0], pp[1]).point;
+	this._ren.removeModel(this.getMarkerName(drg.id));
+	this._ren.removeModel(this.getMarkerLblName(drg.id));
+	this._addMarkerModels(drg.id, pos, md.color, md.text);
+	md.position = [pos[0], pos[1], pos[2]];
+	md.path = this._config.paths[pp[0]].id;
+	md.index = pp[1];
+	drg.path = pp[0];
+	drg.index = pp[1];
       }
-      if(objA.length > 0) {
-	this._pickerFn(ev, objA, typA, namA, posA);
+    }
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_onPointerUp
+   * @brief	Responds to a pointer up on the container by ending any
+   * 		marker drag, emitting a markermoved event if the marker
+   * 		has moved and enabling the view controls again.
+   * @param	e		Pointer event.
+   */
+  _onPointerUp(e) {
+    let drg = this._marker_drag;
+    if(this._isDefined(drg)) {
+      this._marker_drag = undefined;
+      this._ren.controls.enabled = true;
+      e.stopPropagation();
+      let md = this._marker_defs[drg.id];
+      if(this._isDefined(drg.path) && this._isDefined(md)) {
+	this._events.emit('markermoved', {
+	    id: drg.id,
+	    position: [md.position[0], md.position[1], md.position[2]],
+	    path: this._config.paths[drg.path].id,
+	    index: drg.index,
+	    path_position: this._model.landmarkPosition(drg.path, drg.index)});
+      }
+    }
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_setRay
+   * @return	The renderer's ray caster.
+   * @brief	Sets the renderer's ray caster from the camera through the
+   * 		pointer position.
+   * @param	ptr		Pointer position with clientX and clientY
+   * 				fields.
+   */
+  _setRay(ptr) {
+    let r = this._container.getBoundingClientRect();
+    let ndc = new THREE.Vector2(
+        (2.0 * (ptr.clientX - r.left) / r.width) - 1.0,
+        1.0 - (2.0 * (ptr.clientY - r.top) / r.height));
+    let rc = this._ren.raycaster;
+    rc.setFromCamera(ndc, this._ren.camera);
+    return(rc);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_castRay
+   * @return	Array of Three.js intersections (nearest first).
+   * @brief	Intersects the ray from the camera through the pointer
+   * 		position with the scene.
+   * @param	ptr		Pointer position with clientX and clientY
+   * 				fields.
+   */
+  _castRay(ptr) {
+    return(this._setRay(ptr).intersectObjects(this._ren.scene.children, true));
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_onHover
+   * @brief	Responds to a (throttled) hover by casting a ray through
+   * 		the pointer position, emitting a hover event with the
+   * 		visible objects hit and updating the tooltip.
+   * @param	hv		Pointer position with clientX and clientY
+   * 				fields.
+   */
+  _onHover(hv) {
+    let r = this._container.getBoundingClientRect();
+    let h = this._classifyHits(this._castRay(hv).filter(
+        (hit) => hit.object.visible));
+    h['pointer'] = [hv.clientX - r.left, hv.clientY - r.top];
+    this._events.emit('hover', h);
+    this._hover.showTooltip(this._hoverText(h.types, h.names), hv);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_hoverText
+   * @return	Tooltip text or undefined.
+   * @brief	Finds the tooltip text for the first landmark, marker or
+   * 		track (or their labels) in a list of hits.
+   * @param	types		Array of hit types.
+   * @param	names		Array of hit names.
+   */
+  _hoverText(types, names) {
+    let txt = undefined;
+    for(let i = 0; (i < types.length) && !this._isDefined(txt); ++i) {
+      let id = names[i];
+      switch(types[i]) {
+	case this.landmarkNamePrefix:
+	case this.landmarkNameLblPrefix:
+	  txt = this._model.landmarkAnatomyName(id);
+	  break;
+	case this.markerNamePrefix:
+	case this.markerNameLblPrefix:
+	  {
+	    let md = this._marker_defs[id];
+	    txt = (this._isDefined(md) && this._isDefined(md.text))?
+		  md.text: id;
+	  }
+	  break;
+	case this.trackNamePrefix:
+	  txt = id;
+	  break;
+	default:
+	  break;
       }
     }
+    return(txt);
+  }
+
+  /**
+   * @class	GCA3DRenderer
+   * @function	_hitNormal
+   * @return	Normal as an array [x, y, z] or undefined.
+   * @brief	Gets the unit surface normal of a pick hit in world
+   * 		coordinates.
+   * @param	hit		Three.js intersection.
+   */
+  _hitNormal(hit) {
+    let nrm = undefined;
+    if(hit.face && hit.face.normal) {
+      let n = hit.face.normal.clone().transformDirection(
+          hit.object.matrixWorld);
+      nrm = [n.x, n.y, n.z];
+    }
+    return(nrm);
   }
 }
 
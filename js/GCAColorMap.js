@@ -0,0 +1,351 @@
+/*!
+* @file         GCAColorMap.js
+* @author       Bill Hill
+* @date         June 2023
+* @version      $Id$
+* @par
+* Address:
+*               Heriot-Watt University,
+*               Edinburgh, Scotland, EH14 4AS, UK
+* @par
+* Copyright (C), [2023],
+* Heriot-Watt University, Edinburgh, UK.
+*
+* This program is free software; you can redistribute it and/or
+* modify it under the terms of the GNU General Public License
+* as published by the Free Software Foundation; either version 2
+* of the License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be
+* useful but WITHOUT ANY WARRANTY; without even the implied
+* warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR
+* PURPOSE.  See the GNU General Public License for more
+* details.
+*
+* You should have received a copy of the GNU General Public
+* License along with this program; if not, write to the Free
+* Software Foundation, Inc., 51 Franklin Street, Fifth Floor,
+* Boston, MA  02110-1301, USA.
+* @brief	Colour maps for data driven colouring in the Gut Cell
+* 		Atlas renderers.
+*/
+
+/*!
+ * @class	GCAColorMap
+ * @constructor
+ * @brief	Creates a colour map which maps values in a range to
+ * 		colours interpolated between the map's colour stops.
+ * 		Values outside the range are clamped to it and values
+ * 		which are not finite numbers (eg missing values) are
+ * 		given the missing colour.
+ * @param	map		Optional colour map, either the name of one
+ * 				of the built in maps (see names(), default
+ * 				'viridis'), an array of colours (equally
+ * 				spaced) or an array of [<fraction>, <colour>]
+ * 				stops with increasing fractions from 0 to 1.
+ * 				Colours may be CSS hex strings ('#rrggbb') or
+ * 				numbers (0xrrggbb).
+ * @param	range		Optional value range [min, max], if not
+ * 				given the range is [0, 1] until fitted to
+ * 				values (see fitRange()).
+ */
+class GCAColorMap {
+  constructor(map, range) {
+    this.type = 'GCAColorMap';
+    this._maps = {
+      viridis: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e',
+                '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+      magma:   ['#000004', '#180f3d', '#440f76', '#721f81', '#9e2f7f',
+                '#cd4071', '#f1605d', '#fd9668', '#feca8d', '#fcfdbf'],
+      coolwarm: ['#3b4cc0', '#6788ee', '#9abbff', '#c9d7f0', '#edd1c2',
+                 '#f7a889', '#e26952', '#b40426'],
+      hot:     ['#000000', '#ff0000', '#ffff00', '#ffffff'],
+      grey:    ['#000000', '#ffffff']};
+    this.missingColor = '#808080';
+    this._name = undefined;
+    this._stops = [];		// Array of [<fraction>, [r, g, b]]
+    this._range = [0.0, 1.0];
+    this._fixed = false;	// True if the range was given
+    this.setMap(this._isDefined(map)? map: 'viridis');
+    if(this._isArray(range)) {
+      this.setRange(range[0], range[1]);
+    }
+  }
+
+  /**
+   * @class	GCAColorMap
+   * @function	names
+   * @return	Array of the names of the built in colour maps.
+   * @brief	Gets the names of the built in colour maps.
+   */
+  names() {
+    return(Object.keys(this._maps));
+  }
+
+  /**
+   * @class	GCAColorMap
+   * @function	setMap
+   * @brief	Sets the colour map. An Error is thrown if the map is not
+   * 		known or has no colours.
+   * @param	map		Colour map name, array of colours or array
+   * 				of [<fraction>, <colour>] stops.
+   */
+  setMap(map) {
+    let cols = map;
+    this._name = undefined;
+    if(typeof map === 'string') {
+      cols = this._maps[map.toLowerCase()];
+      if(!this._isDefined(cols)) {
+        throw new Error('GCAColorMap unknown colour map ' + map + '.');
+      }
+      this._name = map.toLowerCase();
+    }
+    if(!this._isArray(cols) || (cols.length < 1)) {
+      throw new Error('GCAColorMap colour map has no colours.');
+    }
+    let n = cols.length;
+    this._stops = cols.map((c, i) => {
+      return(this._isArray(c)?
+             [Number(c[0]), this._toRGB(c[1])]:
+             [(n > 1)? i / (n - 1): 0.0, this._toRGB(c)]);
+    });
+  }
+
+  /**
+   * @class	GCAColorMap
+   * @function	setRange
+   * @brief	Sets the value range mapped to the colour map, after which
+   * 		fitRange() has no effect.
+   * @param	min		Value mapped to the first colour.
+   * @param	max		Value mapped to the last colour.
+   */
+  setRange(min, max) {
+    this._range = [Number(min), Number(max)];
+    this._fixed = true;
+  }
+
+  /**
+   * @class	GCAColorMap
+   * @function	getRange
+   * @return	Value range [min, max].
+   * @brief	Gets the value range mapped to the colour map.
+   */
+  getRange() {
+    return([this._range[0], this._range[1]]);
+  }
+
+  /**
+   * @class	GCAColorMap
+   * @function	fitRange
+   * @brief	Sets the value range to that of the finite values given,
+   * 		unless the range has been set by setRange().
+   * @param	values		Array of values.
+   */
+  fitRange(values) {
+    if(!this._fixed) {
+      let mn = Infinity;
+      let mx = -Infinity;
+      values.forEach((v) => {
+        if(this._isValue(v)) {
+          mn = Math.min(mn, v);
+          mx = Math.max(mx, v);
+        }
+      });
+      if(mn <= mx) {
+        this._range = [mn, mx];
+      }
+    }
+  }
+
+  /**
+   * @class	GCAColorMap
+   * @function	resample
+   * @return	Array of n values.
+   * @brief	Resamples an array of values, taken to be equally spaced
+   * 		along an interval, at n equally spaced positions along the
+   * 		same interval using linear interpolation. Where either of
+   * 		the values either side of a position is missing the
+   * 		nearer of the two is used.
+   * @param	values		Array of values.
+   * @param	n		Number of values required.
+   */
+  resample(values, n) {
+    let rs = new Array(n);
+    let m = values.length;
+    for(let k = 0; k < n; ++k) {
+      let v = NaN;
+      if(m === 1) {
+        v = values[0];
+      } else if(m > 1) {
+        let u = (n > 1)? k * (m - 1) / (n - 1): 0.0;
+        let i0 = Math.min(Math.floor(u), m - 2);
+        let f = u - i0;
+        let v0 = values[i0];
+        let v1 = values[i0 + 1];
+        if(this._isValue(v0) && this._isValue(v1)) {
+          v = v0 + (f * (v1 - v0));
+        } else {
+          v = (f < 0.5)? v0: v1;
+        }
+      }
+      rs[k] = this._isValue(v)? v: NaN;
+    }
+    return(rs);
+  }
+
+  /**
+   * @class	GCAColorMap
+   * @function	rgb
+   * @return	Colour as an array [r, g, b] with components in the
+   * 		range [0, 1].
+   * @brief	Maps a value to a colour.
+   * @param	v		Value.
+   */
+  rgb(v) {
+    let c = undefined;
+    if(this._isValue(v)) {
+      let d = this._range[1] - this._range[0];
+      let f = (d > 0.0)? (v - this._range[0]) / d: 0.5;
+      f = Math.min(Math.max(f, 0.0), 1.0);
+      let s = this._stops;
+      if(f <= s[0][0]) {
+        c = s[0][1];
+      } else if(f >= s[s.length - 1][0]) {
+        c = s[s.length - 1][1];
+      } else {
+        let i = 1;
+        while(f > s[i][0]) {
+          ++i;
+        }
+        let g = (f - s[i - 1][0]) / (s[i][0] - s[i - 1][0]);
+        c = [0, 1, 2].map((j) => s[i - 1][1][j] +
+                                 (g * (s[i][1][j] - s[i - 1][1][j])));
+      }
+    } else {
+      c = this._toRGB(this.missingColor);
+    }
+    return([c[0], c[1], c[2]]);
+  }
+
+  /**
+   * @class	GCAColorMap
+   * @function	color
+   * @return	Colour as a CSS hex string ('#rrggbb').
+   * @brief	Maps a value to a colour.
+   * @param	v		Value.
+   */
+  color(v) {
+    let c = this.rgb(v);
+    return('#' + c.map((x) => {
+      let h = Math.round(x * 255).toString(16);
+      return((h.length < 2)? '0' + h: h);
+    }).join(''));
+  }
+
+  /**
+   * @class	GCAColorMap
+   * @function	legend
+   * @return	Legend descriptor, an object with the fields:
+   * 		  - colormap -      Name of the colour map or undefined
+   * 		                    for a custom map.
+   * 		  - min -           Minimum of the value range.
+   * 		  - max -           Maximum of the value range.
+   * 		  - stops -         Array of the colour map's stops, each
+   * 		                    with the fields fraction, value and
+   * 		                    color, from which a gradient may be
+   * 		                    drawn.
+   * 		  - ticks -         Array of equally spaced values, each
+   * 		                    with the fields value and color.
+   * 		  - missing_color - Colour of missing values.
+   * 		All colours are CSS hex strings.
+   * @brief	Describes the colour map and its value range, eg for
+   * 		drawing a legend.
+   * @param	n_ticks		Optional number of ticks (default 5).
+   */
+  legend(n_ticks) {
+    let n = (n_ticks > 1)? Math.floor(n_ticks): 5;
+    let mn = this._range[0];
+    let mx = this._range[1];
+    let ticks = [];
+    for(let i = 0; i < n; ++i) {
+      let v = mn + (i * (mx - mn) / (n - 1));
+      ticks.push({value: v, color: this.color(v)});
+    }
+    return({
+      colormap: this._name,
+      min: mn,
+      max: mx,
+      stops: this._stops.map((s) => {
+        let v = mn + (s[0] * (mx - mn));
+        return({fraction: s[0], value: v, color: this.color(v)});
+      }),
+      ticks: ticks,
+      missing_color: this.color(NaN)});
+  }
+
+  /* Support functions below here. */
+
+  /**
+   * @class	GCAColorMap
+   * @function	_toRGB
+   * @return	Colour as an array [r, g, b] with components in the
+   * 		range [0, 1].
+   * @brief	Converts a colour given as a CSS hex string or number. An
+   * 		Error is thrown if the colour can not be parsed.
+   * @param	c		Colour.
+   */
+  _toRGB(c) {
+    let n = NaN;
+    if(typeof c === 'number') {
+      n = c;
+    } else if(typeof c === 'string') {
+      let s = c.trim().replace(/^(#|0x)/i, '');
+      if(s.length === 3) {
+        s = s.split('').map((x) => x + x).join('');
+      }
+      if(/^[0-9a-f]{6}$/i.test(s)) {
+        n = parseInt(s, 16);
+      }
+    }
+    if(!(n >= 0)) {
+      throw new Error('GCAColorMap invalid colour ' + c + '.');
+    }
+    return([((n >> 16) & 0xff) / 255, ((n >> 8) & 0xff) / 255,
+            (n & 0xff) / 255]);
+  }
+
+  /**
+   * @class	GCAColorMap
+   * @function	_isValue
+   * @return	True if the given value is a finite number.
+   * @brief	Checks for a value which can be mapped.
+   * @param	v		Given value.
+   */
+  _isValue(v) {
+    return((typeof v === 'number') && isFinite(v));
+  }
+
+  /**
+   * @class	GCAColorMap
+   * @function	_isArray
+   * @return	True if array, otherwise false.
+   * @brief	Convenience function to check if a variable is an array.
+   * @param	x		Given variable.
+   */
+  _isArray(x) {
+    return(Array.isArray(x));
+  }
+
+  /**
+   * @class	GCAColorMap
+   * @function	_isDefined
+   * @return	True if defined, otherwise false.
+   * @brief	Convenience function to check if a variable is defined.
+   * @param	x		Given variable.
+   */
+  _isDefined(x) {
+    return(typeof x !== 'undefined');
+  }
+}
+
+export {GCAColorMap};
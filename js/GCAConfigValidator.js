@@ -0,0 +1,592 @@
+/*!
+* @file         GCAConfigValidator.js
+* @author       Bill Hill
+* @date         June 2023
+* @version      $Id$
+* @par
+* Address:
+*               Heriot-Watt University,
+*               Edinburgh, Scotland, EH14 4AS, UK
+* @par
+* Copyright (C), [2023],
+* Heriot-Watt University, Edinburgh, UK.
+*
+* This program is free software; you can redistribute it and/or
+* modify it under the terms of the GNU General Public License
+* as published by the Free Software Foundation; either version 2
+* of the License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be
+* useful but WITHOUT ANY WARRANTY; without even the implied
+* warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR
+* PURPOSE.  See the GNU General Public License for more
+* details.
+*
+* You should have received a copy of the GNU General Public
+* License along with this program; if not, write to the Free
+* Software Foundation, Inc., 51 Franklin Street, Fifth Floor,
+* Boston, MA  02110-1301, USA.
+* @brief	Validation of Gut Cell Atlas model configurations.
+*/
+
+/*!
+ * @class	GCAConfigValidator
+ * @constructor
+ * @brief	Creates a validator for Gut Cell Atlas model
+ * 		configurations. The validator checks the structure of
+ * 		a configuration (as read from a configuration file) before
+ * 		it is used, giving errors for problems which would prevent
+ * 		the configuration being used and warnings for problems
+ * 		which may give unexpected results. Each error or warning
+ * 		has a JSON pointer (RFC 6901) to the part of the
+ * 		configuration at fault.
+ */
+class GCAConfigValidator {
+  constructor() {
+    this.type = 'GCAConfigValidator';
+    this._errors = [];
+    this._warnings = [];
+  }
+
+  /**
+   * @class	GCAConfigValidator
+   * @function	validate
+   * @return	Object {errors: [], warnings: []} in which each error or
+   * 		warning is an object {pointer: <JSON pointer>,
+   * 		message: <message>}.
+   * @brief	Validates the given configuration. The configuration is
+   * 		not modified.
+   * @param	cfg		Configuration as read from a configuration
+   * 				file.
+   * @param	renderer	Optional renderer the configuration is for,
+   * 				either '2D' or '3D'. If given the display
+   * 				properties and model objects required by the
+   * 				renderer are also checked.
+   */
+  validate(cfg, renderer) {
+    let base = '';
+    this._errors = [];
+    this._warnings = [];
+    if(this._isArray(cfg)) {
+      cfg = cfg[0];
+      base = '/0';
+    }
+    if(!this._isObject(cfg)) {
+      this._error(base, 'Configuration must be an object.');
+    } else {
+      let path_ids = this._validatePaths(cfg, base, renderer);
+      this._validateLandmarks(cfg, base, path_ids);
+      this._validateModelObjects(cfg, base, path_ids, renderer);
+      this._validateUnits(cfg, base);
+    }
+    return({errors: this._errors, warnings: this._warnings});
+  }
+
+  /**
+   * @class	GCAConfigValidator
+   * @function	_validatePaths
+   * @return	Object with the valid path ids as keys.
+   * @brief	Validates the paths of a configuration.
+   * @param	cfg		Configuration.
+   * @param	base		JSON pointer to the configuration.
+   * @param	renderer	Renderer, '2D', '3D' or undefined.
+   */
+  _validatePaths(cfg, base, renderer) {
+    let ids = {};
+    let ptr = this._ptr(base, 'paths');
+    if(!this._isArray(cfg.paths) || (cfg.paths.length < 1)) {
+      this._error(ptr, 'Configuration must have a non-empty paths array.');
+    } else {
+      for(let i = 0; i < cfg.paths.length; ++i) {
+        let p = cfg.paths[i];
+        let pp = this._ptr(ptr, i);
+        if(!this._isObject(p)) {
+          this._error(pp, 'Path must be an object.');
+          continue;
+        }
+        if(!this._isId(p.id)) {
+          this._error(this._ptr(pp, 'id'), 'Path must have an id.');
+        } else if(p.id in ids) {
+          this._error(this._ptr(pp, 'id'), 'Duplicate path id ' + p.id + '.');
+        } else {
+          ids[p.id] = true;
+        }
+        this._requireString(p, pp, 'spline_filename', true);
+        this._requireString(p, pp, 'filepath', false);
+        if((renderer === '2D') && !this._isDefined(p.map_filename)) {
+          this._warning(pp, 'Path has no map_filename so points can not ' +
+                        'be mapped to it.');
+        }
+        if(!this._isObject(p.display_props)) {
+          this._error(this._ptr(pp, 'display_props'),
+                      'Path must have display_props.');
+        } else {
+          this._requireKeys(p.display_props, this._ptr(pp, 'display_props'),
+                            ['color', 'line_width'], false);
+        }
+        if(this._isDefined(p.frame_smoothing) &&
+           !(this._isNumber(p.frame_smoothing) &&
+             (p.frame_smoothing >= 0))) {
+          this._error(this._ptr(pp, 'frame_smoothing'),
+                      'Path frame_smoothing must be a non-negative number.');
+        }
+      }
+    }
+    return(ids);
+  }
+
+  /**
+   * @class	GCAConfigValidator
+   * @function	_validateLandmarks
+   * @brief	Validates the landmarks of a configuration.
+   * @param	cfg		Configuration.
+   * @param	base		JSON pointer to the configuration.
+   * @param	path_ids	Object with the valid path ids as keys.
+   */
+  _validateLandmarks(cfg, base, path_ids) {
+    let ids = {};
+    let ptr = this._ptr(base, 'landmarks');
+    if(!this._isArray(cfg.landmarks)) {
+      this._error(ptr, 'Configuration must have a landmarks array.');
+      return;
+    }
+    if(cfg.landmarks.length < 2) {
+      this._warning(ptr, 'At least two landmarks are needed to define ' +
+                    'positions.');
+    }
+    for(let i = 0; i < cfg.landmarks.length; ++i) {
+      let l = cfg.landmarks[i];
+      let lp = this._ptr(ptr, i);
+      if(!this._isObject(l)) {
+        this._error(lp, 'Landmark must be an object.');
+        continue;
+      }
+      if(!this._isId(l.id)) {
+        this._error(this._ptr(lp, 'id'), 'Landmark must have an id.');
+      } else if(l.id in ids) {
+        this._error(this._ptr(lp, 'id'), 'Duplicate landmark id ' + l.id + '.');
+      } else {
+        ids[l.id] = true;
+      }
+      if(!this._isArray(l.paths) || (l.paths.length < 1)) {
+        this._error(this._ptr(lp, 'paths'),
+                    'Landmark must have a non-empty paths array.');
+      } else {
+        for(let j = 0; j < l.paths.length; ++j) {
+          if(!(l.paths[j] in path_ids)) {
+            this._error(this._ptr(this._ptr(lp, 'paths'), j),
+                        'Landmark references non-existent path id ' +
+                        l.paths[j] + '.');
+          }
+        }
+        if(!this._isArray(l.position) ||
+           (l.position.length !== l.paths.length)) {
+          this._error(this._ptr(lp, 'position'),
+                      'Landmark must have a position array with one ' +
+                      'index for each of it\'s paths.');
+        } else {
+          for(let j = 0; j < l.position.length; ++j) {
+            let v = l.position[j];
+            let vp = this._ptr(this._ptr(lp, 'position'), j);
+            if(this._isString(v) && Number.isInteger(Number(v))) {
+              this._warning(vp, 'Landmark position should be a number ' +
+                            'rather than a string.');
+              v = Number(v);
+            }
+            if(!Number.isInteger(v) || (v < 0)) {
+              this._error(vp, 'Landmark position must be a non-negative ' +
+                          'integer index.');
+            }
+          }
+        }
+      }
+      let ap = this._ptr(lp, 'anatomy');
+      if(!this._isArray(l.anatomy) || (l.anatomy.length < 1) ||
+         !this._isObject(l.anatomy[0])) {
+        this._error(ap, 'Landmark must have a non-empty anatomy array.');
+      } else {
+        if(!this._isId(l.anatomy[0].id)) {
+          this._error(this._ptr(this._ptr(ap, 0), 'id'),
+                      'Landmark anatomy must have an id.');
+        }
+        if(!this._isDefined(l.anatomy[0].abbreviated_name)) {
+          this._warning(this._ptr(this._ptr(ap, 0), 'abbreviated_name'),
+                        'Landmark anatomy has no abbreviated_name for ' +
+                        'it\'s label.');
+        }
+      }
+    }
+  }
+
+  /**
+   * @class	GCAConfigValidator
+   * @function	_validateModelObjects
+   * @brief	Validates the model objects of a configuration, including
+   * 		the global display properties.
+   * @param	cfg		Configuration.
+   * @param	base		JSON pointer to the configuration.
+   * @param	path_ids	Object with the valid path ids as keys.
+   * @param	renderer	Renderer, '2D', '3D' or undefined.
+   */
+  _validateModelObjects(cfg, base, path_ids, renderer) {
+    let ptr = this._ptr(base, 'model_objects');
+    let cnt = {};
+    let gdp = undefined;
+    if(!this._isArray(cfg.model_objects)) {
+      this._error(ptr, 'Configuration must have a model_objects array.');
+      return;
+    }
+    for(let i = 0; i < cfg.model_objects.length; ++i) {
+      let mo = cfg.model_objects[i];
+      let mp = this._ptr(ptr, i);
+      if(!this._isObject(mo) || !this._isString(mo.group)) {
+        this._error(mp, 'Model object must be an object with a group.');
+        continue;
+      }
+      cnt[mo.group] = (cnt[mo.group] || 0) + 1;
+      switch(mo.group) {
+        case 'GLOBAL_DISPLAY_PROP':
+          if(!this._isObject(mo.display_props)) {
+            this._error(this._ptr(mp, 'display_props'),
+                        'GLOBAL_DISPLAY_PROP must have display_props.');
+          } else {
+            if(cnt[mo.group] > 1) {
+              this._warning(mp, 'Multiple GLOBAL_DISPLAY_PROP objects, ' +
+                            'only the last is used.');
+            }
+            gdp = [mo.display_props, this._ptr(mp, 'display_props')];
+          }
+          break;
+        case 'DISC':
+          if(!this._isObject(mo.display_props)) {
+            this._error(this._ptr(mp, 'display_props'),
+                        'DISC must have display_props.');
+          } else {
+            this._requireKeys(mo.display_props, this._ptr(mp, 'display_props'),
+                              ['color', 'radius'], false);
+          }
+          break;
+        case 'SECTION_FILES':
+          if(!(mo.path in path_ids)) {
+            this._error(this._ptr(mp, 'path'),
+                        'SECTION_FILES references non-existent path id ' +
+                        mo.path + '.');
+          }
+          if(this._requireString(mo, mp, 'filename', true) &&
+             !(/%([0 ]?)(\d*)d/).test(mo.filename)) {
+            this._error(this._ptr(mp, 'filename'),
+                        'SECTION_FILES filename must be a template ' +
+                        'containing a %d format, eg sec_%05d.jpg.');
+          }
+          this._requireString(mo, mp, 'filepath', false);
+          break;
+        case 'REFERENCE_SURFACES':
+        case 'ANATOMY_SURFACES':
+        case 'REFERENCE_IMAGES':
+        case 'ANATOMY_IMAGES':
+          this._requireString(mo, mp, 'filename', true);
+          this._requireString(mo, mp, 'filepath', false);
+          if(mo.group.startsWith('ANATOMY') && !this._isId(mo.id)) {
+            this._error(this._ptr(mp, 'id'), mo.group + ' must have an id.');
+          }
+          if(mo.group.endsWith('SURFACES') &&
+             !this._isObject(mo.display_props)) {
+            this._error(this._ptr(mp, 'display_props'),
+                        mo.group + ' must have display_props.');
+          }
+          break;
+        default:
+          this._warning(this._ptr(mp, 'group'),
+                        'Unknown model object group ' + mo.group + '.');
+          break;
+      }
+    }
+    if(!this._isDefined(gdp)) {
+      this._error(ptr, 'Configuration must have a GLOBAL_DISPLAY_PROP ' +
+                  'model object with display_props.');
+    } else {
+      this._validateDisplayProps(gdp[0], gdp[1], renderer);
+    }
+    if(renderer === '3D') {
+      if(!cnt['DISC']) {
+        this._error(ptr, 'Configuration must have a DISC model object.');
+      }
+    } else if(renderer === '2D') {
+      if(!cnt['REFERENCE_IMAGES']) {
+        this._warning(ptr, 'Configuration has no REFERENCE_IMAGES model ' +
+                      'object.');
+      }
+    }
+  }
+
+  /**
+   * @class	GCAConfigValidator
+   * @function	_validateDisplayProps
+   * @brief	Validates the global display properties.
+   * @param	dp		Global display properties.
+   * @param	ptr		JSON pointer to the display properties.
+   * @param	renderer	Renderer, '2D', '3D' or undefined.
+   */
+  _validateDisplayProps(dp, ptr, renderer) {
+    if(this._isDefined(dp.pick_precision) &&
+       !this._isNumber(dp.pick_precision)) {
+      this._warning(this._ptr(ptr, 'pick_precision'),
+                    'pick_precision should be a number.');
+    }
+    if(this._isDefined(dp.marker_size) && !this._isNumber(dp.marker_size)) {
+      this._warning(this._ptr(ptr, 'marker_size'),
+                    'marker_size should be a number.');
+    }
+    if(renderer === '2D') {
+      if(!this._isObject(dp.path_roi)) {
+        this._error(this._ptr(ptr, 'path_roi'),
+                    'Display properties must have path_roi.');
+      } else {
+        this._requireKeys(dp.path_roi, this._ptr(ptr, 'path_roi'),
+                          ['color', 'line_width'], false);
+      }
+      if(!this._isObject(dp.cursor)) {
+        this._error(this._ptr(ptr, 'cursor'),
+                    'Display properties must have cursor.');
+      }
+    } else if(renderer === '3D') {
+      let lo = dp.label_offset;
+      if(!this._isArray(lo) || (lo.length !== 3) ||
+         !lo.every((v) => this._isNumber(v))) {
+        this._error(this._ptr(ptr, 'label_offset'),
+                    'label_offset must be an array of three numbers.');
+      }
+      this._requireKeys(dp, ptr, ['path_highlight_color',
+                                  'path_highlight_width'], false);
+      if(!this._isArray(dp.model_views)) {
+        this._warning(this._ptr(ptr, 'model_views'),
+                      'Display properties have no model_views so the ' +
+                      'view can not be set.');
+      } else {
+        let types = {};
+        for(let i = 0; i < dp.model_views.length; ++i) {
+          let v = dp.model_views[i];
+          let vp = this._ptr(this._ptr(ptr, 'model_views'), i);
+          if(!this._isObject(v)) {
+            this._error(vp, 'Model view must be an object.');
+            continue;
+          }
+          types[v.type] = true;
+          ['centre', 'cam_pos', 'up'].forEach((k) => {
+            if(!this._isArray(v[k]) || (v[k].length !== 3)) {
+              this._error(this._ptr(vp, k), 'Model view ' + k +
+                          ' must be an array of three numbers.');
+            }
+          });
+        }
+        if(!(dp.default_view in types)) {
+          this._error(this._ptr(ptr, 'default_view'),
+                      'default_view must be the type of one of the ' +
+                      'model_views.');
+        }
+      }
+    }
+  }
+
+  /**
+   * @class	GCAConfigValidator
+   * @function	_validateUnits
+   * @brief	Validates the optional voxel_size (a positive number or
+   * 		an array of two or three positive numbers) and
+   * 		distance_units (a string) of the configuration.
+   * @param	cfg		Configuration.
+   * @param	base		JSON pointer to the configuration.
+   */
+  _validateUnits(cfg, base) {
+    let vs = cfg.voxel_size;
+    if(this._isDefined(vs)) {
+      let pos = (v) => this._isNumber(v) && (v > 0);
+      if(!(pos(vs) || (this._isArray(vs) && (vs.length >= 2) &&
+                       (vs.length <= 3) && vs.every(pos)))) {
+        this._error(this._ptr(base, 'voxel_size'),
+                    'voxel_size must be a positive number or an array of ' +
+                    'two or three positive numbers.');
+      }
+    }
+    if(this._isDefined(cfg.distance_units)) {
+      if(!this._isString(cfg.distance_units)) {
+        this._warning(this._ptr(base, 'distance_units'),
+                      'distance_units should be a string.');
+      } else if(!this._isDefined(vs)) {
+        this._warning(this._ptr(base, 'distance_units'),
+                      'distance_units given without a voxel_size.');
+      }
+    }
+  }
+
+  /**
+   * @class	GCAConfigValidator
+   * @function	_requireString
+   * @return	True if the value is a string.
+   * @brief	Checks that the given object has a string value for the
+   * 		given key, adding an error or warning if not.
+   * @param	obj		Object.
+   * @param	ptr		JSON pointer to the object.
+   * @param	key		Key of value.
+   * @param	err		Adds an error if true, otherwise a warning.
+   */
+  _requireString(obj, ptr, key, err) {
+    let ok = this._isString(obj[key]);
+    if(!ok) {
+      let msg = key + ' should be a string.';
+      if(err) {
+        this._error(this._ptr(ptr, key), msg);
+      } else {
+        this._warning(this._ptr(ptr, key), msg);
+      }
+    }
+    return(ok);
+  }
+
+  /**
+   * @class	GCAConfigValidator
+   * @function	_requireKeys
+   * @brief	Checks that the given object has defined values for all
+   * 		the given keys, adding an error or warning for each that
+   * 		does not.
+   * @param	obj		Object.
+   * @param	ptr		JSON pointer to the object.
+   * @param	keys		Array of keys.
+   * @param	err		Adds errors if true, otherwise warnings.
+   */
+  _requireKeys(obj, ptr, keys, err) {
+    for(let i = 0; i < keys.length; ++i) {
+      let k = keys[i];
+      if(!this._isDefined(obj[k])) {
+        let msg = k + ' is missing.';
+        if(err) {
+          this._error(this._ptr(ptr, k), msg);
+        } else {
+          this._warning(this._ptr(ptr, k), msg);
+        }
+      }
+    }
+  }
+
+  /**
+   * @class	GCAConfigValidator
+   * @function	_error
+   * @brief	Adds an error.
+   * @param	ptr		JSON pointer.
+   * @param	msg		Message.
+   */
+  _error(ptr, msg) {
+    this._errors.push({pointer: ptr, message: msg});
+  }
+
+  /**
+   * @class	GCAConfigValidator
+   * @function	_warning
+   * @brief	Adds a warning.
+   * @param	ptr		JSON pointer.
+   * @param	msg		Message.
+   */
+  _warning(ptr, msg) {
+    this._warnings.push({pointer: ptr, message: msg});
+  }
+
+  /**
+   * @class	GCAConfigValidator
+   * @function	_ptr
+   * @return	JSON pointer.
+   * @brief	Appends a key or index to a JSON pointer, escaping it as
+   * 		required by RFC 6901.
+   * @param	ptr		JSON pointer.
+   * @param	key		Key or array index.
+   */
+  _ptr(ptr, key) {
+    return(ptr + '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1'));
+  }
+
+  /**
+   * @class	GCAConfigValidator
+   * @function  _isDefined
+   * @return    True of false.
+   * @brief     Test is given parameter is defined.
+   * @param     x		Given parameter.
+   */
+  _isDefined(x) {
+    return(typeof x !== 'undefined');
+  }
+
+  /**
+   * @class	GCAConfigValidator
+   * @function  _isObject
+   * @return    True of false.
+   * @brief     Test is given parameter is a (non-null, non-array) object.
+   * @param     x		Given parameter.
+   */
+  _isObject(x) {
+    return((typeof x === 'object') && (x !== null) && !this._isArray(x));
+  }
+
+  /**
+   * @class	GCAConfigValidator
+   * @function  _isArray
+   * @return	True of false.
+   * @brief	Test if given object is an array.
+   * @param	obj		Given object.
+   */
+  _isArray(obj) {
+    return(Object.prototype.toString.call(obj) === '[object Array]');
+  }
+
+  /**
+   * @class	GCAConfigValidator
+   * @function  _isString
+   * @return	True of false.
+   * @brief	Test if given object is a string.
+   * @param	obj		Given object.
+   */
+  _isString(obj) {
+    return(Object.prototype.toString.call(obj) === '[object String]');
+  }
+
+  /**
+   * @class	GCAConfigValidator
+   * @function  _isNumber
+   * @return	True of false.
+   * @brief	Test if given object is a finite number.
+   * @param	obj		Given object.
+   */
+  _isNumber(obj) {
+    return((typeof obj === 'number') && isFinite(obj));
+  }
+
+  /**
+   * @class	GCAConfigValidator
+   * @function  _isId
+   * @return	True of false.
+   * @brief	Test if given object can be used as an id, ie is a
+   * 		non-empty string or a number.
+   * @param	obj		Given object.
+   */
+  _isId(obj) {
+    return((this._isString(obj) && (obj.length > 0)) || this._isNumber(obj));
+  }
+}
+
+/*!
+ * @class	GCAConfigError
+ * @constructor
+ * @brief	Error used to report an invalid configuration.
+ * @param	diag		Diagnostics as returned by
+ * 				GCAConfigValidator.validate().
+ */
+class GCAConfigError extends Error {
+  constructor(diag) {
+    super('Invalid configuration: ' + diag.errors.map((e) => {
+      return(e.pointer + ': ' + e.message);
+    }).join(' '));
+    this.name = 'GCAConfigError';
+    this.errors = diag.errors;
+    this.warnings = diag.warnings;
+  }
+}
+
+export {GCAConfigValidator, GCAConfigError};
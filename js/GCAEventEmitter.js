@@ -0,0 +1,124 @@
+/*!
+* @file         GCAEventEmitter.js
+* @author       Bill Hill
+* @date         June 2023
+* @version      $Id$
+* @par
+* Address:
+*               Heriot-Watt University,
+*               Edinburgh, Scotland, EH14 4AS, UK
+* @par
+* Copyright (C), [2023],
+* Heriot-Watt University, Edinburgh, UK.
+*
+* This program is free software; you can redistribute it and/or
+* modify it under the terms of the GNU General Public License
+* as published by the Free Software Foundation; either version 2
+* of the License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be
+* useful but WITHOUT ANY WARRANTY; without even the implied
+* warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR
+* PURPOSE.  See the GNU General Public License for more
+* details.
+*
+* You should have received a copy of the GNU General Public
+* License along with this program; if not, write to the Free
+* Software Foundation, Inc., 51 Franklin Street, Fifth Floor,
+* Boston, MA  02110-1301, USA.
+* @brief	A minimal event emitter used by the Gut Cell Atlas
+* 		renderers.
+*/
+
+/*!
+ * @class	GCAEventEmitter
+ * @constructor
+ * @brief	Creates an event emitter which keeps lists of listener
+ * 		functions for named event types.
+ * @param	target		Object set as the target of all events
+ * 				emitted, eg the renderer.
+ */
+class GCAEventEmitter {
+  constructor(target) {
+    this._target = target;
+    this._listeners = {};
+  }
+
+  /**
+   * @class	GCAEventEmitter
+   * @function	on
+   * @brief	Adds a listener function for the given event type. The
+   * 		listener is called with a single event object which
+   * 		always has type and target fields.
+   * @param	type		Event type.
+   * @param	fn		Listener function.
+   */
+  on(type, fn) {
+    if(!(type in this._listeners)) {
+      this._listeners[type] = [];
+    }
+    if(this._listeners[type].indexOf(fn) < 0) {
+      this._listeners[type].push(fn);
+    }
+  }
+
+  /**
+   * @class	GCAEventEmitter
+   * @function	off
+   * @brief	Removes a listener function for the given event type. If
+   * 		the function is undefined then all listeners for the
+   * 		event type are removed.
+   * @param	type		Event type.
+   * @param	fn		Listener function.
+   */
+  off(type, fn) {
+    if(type in this._listeners) {
+      if(typeof fn === 'undefined') {
+        delete this._listeners[type];
+      } else {
+        let i = this._listeners[type].indexOf(fn);
+        if(i >= 0) {
+          this._listeners[type].splice(i, 1);
+        }
+      }
+    }
+  }
+
+  /**
+   * @class	GCAEventEmitter
+   * @function	emit
+   * @return	Number of listeners called.
+   * @brief	Calls all listeners for the given event type. The type
+   * 		and target fields of the event are set before any
+   * 		listeners are called.
+   * @param	type		Event type.
+   * @param	ev		Event object.
+   */
+  emit(type, ev) {
+    let cnt = 0;
+    if(type in this._listeners) {
+      // Copy the listeners as they may be modified by the listeners
+      let lst = this._listeners[type].slice();
+      ev['type'] = type;
+      ev['target'] = this._target;
+      for(let i = 0; i < lst.length; ++i) {
+        lst[i](ev);
+        ++cnt;
+      }
+    }
+    return(cnt);
+  }
+
+  /**
+   * @class	GCAEventEmitter
+   * @function	hasListeners
+   * @return	True if there are listeners for the given event type.
+   * @brief	Checks for listeners of an event type.
+   * @param	type		Event type.
+   */
+  hasListeners(type) {
+    return((type in this._listeners) && (this._listeners[type].length > 0));
+  }
+}
+
+export {GCAEventEmitter};
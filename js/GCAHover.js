@@ -0,0 +1,207 @@
+/*!
+* @file         GCAHover.js
+* @author       Bill Hill
+* @date         June 2023
+* @version      $Id$
+* @par
+* Address:
+*               Heriot-Watt University,
+*               Edinburgh, Scotland, EH14 4AS, UK
+* @par
+* Copyright (C), [2023],
+* Heriot-Watt University, Edinburgh, UK.
+*
+* This program is free software; you can redistribute it and/or
+* modify it under the terms of the GNU General Public License
+* as published by the Free Software Foundation; either version 2
+* of the License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be
+* useful but WITHOUT ANY WARRANTY; without even the implied
+* warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR
+* PURPOSE.  See the GNU General Public License for more
+* details.
+*
+* You should have received a copy of the GNU General Public
+* License along with this program; if not, write to the Free
+* Software Foundation, Inc., 51 Franklin Street, Fifth Floor,
+* Boston, MA  02110-1301, USA.
+* @brief	Throttled pointer hover handling and a tooltip overlay
+* 		used by the Gut Cell Atlas renderers.
+*/
+
+/* globals clearTimeout, document, setTimeout */
+
+/*!
+ * @class	GCAHover
+ * @constructor
+ * @brief	Creates a hover handler which throttles pointer moves so
+ * 		that the given function is called at most once in each
+ * 		interval, always with the most recent pointer position,
+ * 		and which manages an optional tooltip overlay shown next
+ * 		to the pointer.
+ * @param	con		Container to which the tooltip is added.
+ * @param	fn		Function called with the most recent pointer
+ * 				position object passed to update().
+ */
+class GCAHover {
+  constructor(con, fn) {
+    this.type = 'GCAHover';
+    this._container = con;
+    this._fn = fn;
+    this._interval = 100;	// Minimum time between calls (ms)
+    this._last = 0;		// Time of the last call
+    this._timer = undefined;
+    this._pending = undefined;	// Most recent pointer position
+    this._tooltip = false;	// Tooltip enabled
+    this._tip = undefined;	// Tooltip element, created when first shown
+    this.tooltipOffset = 12;	// Tooltip offset from the pointer (pixels)
+  }
+
+  /**
+   * @class	GCAHover
+   * @function	setInterval
+   * @brief	Sets the minimum time between hover function calls.
+   * @param	ms		Interval in milliseconds.
+   */
+  setInterval(ms) {
+    if(ms >= 0) {
+      this._interval = ms;
+    }
+  }
+
+  /**
+   * @class	GCAHover
+   * @function	getInterval
+   * @return	Interval in milliseconds.
+   * @brief	Gets the minimum time between hover function calls.
+   */
+  getInterval() {
+    return(this._interval);
+  }
+
+  /**
+   * @class	GCAHover
+   * @function	setTooltipEnabled
+   * @brief	Enables or disables the tooltip overlay.
+   * @param	enable		True to enable the tooltip.
+   */
+  setTooltipEnabled(enable) {
+    this._tooltip = Boolean(enable);
+    if(!this._tooltip) {
+      this.hideTooltip();
+    }
+  }
+
+  /**
+   * @class	GCAHover
+   * @function	isTooltipEnabled
+   * @return	True if the tooltip is enabled.
+   * @brief	Checks whether the tooltip overlay is enabled.
+   */
+  isTooltipEnabled() {
+    return(this._tooltip);
+  }
+
+  /**
+   * @class	GCAHover
+   * @function	update
+   * @brief	Records a new pointer position, calling the hover function
+   * 		now if the interval has passed since the last call or
+   * 		else once it has.
+   * @param	pos		Pointer position object, this is passed to
+   * 				the hover function and must have clientX
+   * 				and clientY fields if the tooltip is used.
+   */
+  update(pos) {
+    this._pending = pos;
+    if(!this._isDefined(this._timer)) {
+      let wait = Math.max(0, this._last + this._interval - Date.now());
+      this._timer = setTimeout(() => {
+        let p = this._pending;
+        this._timer = undefined;
+        this._pending = undefined;
+        this._last = Date.now();
+        if(this._isDefined(p)) {
+          this._fn(p);
+        }
+      }, wait);
+    }
+  }
+
+  /**
+   * @class	GCAHover
+   * @function	leave
+   * @brief	Cancels any pending hover function call and hides the
+   * 		tooltip, eg when the pointer leaves the container or a
+   * 		drag starts.
+   */
+  leave() {
+    if(this._isDefined(this._timer)) {
+      clearTimeout(this._timer);
+      this._timer = undefined;
+    }
+    this._pending = undefined;
+    this.hideTooltip();
+  }
+
+  /**
+   * @class	GCAHover
+   * @function	showTooltip
+   * @brief	Shows the tooltip next to the pointer if the tooltip is
+   * 		enabled. The tooltip is hidden if the text is empty or
+   * 		undefined.
+   * @param	txt		Text for the tooltip.
+   * @param	pos		Pointer position with clientX and clientY
+   * 				fields.
+   */
+  showTooltip(txt, pos) {
+    if(this._tooltip && this._isDefined(txt) && (txt.length > 0)) {
+      if(!this._isDefined(this._tip)) {
+        this._tip = document.createElement('div');
+        this._tip.className = 'gca-tooltip';
+        let s = this._tip.style;
+        s.position = 'fixed';
+        s.pointerEvents = 'none';
+        s.zIndex = '1000';
+        s.padding = '2px 6px';
+        s.borderRadius = '3px';
+        s.background = 'rgba(0, 0, 0, 0.75)';
+        s.color = '#ffffff';
+        s.font = '12px sans-serif';
+        s.whiteSpace = 'nowrap';
+        this._container.appendChild(this._tip);
+      }
+      this._tip.textContent = txt;
+      this._tip.style.left = (pos.clientX + this.tooltipOffset) + 'px';
+      this._tip.style.top = (pos.clientY + this.tooltipOffset) + 'px';
+      this._tip.style.display = 'block';
+    } else {
+      this.hideTooltip();
+    }
+  }
+
+  /**
+   * @class	GCAHover
+   * @function	hideTooltip
+   * @brief	Hides the tooltip.
+   */
+  hideTooltip() {
+    if(this._isDefined(this._tip)) {
+      this._tip.style.display = 'none';
+    }
+  }
+
+  /**
+   * @class	GCAHover
+   * @function	_isDefined
+   * @return	True if defined, otherwise false.
+   * @brief	Convenience function to check if a variable is defined.
+   * @param	x		Given variable.
+   */
+  _isDefined(x) {
+    return(typeof x !== 'undefined');
+  }
+}
+
+export {GCAHover};
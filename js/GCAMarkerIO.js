@@ -0,0 +1,339 @@
+/*!
+* @file         GCAMarkerIO.js
+* @author       Bill Hill
+* @date         June 2023
+* @version      $Id$
+* @par
+* Address:
+*               Heriot-Watt University,
+*               Edinburgh, Scotland, EH14 4AS, UK
+* @par
+* Copyright (C), [2023],
+* Heriot-Watt University, Edinburgh, UK.
+*
+* This program is free software; you can redistribute it and/or
+* modify it under the terms of the GNU General Public License
+* as published by the Free Software Foundation; either version 2
+* of the License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be
+* useful but WITHOUT ANY WARRANTY; without even the implied
+* warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR
+* PURPOSE.  See the GNU General Public License for more
+* details.
+*
+* You should have received a copy of the GNU General Public
+* License along with this program; if not, write to the Free
+* Software Foundation, Inc., 51 Franklin Street, Fifth Floor,
+* Boston, MA  02110-1301, USA.
+* @brief	Reading and writing of marker lists as CSV or JSON for
+* 		the Gut Cell Atlas renderers.
+*/
+
+/*!
+ * @class	GCAMarkerIO
+ * @constructor
+ * @brief	Creates a marker reader / writer. Markers are read from
+ * 		and written to CSV or JSON text as marker records, these
+ * 		being objects with the fields:
+ * 		  - id -        Marker id.
+ * 		  - label -     Optional label text.
+ * 		  - color -     Optional colour.
+ * 		  - position -  Position coordinate array ([x, y] or
+ * 		                [x, y, z]) or undefined.
+ * 		  - landmarks - Array of the GCA ids of two landmarks or
+ * 		                undefined.
+ * 		  - fraction -  Proportional distance from the first landmark
+ * 		                to the second (as used by setPosition()).
+ * 		  - metadata -  Object with any other fields.
+ * 		A marker is placed either by its position or, if it has no
+ * 		position, by its landmarks and fraction.
+ * 		CSV text has a header line naming the columns: id, label,
+ * 		color, x, y, z, landmark0, landmark1 and fraction, with
+ * 		any other columns being metadata. JSON text is either an
+ * 		array of marker objects or an object with a markers array,
+ * 		where each marker object has the record fields (with
+ * 		position as an array or object with x, y and z fields)
+ * 		and any fields which are not record fields are metadata.
+ */
+class GCAMarkerIO {
+  constructor() {
+    this.type = 'GCAMarkerIO';
+    this.csvColumns = ['id', 'label', 'color', 'x', 'y', 'z',
+                       'landmark0', 'landmark1', 'fraction'];
+    this._aliases = {		// Alternative names for record fields
+      text: 'label',
+      colour: 'color',
+      lmk0: 'landmark0',
+      lmk1: 'landmark1'};
+    this._textColumns = ['id', 'label', 'text', 'color', 'colour',
+                         'landmark0', 'landmark1', 'lmk0', 'lmk1'];
+  }
+
+  /**
+   * @class	GCAMarkerIO
+   * @function	parse
+   * @return	Array of marker records.
+   * @brief	Parses CSV or JSON marker text. An Error is thrown if the
+   * 		text can not be parsed.
+   * @param	data		CSV or JSON text, or an array of marker
+   * 				objects as would be parsed from JSON.
+   * @param	format		Optional format, either 'csv' or 'json', if
+   * 				undefined JSON is assumed for text starting
+   * 				with '[' or '{' and otherwise CSV.
+   */
+  parse(data, format) {
+    let objs = [];
+    if(Array.isArray(data)) {
+      objs = data;
+    } else {
+      let txt = String(data);
+      if(!this._isDefined(format)) {
+        format = /^\s*[[{]/.test(txt)? 'json': 'csv';
+      }
+      if(format === 'json') {
+        let o = JSON.parse(txt);
+        objs = Array.isArray(o)? o: o.markers;
+        if(!Array.isArray(objs)) {
+          throw new Error('GCAMarkerIO JSON has no markers array.');
+        }
+      } else if(format === 'csv') {
+        objs = this._csvToObjects(txt);
+      } else {
+        throw new Error('GCAMarkerIO unknown format ' + format + '.');
+      }
+    }
+    return(objs.map((o) => this._toRecord(o)));
+  }
+
+  /**
+   * @class	GCAMarkerIO
+   * @function	format
+   * @return	CSV or JSON text.
+   * @brief	Formats marker records as CSV or JSON text. In CSV the
+   * 		metadata columns follow the record columns and are the
+   * 		union of all the records' metadata fields.
+   * @param	records		Array of marker records.
+   * @param	format		Format, either 'csv' or 'json'.
+   */
+  format(records, format) {
+    let txt;
+    if(format === 'json') {
+      let objs = records.map((r) => {
+        let o = {id: r.id};
+        ['label', 'color', 'position', 'landmarks', 'fraction',
+         'metadata'].forEach((k) => {
+          if(this._isDefined(r[k])) {
+            o[k] = r[k];
+          }
+        });
+        return(o);
+      });
+      txt = JSON.stringify(objs, null, 2);
+    } else if(format === 'csv') {
+      let meta = [];
+      records.forEach((r) => {
+        for(const k in r.metadata) {
+          if(meta.indexOf(k) < 0) {
+            meta.push(k);
+          }
+        }
+      });
+      let lines = [this.csvColumns.concat(meta).map(
+          (v) => this._csvField(v)).join(',')];
+      records.forEach((r) => {
+        let p = this._isDefined(r.position)? r.position: [];
+        let l = this._isDefined(r.landmarks)? r.landmarks: [];
+        let row = [r.id, r.label, r.color, p[0], p[1], p[2], l[0], l[1],
+                   r.fraction];
+        meta.forEach((k) => {
+          row.push(this._isDefined(r.metadata)? r.metadata[k]: undefined);
+        });
+        lines.push(row.map((v) => this._csvField(v)).join(','));
+      });
+      txt = lines.join('\n') + '\n';
+    } else {
+      throw new Error('GCAMarkerIO unknown format ' + format + '.');
+    }
+    return(txt);
+  }
+
+  /* Support functions below here. */
+
+  /**
+   * @class	GCAMarkerIO
+   * @function	_toRecord
+   * @return	Marker record.
+   * @brief	Converts a marker object (from JSON or a CSV row) to a
+   * 		marker record.
+   * @param	o		Marker object.
+   */
+  _toRecord(o) {
+    let r = {
+      id: undefined,
+      label: undefined,
+      color: undefined,
+      position: undefined,
+      landmarks: undefined,
+      fraction: undefined,
+      metadata: {}};
+    let f = {};
+    for(const k in o) {
+      let v = o[k];
+      if((v === '') || (v === null)) {
+        continue;
+      }
+      let n = k.trim();
+      let a = this._aliases[n.toLowerCase()];
+      n = this._isDefined(a)? a: n;
+      if((n === 'metadata') && (typeof v === 'object')) {
+        Object.assign(r.metadata, v);
+      } else if((n === 'position') || (n === 'landmarks') ||
+                (this.csvColumns.indexOf(n.toLowerCase()) >= 0)) {
+        f[n.toLowerCase()] = v;
+      } else {
+        r.metadata[n] = v;
+      }
+    }
+    r.id = this._isDefined(f.id)? String(f.id): undefined;
+    r.label = this._isDefined(f.label)? String(f.label): undefined;
+    r.color = f.color;
+    if(this._isDefined(f.position)) {
+      let p = f.position;
+      r.position = Array.isArray(p)? p.map((x) => Number(x)):
+                   [p.x, p.y, p.z].filter((x) => this._isDefined(x)).map(
+                       (x) => Number(x));
+    } else if(this._isDefined(f.x) && this._isDefined(f.y)) {
+      r.position = [Number(f.x), Number(f.y)];
+      if(this._isDefined(f.z)) {
+        r.position.push(Number(f.z));
+      }
+    }
+    if(Array.isArray(f.landmarks)) {
+      r.landmarks = [String(f.landmarks[0]), String(f.landmarks[1])];
+    } else if(this._isDefined(f.landmark0) && this._isDefined(f.landmark1)) {
+      r.landmarks = [String(f.landmark0), String(f.landmark1)];
+    }
+    if(this._isDefined(f.fraction)) {
+      r.fraction = Number(f.fraction);
+    }
+    return(r);
+  }
+
+  /**
+   * @class	GCAMarkerIO
+   * @function	_csvToObjects
+   * @return	Array of objects, one per data row, with fields named
+   * 		by the header row.
+   * @brief	Parses CSV text which has a header row. Numeric values
+   * 		are converted to numbers except in the id, label, colour
+   * 		and landmark columns.
+   * @param	txt		CSV text.
+   */
+  _csvToObjects(txt) {
+    let rows = this._parseCsv(txt);
+    let objs = [];
+    if(rows.length > 0) {
+      let hdr = rows[0].map((h) => h.trim());
+      for(let i = 1; i < rows.length; ++i) {
+        let row = rows[i];
+        if((row.length > 1) || (row[0].trim() !== '')) {
+          let o = {};
+          for(let j = 0; j < hdr.length; ++j) {
+            let v = (j < row.length)? row[j].trim(): '';
+            if((v !== '') && !isNaN(Number(v)) &&
+               (this._textColumns.indexOf(hdr[j].toLowerCase()) < 0)) {
+              v = Number(v);
+            }
+            o[hdr[j]] = v;
+          }
+          objs.push(o);
+        }
+      }
+    }
+    return(objs);
+  }
+
+  /**
+   * @class	GCAMarkerIO
+   * @function	_parseCsv
+   * @return	Array of rows, each an array of field strings.
+   * @brief	Parses CSV text (RFC 4180) allowing quoted fields which
+   * 		contain commas, quotes (doubled) and line breaks.
+   * @param	txt		CSV text.
+   */
+  _parseCsv(txt) {
+    let rows = [];
+    let row = [];
+    let fld = '';
+    let quoted = false;
+    for(let i = 0; i < txt.length; ++i) {
+      let c = txt[i];
+      if(quoted) {
+        if(c === '"') {
+          if(txt[i + 1] === '"') {
+            fld += '"';
+            ++i;
+          } else {
+            quoted = false;
+          }
+        } else {
+          fld += c;
+        }
+      } else if(c === '"') {
+        quoted = true;
+      } else if(c === ',') {
+        row.push(fld);
+        fld = '';
+      } else if((c === '\n') || (c === '\r')) {
+        if((c === '\r') && (txt[i + 1] === '\n')) {
+          ++i;
+        }
+        row.push(fld);
+        rows.push(row);
+        row = [];
+        fld = '';
+      } else {
+        fld += c;
+      }
+    }
+    if((fld !== '') || (row.length > 0)) {
+      row.push(fld);
+      rows.push(row);
+    }
+    return(rows);
+  }
+
+  /**
+   * @class	GCAMarkerIO
+   * @function	_csvField
+   * @return	CSV field string.
+   * @brief	Formats a value as a CSV field, quoting it if required.
+   * 		Undefined values give empty fields and objects are
+   * 		written as JSON.
+   * @param	v		Value.
+   */
+  _csvField(v) {
+    let s = '';
+    if(this._isDefined(v) && (v !== null)) {
+      s = (typeof v === 'object')? JSON.stringify(v): String(v);
+      if(/[",\r\n]/.test(s)) {
+        s = '"' + s.replace(/"/g, '""') + '"';
+      }
+    }
+    return(s);
+  }
+
+  /**
+   * @class	GCAMarkerIO
+   * @function	_isDefined
+   * @return	True if defined, otherwise false.
+   * @brief	Convenience function to check if a variable is defined.
+   * @param	x		Given variable.
+   */
+  _isDefined(x) {
+    return(typeof x !== 'undefined');
+  }
+}
+
+export {GCAMarkerIO};
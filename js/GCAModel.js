@@ -0,0 +1,1698 @@
+/*!
+* @file         GCAModel.js
+* @author       Bill Hill
+* @date         June 2023
+* @version      $Id$
+* @par
+* Address:
+*               Heriot-Watt University,
+*               Edinburgh, Scotland, EH14 4AS, UK
+* @par
+* Copyright (C), [2023],
+* Heriot-Watt University, Edinburgh, UK.
+*
+* This program is free software; you can redistribute it and/or
+* modify it under the terms of the GNU General Public License
+* as published by the Free Software Foundation; either version 2
+* of the License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be
+* useful but WITHOUT ANY WARRANTY; without even the implied
+* warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR
+* PURPOSE.  See the GNU General Public License for more
+* details.
+*
+* You should have received a copy of the GNU General Public
+* License along with this program; if not, write to the Free
+* Software Foundation, Inc., 51 Franklin Street, Fifth Floor,
+* Boston, MA  02110-1301, USA.
+* @brief	A renderer independent model of a Gut Cell Atlas
+* 		configuration, its mid-line paths and landmarks.
+*/
+
+import {GCASpatialIndex} from './GCASpatialIndex.js';
+
+/*!
+ * @class	GCAModel
+ * @constructor
+ * @brief	Creates a Gut Cell Atlas model which owns the parsed
+ * 		configuration, the mid-line paths and the landmarks along
+ * 		with the mid-line coordinate system defined by them.
+ * 		The model has no dependency on any rendering system and
+ * 		is used by both GCA2DRenderer and GCA3DRenderer. It may
+ * 		also be used on it's own, eg for analysis.
+ * 		Path points and tangents may be either arrays ([x, y] or
+ * 		[x, y, z]) or objects with x, y (and optionally z)
+ * 		fields, as used by the 2D renderer.
+ */
+class GCAModel {
+  constructor() {
+    this.type = 'GCAModel';
+    Object.defineProperty(this, 'version', {value: '2.2.1', writable: false});
+    this._config = undefined;
+    this._voxel_size = [1.0, 1.0, 1.0];
+    this._junctions = [];	// Junctions between paths, indexed by path
+    this._path_index = new GCASpatialIndex(); // Index of path segments
+    this._path_index_dirty = false; // Index needs rebuilding before use
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	setConfig
+   * @return	The configuration.
+   * @brief	Sets the model configuration. The configuration is modified
+   * 		in place: the landmarks are sorted, look up tables are
+   * 		built and frequently used model objects are put where
+   * 		they are easily accessed.
+   * @param	cfg		Configuration as read from a valid
+   * 				configuration file.
+   */
+  setConfig(cfg) {
+    if(this._isArray(cfg)) {
+      cfg = cfg[0];
+    }
+    if(!(cfg.model_dir)) {
+      cfg['model_dir'] = '';
+    }
+    this._config = cfg;
+    this._path_index.clear();
+    this._path_index_dirty = false;
+    this._voxel_size = this._findVoxelSize(cfg.voxel_size);
+    this._sortLandmarks(cfg);
+    this._findCfgPaths();
+    this._findJunctions();
+    this._findCfgModelObjects();
+    return(cfg);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	getConfig
+   * @return	The configuration.
+   * @brief	Gets the configuration.
+   */
+  getConfig() {
+    return(this._config);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	setPathData
+   * @brief	Sets the spline data of a path from an object read from
+   * 		a path spline file. These have the form:
+   * \verbatim
+     {
+       "n": <number of points>,
+       "points": [[x0,y0(,z0)],...],
+       "tangents": [[x0,y0(,z0)],...],
+       "normals": [[x0,y0(,z0)],...]
+     }
+     \endverbatim
+   * 		where the normals are optional. The cumulative arc length
+   * 		of the path (in physical units, see getDistanceUnits()) is
+   * 		also computed and set as the path's arc_length array. The
+   * 		spatial index of the path segments is rebuilt once, when
+   * 		it is next used, rather than for each path loaded.
+   * @param	path		The path (as in the configuration).
+   * @param	data		Object read from the spline file.
+   */
+  setPathData(path, data) {
+    path['n'] = data.n;
+    path['points'] = data.points;
+    path['tangents'] = data.tangents;
+    if(this._isDefined(data.normals)) {
+      path['normals'] = data.normals;
+    }
+    path['arc_length'] = this._arcLengths(data.points, data.n);
+    this._path_index_dirty = true;
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	computeFrames
+   * @return	Array of the path's normals.
+   * @brief	Computes the reference normals of a path from its points
+   * 		and tangents using rotation minimising (parallel transport)
+   * 		frames, found by the double reflection method, and sets
+   * 		them as the path's normals. The first normal is the
+   * 		direction most nearly orthogonal to the first tangent of
+   * 		the x, y and z axes, made orthogonal to it, and each
+   * 		following normal is the previous one carried along the
+   * 		path without twisting about the tangent. If smoothing is
+   * 		required each pass replaces every normal other than the
+   * 		first and last by the weighted (1, 2, 1) mean of it and its
+   * 		neighbours, made orthogonal to the tangent again.
+   * @param	path		The path (as in the configuration) which
+   * 				must have been loaded.
+   * @param	smooth		Optional number of smoothing passes
+   * 				(default 0).
+   */
+  computeFrames(path, smooth) {
+    let n = path.n;
+    let pts = [];
+    let tgt = [];
+    for(let i = 0; i < n; ++i) {
+      pts.push(this._vtx(path.points[i]));
+      tgt.push(this._unit(this._vtx(path.tangents[i]), [1, 0, 0]));
+    }
+    let nrm = new Array(n);
+    if(n > 0) {
+      let t = tgt[0];
+      let a = [0, 1, 2].reduce((j, k) =>
+          (Math.abs(t[k]) < Math.abs(t[j]))? k: j, 0);
+      let r = [0, 0, 0];
+      r[a] = 1;
+      nrm[0] = this._orthoUnit(r, t);
+    }
+    for(let i = 0; i + 1 < n; ++i) {
+      /* Reflect the frame in the bisecting plane of the segment, then in
+       * the plane which takes the reflected tangent to the next one. */
+      let r = nrm[i];
+      let t = tgt[i];
+      let v1 = this._sub(pts[i + 1], pts[i]);
+      let c1 = this._dot(v1, v1);
+      if(c1 > 0) {
+        r = this._reflect(r, v1, c1);
+        t = this._reflect(t, v1, c1);
+      }
+      let v2 = this._sub(tgt[i + 1], t);
+      let c2 = this._dot(v2, v2);
+      if(c2 > 0) {
+        r = this._reflect(r, v2, c2);
+      }
+      nrm[i + 1] = this._orthoUnit(r, tgt[i + 1], nrm[i]);
+    }
+    for(let p = 0; p < (smooth > 0? smooth: 0); ++p) {
+      let prv = nrm.slice();
+      for(let i = 1; i + 1 < n; ++i) {
+        let m = [0, 1, 2].map((k) =>
+            prv[i - 1][k] + (2 * prv[i][k]) + prv[i + 1][k]);
+        nrm[i] = this._orthoUnit(m, tgt[i], prv[i]);
+      }
+    }
+    path['normals'] = nrm;
+    return(nrm);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	getPathIndex
+   * @return	The spatial index of the path segments.
+   * @brief	Gets the spatial index of the segments of all loaded paths
+   * 		(see GCASpatialIndex). The data of each entry has the
+   * 		fields path (path index) and index (index of the
+   * 		segment's first point).
+   */
+  getPathIndex() {
+    return(this._pathIndex());
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	getDistanceUnits
+   * @return	The distance units given in the configuration or undefined.
+   * @brief	Gets the units of distances along paths. Distances are
+   * 		the model's coordinates scaled by the configuration's
+   * 		voxel_size (which may be a number or an array of two or
+   * 		three numbers and defaults to 1.0) and are in the units of
+   * 		the configuration's distance_units. If no units are given
+   * 		distances are in model (pixel or voxel) coordinates.
+   */
+  getDistanceUnits() {
+    return(this._config.distance_units);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	pathIdxFromID
+   * @return	Index of the path or undefined.
+   * @brief	Given a GCA path id finds and returns the index of the
+   * 		path in the array of paths.
+   * @param	id		GCA path id.
+   */
+  pathIdxFromID(id) {
+    return(this._config.pathIdToIdx[id]);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function  landmarkFromID
+   * @return	landmark config or undefined if not found
+   * @brief	Given a landmark's GCA id returns the given landmark.
+   * @param	id		Required landmark's GCA id
+   */
+  landmarkFromID(id) {
+    let lmk = undefined;
+    let lmks = this._config.landmarks;
+    for(let li = 0; li < lmks.length; ++li) {
+      let l = lmks[li];
+      if(l.id === id) {
+        lmk = l;
+        break;
+      }
+    }
+    return(lmk);
+  }
+
+
+  /**
+   * @class	GCAModel
+   * @function	landmarkAnatomyName
+   * @return	Anatomy name string or undefined if the landmark is not
+   * 		found.
+   * @brief	Gets the full anatomy name(s) of a landmark, using the
+   * 		abbreviated names for any anatomy without a name. Where a
+   * 		landmark has more than one anatomy the names are comma
+   * 		separated.
+   * @param	id		Landmark's GCA id.
+   */
+  landmarkAnatomyName(id) {
+    let name = undefined;
+    let lmk = this.landmarkFromID(id);
+    if(this._isDefined(lmk) && this._isArray(lmk.anatomy)) {
+      name = lmk.anatomy.map((a) => {
+        return(this._isDefined(a.name)? a.name: a.abbreviated_name);
+      }).join(', ');
+    }
+    return(name);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function  landmarkFromAnatID
+   * @return	landmark config or undefined if not found
+   * @brief	Given a landmark's GCA anatomy id returns the given landmark.
+   * @param	id		Required landmark's GCA anatomy id
+   */
+  landmarkFromAnatID(id) {
+    let lmk = undefined;
+    let lmks = this._config.landmarks;
+    for(let li = 0; li < lmks.length; ++li) {
+      let l = lmks[li];
+      if(l.anatomy[0].id === id) {
+        lmk = l;
+        break;
+      }
+    }
+    return(lmk);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	positionOnPath
+   * @return	Array of path index and position index along the path.
+   * @brief	Finds the position index on a path which is dst fraction
+   * 		from the landmark with id lmid0 toward the landmark with
+   * 		id lmid1. If the landmarks are not on the same path the
+   * 		fraction is along the route between them through the
+   * 		junctions between paths (see route()).
+   * @param	lmid0		First landmark id.
+   * @param	lmid1		Second landmark id.
+   * @param	dst		Proportional distance.
+   */
+  positionOnPath(lmid0, lmid1, dst) {
+    let path_idx = undefined;
+    let index = undefined;
+    let li = this._landmarkInterval(lmid0, lmid1);
+    if(this._isDefined(li)) {
+      path_idx = li[0];
+      index = li[1] + Math.floor((li[2] - li[1]) * dst);
+      index = this._clamp(index, 0, this._config.paths[path_idx].n - 1);
+    } else {
+      let p = this._routeParameter(this._landmarkRoute(lmid0, lmid1), dst);
+      if(this._isDefined(p)) {
+        path_idx = p[0];
+        index = Math.floor(p[1]);
+      }
+    }
+    return([path_idx, index]);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	parameterOnPath
+   * @return	Array of path index and (continuous) position parameter
+   * 		along the path, both of which are undefined if the
+   * 		landmarks are not found or not connected.
+   * @brief	As positionOnPath() but the position is not rounded to
+   * 		an integer index. The parameter t is in the range
+   * 		[0, n - 1] with integer values at the path's points.
+   * @param	lmid0		First landmark id.
+   * @param	lmid1		Second landmark id.
+   * @param	dst		Proportional distance.
+   */
+  parameterOnPath(lmid0, lmid1, dst) {
+    let path_idx = undefined;
+    let t = undefined;
+    let li = this._landmarkInterval(lmid0, lmid1);
+    if(this._isDefined(li)) {
+      path_idx = li[0];
+      t = li[1] + (li[2] - li[1]) * dst;
+      t = this._clamp(t, 0, this._config.paths[path_idx].n - 1);
+    } else {
+      let p = this._routeParameter(this._landmarkRoute(lmid0, lmid1), dst);
+      if(this._isDefined(p)) {
+        path_idx = p[0];
+        t = p[1];
+      }
+    }
+    return([path_idx, t]);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	pointAt
+   * @return	Object with the fields point, tangent and normal (arrays
+   * 		[x, y, z], normal is undefined if the path has no normals)
+   * 		or undefined if the path has not been loaded.
+   * @brief	Computes the point, unit tangent and unit normal at a
+   * 		(continuous) position parameter along a path by linear
+   * 		interpolation between the path's points.
+   * @param	path_idx	Index of the path.
+   * @param	t		Position parameter, clamped to [0, n - 1].
+   */
+  pointAt(path_idx, t) {
+    let pa = undefined;
+    let path = this._config.paths[path_idx];
+    if(this._isDefined(path) && this._isDefined(path.points)) {
+      t = this._clamp(t, 0, path.n - 1);
+      let i0 = Math.floor(t);
+      let i1 = Math.min(i0 + 1, path.n - 1);
+      let f = t - i0;
+      pa = {
+        point: this._lerp(path.points[i0], path.points[i1], f),
+        tangent: this._lerpUnit(path.tangents[i0], path.tangents[i1], f),
+        normal: undefined};
+      if(this._isDefined(path.normals)) {
+        pa.normal = this._lerpUnit(path.normals[i0], path.normals[i1], f);
+      }
+    }
+    return(pa);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	pathSection
+   * @return	Object with the fields points and tangents (arrays of
+   * 		[x, y, z] arrays) or undefined if the path has not been
+   * 		loaded.
+   * @brief	Gets the section of a path between two (continuous)
+   * 		position parameters. The section starts and ends with
+   * 		interpolated points and includes all the path's points
+   * 		between them.
+   * @param	path_idx	Index of the path.
+   * @param	t0		Start position parameter.
+   * @param	t1		End position parameter.
+   */
+  pathSection(path_idx, t0, t1) {
+    let sec = undefined;
+    let path = this._config.paths[path_idx];
+    if(this._isDefined(path) && this._isDefined(path.points)) {
+      sec = {points: [], tangents: []};
+      t0 = this._clamp(t0, 0, path.n - 1);
+      t1 = this._clamp(t1, t0, path.n - 1);
+      let p = this.pointAt(path_idx, t0);
+      sec.points.push(p.point);
+      sec.tangents.push(p.tangent);
+      for(let i = Math.floor(t0) + 1; i < t1; ++i) {
+        sec.points.push(this._vtx(path.points[i]));
+        sec.tangents.push(this._vtx(path.tangents[i]));
+      }
+      if(t1 > t0) {
+        p = this.pointAt(path_idx, t1);
+        sec.points.push(p.point);
+        sec.tangents.push(p.tangent);
+      }
+    }
+    return(sec);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	arcLength
+   * @return	Distance along the path or undefined if the path has not
+   * 		been loaded.
+   * @brief	Computes the distance along a path from it's first point
+   * 		to the given (continuous) position parameter.
+   * @param	path_idx	Index of the path.
+   * @param	t		Position parameter, clamped to [0, n - 1].
+   */
+  arcLength(path_idx, t) {
+    let s = undefined;
+    let path = this._config.paths[path_idx];
+    if(this._isDefined(path) && this._isDefined(path.arc_length)) {
+      let al = path.arc_length;
+      t = this._clamp(t, 0, path.n - 1);
+      let i0 = Math.floor(t);
+      let i1 = Math.min(i0 + 1, path.n - 1);
+      s = al[i0] + (t - i0) * (al[i1] - al[i0]);
+    }
+    return(s);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	parameterAtArcLength
+   * @return	Position parameter or undefined if the path has not been
+   * 		loaded.
+   * @brief	Finds the (continuous) position parameter at the given
+   * 		distance along a path from it's first point. This is the
+   * 		inverse of arcLength().
+   * @param	path_idx	Index of the path.
+   * @param	s		Distance along the path, clamped to the
+   * 				path's length.
+   */
+  parameterAtArcLength(path_idx, s) {
+    let t = undefined;
+    let path = this._config.paths[path_idx];
+    if(this._isDefined(path) && this._isDefined(path.arc_length)) {
+      let al = path.arc_length;
+      let lo = 0;
+      let hi = path.n - 1;
+      s = this._clamp(s, 0, al[hi]);
+      while(hi - lo > 1) {
+        let mid = Math.floor((lo + hi) / 2);
+        if(al[mid] <= s) {
+          lo = mid;
+        } else {
+          hi = mid;
+        }
+      }
+      let d = al[hi] - al[lo];
+      t = lo + ((d > 0)? (s - al[lo]) / d: 0);
+    }
+    return(t);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	positionFromLandmark
+   * @return	Array of path index and position parameter along the
+   * 		path, both of which are undefined if the landmark is not
+   * 		found or it's path has not been loaded.
+   * @brief	Finds the position at a distance along a path from a
+   * 		landmark. Positive distances are toward the end of the
+   * 		path (increasing indices) and negative distances toward
+   * 		it's start. Positions beyond the last shared landmark of
+   * 		a path continue on the next path (see advance()),
+   * 		otherwise they are clamped to the ends of the path.
+   * @param	lmid		Landmark id.
+   * @param	dist		Distance from the landmark.
+   */
+  positionFromLandmark(lmid, dist) {
+    let path_idx = undefined;
+    let t = undefined;
+    let lmk = this.landmarkFromID(lmid);
+    if(this._isDefined(lmk)) {
+      let p = this.advance(this.pathIdxFromID(lmk.paths[0]),
+                           Number(lmk.position[0]), dist);
+      path_idx = p[0];
+      t = p[1];
+    }
+    return([path_idx, t]);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	distance
+   * @return	Signed distance or undefined.
+   * @brief	Computes the distance along a path from the first
+   * 		position to the second. The distance is negative if the
+   * 		second position is before the first. If the positions are
+   * 		on different paths the distance is along the route between
+   * 		them (see route()) and is negative if the route runs
+   * 		backwards (see _routeLength()). Undefined is returned
+   * 		if the positions are not connected or a path on the route
+   * 		has not been loaded.
+   * @param	path_idx0	Index of the path of the first position.
+   * @param	t0		Position parameter of the first position.
+   * @param	path_idx1	Index of the path of the second position.
+   * @param	t1		Position parameter of the second position.
+   */
+  distance(path_idx0, t0, path_idx1, t1) {
+    let d = undefined;
+    if(path_idx0 === path_idx1) {
+      let s0 = this.arcLength(path_idx0, t0);
+      let s1 = this.arcLength(path_idx1, t1);
+      if(this._isDefined(s0) && this._isDefined(s1)) {
+        d = s1 - s0;
+      }
+    } else {
+      d = this._routeLength(this.route(path_idx0, t0, path_idx1, t1));
+    }
+    return(d);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	landmarkDistance
+   * @return	Signed distance or undefined.
+   * @brief	Computes the distance along a path from the first landmark
+   * 		to the second, or along the route between them if they are
+   * 		not on the same path, as for distance(). Undefined is
+   * 		returned if the landmarks are not found or not connected
+   * 		by loaded paths.
+   * @param	lmid0		First landmark id.
+   * @param	lmid1		Second landmark id.
+   */
+  landmarkDistance(lmid0, lmid1) {
+    let d = undefined;
+    let itv = this._landmarkInterval(lmid0, lmid1);
+    if(this._isDefined(itv)) {
+      d = this.distance(itv[0], itv[1], itv[0], itv[2]);
+    } else {
+      d = this._routeLength(this._landmarkRoute(lmid0, lmid1));
+    }
+    return(d);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	getJunctions
+   * @return	Array of junctions, each an object with the fields:
+   * 		  - landmark - GCA id of the shared landmark.
+   * 		  - path -     Index of the path.
+   * 		  - index -    Index of the landmark along the path.
+   * 		  - to_path -  Index of the connected path.
+   * 		  - to_index - Index of the landmark along the connected
+   * 		               path.
+   * @brief	Gets the junctions from a path to other paths. Paths are
+   * 		connected (as a graph) by landmarks which are on more than
+   * 		one path.
+   * @param	path_idx	Index of the path.
+   */
+  getJunctions(path_idx) {
+    let jns = this._junctions[path_idx];
+    return(this._isDefined(jns)? jns: []);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	route
+   * @return	Array of route segments or undefined if the positions are
+   * 		not connected. Each segment is an object with the fields
+   * 		path (path index), start and end (position parameters
+   * 		along the path, start may be greater than end).
+   * @brief	Finds the route between two positions through the
+   * 		junctions between paths, using as few junctions as
+   * 		possible. Consecutive segments meet at a shared landmark.
+   * @param	path_idx0	Index of the path of the first position.
+   * @param	t0		Position parameter of the first position.
+   * @param	path_idx1	Index of the path of the second position.
+   * @param	t1		Position parameter of the second position.
+   */
+  route(path_idx0, t0, path_idx1, t1) {
+    let rt = undefined;
+    let np = this._config.paths.length;
+    if((path_idx0 >= 0) && (path_idx0 < np) &&
+       (path_idx1 >= 0) && (path_idx1 < np)) {
+      // Breadth first search of the paths from the first path
+      let via = new Array(np);
+      let queue = [path_idx0];
+      via[path_idx0] = null;
+      while((queue.length > 0) && !this._isDefined(via[path_idx1])) {
+        let pi = queue.shift();
+        let jns = this.getJunctions(pi);
+        for(let i = 0; i < jns.length; ++i) {
+          let jn = jns[i];
+          if(!this._isDefined(via[jn.to_path])) {
+            via[jn.to_path] = jn;
+            queue.push(jn.to_path);
+          }
+        }
+      }
+      if(this._isDefined(via[path_idx1])) {
+        rt = [];
+        let pi = path_idx1;
+        let end = t1;
+        while(via[pi] !== null) {
+          let jn = via[pi];
+          rt.unshift({path: pi, start: jn.to_index, end: end});
+          end = jn.index;
+          pi = jn.path;
+        }
+        rt.unshift({path: pi, start: t0, end: end});
+      }
+    }
+    return(rt);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	routeSection
+   * @return	Object with the fields points and tangents (arrays of
+   * 		[x, y, z] arrays) or undefined if the positions are not
+   * 		connected or a path on the route has not been loaded.
+   * @brief	As pathSection() but for the route between two positions
+   * 		which may be on different paths. Tangents are reversed
+   * 		where a path is followed toward it's start.
+   * @param	path_idx0	Index of the path of the first position.
+   * @param	t0		Position parameter of the first position.
+   * @param	path_idx1	Index of the path of the second position.
+   * @param	t1		Position parameter of the second position.
+   */
+  routeSection(path_idx0, t0, path_idx1, t1) {
+    let sec = undefined;
+    let rt = (path_idx0 === path_idx1)?
+             [{path: path_idx0, start: t0, end: t1}]:
+             this.route(path_idx0, t0, path_idx1, t1);
+    if(this._isDefined(rt)) {
+      sec = {points: [], tangents: []};
+      for(let i = 0; this._isDefined(sec) && (i < rt.length); ++i) {
+        let sg = rt[i];
+        let rev = (sg.start > sg.end) && (rt.length > 1);
+        let ps = rev? this.pathSection(sg.path, sg.end, sg.start):
+                      this.pathSection(sg.path, sg.start, sg.end);
+        if(this._isDefined(ps)) {
+          if(rev) {
+            ps.points.reverse();
+            ps.tangents = ps.tangents.reverse().map(
+                (v) => [-v[0], -v[1], -v[2]]);
+          }
+          if((sec.points.length > 0) && (ps.points.length > 1) &&
+             (this._dist2(sec.points[sec.points.length - 1],
+                          ps.points[0]) === 0)) {
+            // Junction point is shared by the paths
+            ps.points.shift();
+            ps.tangents.shift();
+          }
+          sec.points = sec.points.concat(ps.points);
+          sec.tangents = sec.tangents.concat(ps.tangents);
+        } else {
+          sec = undefined;
+        }
+      }
+    }
+    return(sec);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	routeIndices
+   * @return	Array of [<path index>, <index>] pairs or undefined if
+   * 		the positions are not connected or a path on the route has
+   * 		not been loaded.
+   * @brief	Gets the (integer) path indices along the route between
+   * 		two positions. If both positions are on the same path the
+   * 		indices are in increasing order, otherwise they are in the
+   * 		order of the route from the first position to the second.
+   * 		Indices are rounded and clamped to the paths.
+   * @param	path_idx0	Index of the path of the first position.
+   * @param	i0		Index of the first position.
+   * @param	path_idx1	Index of the path of the second position.
+   * @param	i1		Index of the second position.
+   */
+  routeIndices(path_idx0, i0, path_idx1, i1) {
+    let ri = undefined;
+    let rt = undefined;
+    if(path_idx0 === path_idx1) {
+      rt = [{path: path_idx0, start: Math.min(i0, i1), end: Math.max(i0, i1)}];
+    } else {
+      rt = this.route(path_idx0, i0, path_idx1, i1);
+    }
+    if(this._isDefined(rt)) {
+      ri = [];
+      for(let k = 0; this._isDefined(ri) && (k < rt.length); ++k) {
+        let sg = rt[k];
+        let path = this._config.paths[sg.path];
+        if(this._isDefined(path) && this._isDefined(path.points)) {
+          let a = this._clamp(Math.round(sg.start), 0, path.n - 1);
+          let b = this._clamp(Math.round(sg.end), 0, path.n - 1);
+          let inc = (b < a)? -1: 1;
+          for(let i = a; inc * (b - i) >= 0; i += inc) {
+            ri.push([sg.path, i]);
+          }
+        } else {
+          ri = undefined;
+        }
+      }
+    }
+    return(ri);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	routeDirections
+   * @return	Array with, for each of the route's indices, 1 if the
+   * 		route follows the path toward it's end at the index or -1
+   * 		if it follows the path toward it's start.
+   * @brief	Finds the direction in which a route follows its paths,
+   * 		as required to reverse tangents where a path is followed
+   * 		toward it's start (as in routeSection()).
+   * @param	ri		Route indices (see routeIndices()).
+   */
+  routeDirections(ri) {
+    let dir = [];
+    for(let k = 0; k < ri.length; ++k) {
+      let d = 1;
+      if((k + 1 < ri.length) && (ri[k + 1][0] === ri[k][0])) {
+        d = (ri[k + 1][1] < ri[k][1])? -1: 1;
+      } else if((k > 0) && (ri[k - 1][0] === ri[k][0])) {
+        d = (ri[k][1] < ri[k - 1][1])? -1: 1;
+      }
+      dir.push(d);
+    }
+    return(dir);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	assignLanes
+   * @return	Array of lane numbers (0, 1, 2, ...), one for each route.
+   * @brief	Assigns lanes to routes so that routes which overlap (share
+   * 		any index of any path) are in different lanes. Routes are
+   * 		taken in the given order, each being given the lowest lane
+   * 		not used by an overlapping route before it.
+   * @param	routes		Array of routes, each an array of
+   * 				[<path index>, <index>] pairs (see
+   * 				routeIndices()).
+   */
+  assignLanes(routes) {
+    /* Reduce each route to the index range it covers on each path. */
+    let rngs = routes.map((ri) => {
+      let r = {};
+      ri.forEach((pi) => {
+        let q = r[pi[0]];
+        if(this._isDefined(q)) {
+          q[0] = Math.min(q[0], pi[1]);
+          q[1] = Math.max(q[1], pi[1]);
+        } else {
+          r[pi[0]] = [pi[1], pi[1]];
+        }
+      });
+      return(r);
+    });
+    let lanes = [];
+    for(let k = 0; k < rngs.length; ++k) {
+      let used = [];
+      for(let j = 0; j < k; ++j) {
+        for(const p in rngs[k]) {
+          let a = rngs[k][p];
+          let b = rngs[j][p];
+          if(this._isDefined(b) && (a[0] <= b[1]) && (b[0] <= a[1])) {
+            used[lanes[j]] = true;
+            break;
+          }
+        }
+      }
+      let l = 0;
+      while(used[l]) {
+        ++l;
+      }
+      lanes.push(l);
+    }
+    return(lanes);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	onRoute
+   * @return	True if the position is on the route.
+   * @brief	Checks whether a position lies on the route between two
+   * 		positions (see route()), ends included.
+   * @param	path_idx0	Index of the path of the route start.
+   * @param	t0		Position parameter of the route start.
+   * @param	path_idx1	Index of the path of the route end.
+   * @param	t1		Position parameter of the route end.
+   * @param	path_idx	Index of the path of the position.
+   * @param	t		Position parameter of the position.
+   */
+  onRoute(path_idx0, t0, path_idx1, t1, path_idx, t) {
+    let on = false;
+    let rt = (path_idx0 === path_idx1)?
+             [{path: path_idx0, start: t0, end: t1}]:
+             this.route(path_idx0, t0, path_idx1, t1);
+    if(this._isDefined(rt)) {
+      for(let k = 0; !on && (k < rt.length); ++k) {
+        let sg = rt[k];
+        on = (sg.path === path_idx) &&
+             (t >= Math.min(sg.start, sg.end)) &&
+             (t <= Math.max(sg.start, sg.end));
+      }
+    }
+    return(on);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	advance
+   * @return	Array of path index and position parameter, both of
+   * 		which are undefined if the path has not been loaded.
+   * @brief	Moves a position a distance along it's path. When the
+   * 		position moves past the last landmark of the path (in the
+   * 		direction of movement) and that landmark is shared with
+   * 		another path, the position crosses the junction and
+   * 		continues along the other path, away from the junction.
+   * 		Otherwise the position is clamped to the ends of the path.
+   * @param	path_idx	Index of the path.
+   * @param	t		Position parameter.
+   * @param	dist		Distance to move, positive distances are
+   * 				toward the end of the path.
+   */
+  advance(path_idx, t, dist) {
+    let pi = path_idx;
+    let s = this.arcLength(pi, t);
+    if(this._isDefined(s)) {
+      let dir = (dist < 0)? -1: 1;
+      let cnt = 0;
+      let entered = undefined;	// Landmark of the junction last crossed
+      s += dist;
+      while(cnt++ < this._config.paths.length) {
+        let jn = this._terminalJunction(pi, dir);
+        if(!this._isDefined(jn) || (jn.landmark === entered) ||
+           (dir * (jn.index - t) < 0)) {
+          break;
+        }
+        let sj = this.arcLength(pi, jn.index);
+        let over = dir * (s - sj);
+        let to = this._config.paths[jn.to_path];
+        if((over <= 0) || !this._isDefined(to.arc_length)) {
+          break;
+        }
+        // Continue away from the junction on the other path
+        dir = (jn.to_index < (to.n - 1) / 2)? 1: -1;
+        entered = jn.landmark;
+        pi = jn.to_path;
+        t = jn.to_index;
+        s = this.arcLength(pi, t) + dir * over;
+      }
+      t = this.parameterAtArcLength(pi, s);
+    } else {
+      pi = undefined;
+      t = undefined;
+    }
+    return([pi, t]);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_landmarkInterval
+   * @return	Array [<path index>, <index 0>, <index 1>] or undefined.
+   * @brief	Finds the first path shared by two landmarks along with
+   * 		the landmarks' indices along the path.
+   * @param	lmid0		First landmark id.
+   * @param	lmid1		Second landmark id.
+   */
+  _landmarkInterval(lmid0, lmid1) {
+    let itv = undefined;
+    let path_idx = undefined;
+    let mi = [-1, -1];
+    let mpi = [-1, -1];
+    let mp = [[], []];
+    let li = 0;
+    let ll = this._config.landmarks.length;
+    // Find landmarks and paths with matching ids
+    while(((mi[0] < 0) || (mi[1] < 0)) && li < ll) {
+      let lmk = this._config.landmarks[li];
+      if(lmk.id === lmid0) {
+        mi[0] = li;
+        mp[0] = lmk.paths;
+      }
+      if(lmk.id === lmid1) {
+        mi[1] = li;
+        mp[1] = lmk.paths;
+      }
+      ++li;
+    }
+    // If matching landmarks found
+    if((mi[0] > -1) && (mi[1] > -1)) {
+      // Check if landmarks share a path
+      li = 0;
+      ll = mp[0].length;
+      let jl = mp[1].length;
+      while((path_idx === undefined) && li < ll) {
+        for(let ji = 0; ji < jl; ++ji) {
+          if(mp[0][li] === mp[1][ji]) {
+            mpi[0] = li;
+            mpi[1] = ji;
+            path_idx = this.pathIdxFromID(mp[0][li]);
+          }
+        }
+        ++li;
+      }
+      if(path_idx !== undefined) {
+        itv = [path_idx,
+               Number(this._config.landmarks[mi[0]].position[mpi[0]]),
+               Number(this._config.landmarks[mi[1]].position[mpi[1]])];
+      }
+    }
+    return(itv);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	getPosition
+   * @return	An array [pmk0, pmk1, pdt] with
+   *              - pmk0 - Index of the lower landmark enclosing the given
+   *                       path index.
+   *              - pmk1 - Index of the upper landmark enclosing the given
+   *                       path index.
+   *              - pdt -  Proportional distance from the first landmark
+   *                       to the second.
+   * 		or undefined if the enclosing landmarks can not be found.
+   * @brief	Finds the landmarks either side of the given path index
+   * 		for the given path along with the proportional distance from
+   * 		the first landmark to the second.
+   * @param	path		The path id.
+   * @param	path_idx	Index along the path.
+   */
+  getPosition(path, path_idx) {
+    let rtn = undefined;
+    let landmarks = this._config.landmarks;
+    let lmks = [undefined, undefined];
+    let pi = [-1, -1];
+    /* Find lower and upper containing landmarks of path_idx. */
+    for(let i = 0; i < landmarks.length; ++i) {
+      let pinp = -1;
+      let lmk = landmarks[i];
+      for(let j = 0; j < lmk.paths.length; ++j) {
+        if(path === lmk.paths[j]) {
+          pinp = j;
+          break;
+        }
+      }
+      if(pinp >= 0) {
+        if(lmk.position[pinp] <= path_idx) {
+          if((lmks[0] === undefined) || (i > lmks[0])) {
+            pi[0] = pinp;
+            lmks[0] = i;
+          }
+        }
+        if(lmk.position[pinp] >= path_idx) {
+          if((lmks[1] === undefined) || (i < lmks[1])) {
+            pi[1] = pinp;
+            lmks[1] = i;
+          }
+        }
+      }
+    }
+    if((lmks[0] !== undefined) && (lmks[1] !== undefined)) {
+      let p0 = landmarks[lmks[0]].position[pi[0]];
+      let p1 = landmarks[lmks[1]].position[pi[1]];
+      rtn = [lmks[0], lmks[1], (p1 > p0)? (path_idx - p0) / (p1 - p0): 0];
+    }
+    return(rtn);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	landmarkPosition
+   * @return	Object with fields:
+   * 		  - path -      GCA path id.
+   * 		  - index -     Index along the path.
+   * 		  - landmarks - Array of the GCA ids of the lower and upper
+   * 		                landmarks enclosing the index.
+   * 		  - anatomy -   Array of the GCA anatomy ids of the lower
+   * 		                and upper landmarks.
+   * 		  - anatomy_names - Array of the (abbreviated) anatomy names
+   * 		                of the lower and upper landmarks.
+   * 		  - fraction -  Proportional distance from the first
+   * 		                landmark to the second.
+   * 		  - distance -  Distance along the path from the first
+   * 		                landmark (see getDistanceUnits()).
+   * 		or undefined if the enclosing landmarks can not be found.
+   * @brief	Gives the landmark relative position of an index along
+   * 		a path.
+   * @param	path_idx	Index of the path.
+   * @param	index		Index along the path.
+   */
+  landmarkPosition(path_idx, index) {
+    let lp = undefined;
+    let path = this._config.paths[path_idx];
+    if(this._isDefined(path)) {
+      let p = this.getPosition(path.id, index);
+      if(this._isDefined(p)) {
+        let lmks = [this._config.landmarks[p[0]], this._config.landmarks[p[1]]];
+        let anat = lmks.map((l) => l.anatomy[0]);
+        lp = {
+          path: path.id,
+          index: index,
+          landmarks: [lmks[0].id, lmks[1].id],
+          anatomy: [anat[0].id, anat[1].id],
+          anatomy_names: [anat[0].abbreviated_name, anat[1].abbreviated_name],
+          fraction: p[2],
+          distance: this.distance(path_idx,
+              Number(lmks[0].position[lmks[0].paths.indexOf(path.id)]),
+              path_idx, index)};
+      }
+    }
+    return(lp);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	mapIntervalToMidline
+   * @return	An array with the path, midline start and end index of the
+   * 		form [<gca path id>, <start index>, <end index>, <route>]
+   * 		or undefined if the intervals are invalid. The route is
+   * 		an array of [<gca path id>, <start index>, <end index>]
+   * 		for each path the interval spans. If the interval spans
+   * 		more than one path the path id and start index are
+   * 		those on the first path and the end index is on the last
+   * 		path.
+   * @brief	Maps an interval to a range of indices along a path. The
+   * 		range is:
+   * 		  index(lmk0) + floor(f0 * (index(lmk1) - index(lmk0)),
+   * 		  index(lmk2) + floor(f1 * (index(lmk3) - index(lmk2))
+   * 		where index(lmk) is the path index of landmark lmk.
+   * 		If any of the landmarks are not defined for the model,
+   * 		or the start and end are not connected, then undefined
+   * 		will be returned.
+   * @param	lmk0	First landmark used to define start point.
+   * @param	lmk1	Second landmark used to define start point.
+   * @param	f0	Fraction from lmk0 to lmk1 of start point.
+   * @param	lmk2	First landmark used to define end point.
+   * @param	lmk3	Second landmark used to define end point.
+   * @param	f1	Fraction from lmk2 to lmk3 of end point.
+   */
+  mapIntervalToMidline(lmk0, lmk1, f0, lmk2, lmk3, f1) {
+    let pse = undefined;
+    let lmk = [lmk0, lmk1, lmk2, lmk3].map((a) => this.landmarkFromAnatID(a));
+    if(lmk.every((l) => this._isDefined(l))) {
+      let ps = this.positionOnPath(lmk[0].id, lmk[1].id, f0);
+      let pe = this.positionOnPath(lmk[2].id, lmk[3].id, f1);
+      if(this._isDefined(ps[1]) && this._isDefined(pe[1])) {
+        let rt = (ps[0] === pe[0])?
+                 [{path: ps[0], start: ps[1], end: pe[1]}]:
+                 this.route(ps[0], ps[1], pe[0], pe[1]);
+        if(this._isDefined(rt)) {
+          pse = [this._config.paths[ps[0]].id, ps[1], pe[1],
+                 rt.map((sg) => [this._config.paths[sg.path].id,
+                                 sg.start, sg.end])];
+        }
+      }
+    }
+    return(pse);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	mapPointToIndex
+   * @return	Index along the path or undefined.
+   * @brief	Maps the given point to an index along the given path using
+   * 		the path's mapping (if it has one). If the point is not
+   * 		within the domain of the mapping then undefined is
+   * 		returned.
+   * @param	path_idx	Index of the path.
+   * @param	p		Given point with x and y fields.
+   */
+  mapPointToIndex(path_idx, p) {
+    let idx = undefined;
+    let path = this._config.paths[path_idx];
+    if(this._isDefined(path) && this._isDefined(path.mapping)) {
+      idx = this._getObjValue(path.mapping, p.x, p.y);
+    }
+    return(idx);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function  positionToPath
+   * @return    [<path index>, <path position index>, <distance>] or
+   * 		undefined
+   * @brief	Finds the path closest to the given position and then
+   * 		returns the path, position along the path and distance.
+   * 		The position is projected onto the path's segments using
+   * 		the spatial index of the paths, so the position along the
+   * 		path may lie between the path's points. If a path does
+   * 		not pass within the tolerance from the position then
+   * 		undefined is returned.
+   * @param	pos		Position coordinate, either an array or
+   * 				an object with x, y (and z) fields.
+   * @param	tol		Tolerance distance.
+   */
+  positionToPath(pos, tol) {
+    let fnd = undefined;
+    let md = (tol < Number.MAX_VALUE)? tol: undefined;
+    let nr = this._pathIndex().nearest(pos, md);
+    if(this._isDefined(nr) && (nr.distance < tol)) {
+      fnd = [nr.data.path, nr.data.index + nr.t, nr.distance];
+    }
+    return(fnd);
+  }
+
+  /* Support functions below here. */
+
+  /**
+   * @class	GCAModel
+   * @function	_sortLandmarks
+   * @brief	Sorts the landmarks (in place) in the given configuration.
+   * 		This is done to ensure that landmarks are ordered by their
+   * 		position along (combined) paths.
+   * @param	cfg		Configuration.
+   */
+  _sortLandmarks(cfg) {
+    cfg.landmarks.sort((a, b) => {
+      return(a.position[0] - b.position[0]);
+    });
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_findCfgPaths
+   * @brief	Build a look up table from path ids to path indices.
+   */
+  _findCfgPaths() {
+    this._config['pathIdToIdx'] = [];
+    for(let i = 0; i < this._config.paths.length; ++i) {
+      let p = this._config.paths[i];
+      this._config.pathIdToIdx[p.id] = i;
+    }
+  }
+
+  /**
+   * @class	GCAModel
+   * @function  _findCfgModelObjects
+   * @brief     Finds model objects and sets easily accessed entries
+   * 		in the config:
+   * 		  config.display_props      <- GLOBAL_DISPLAY_PROP
+   * 		  config.disc               <- DISC
+   * 		  config.section_files      <- [SECTION_FILES]
+   * 		  config.reference_surfaces <- [REFERENCE_SURFACES]
+   * 		  config.anatomy_surfaces   <- [ANATOMY_SURFACES]
+   */
+  _findCfgModelObjects() {
+    let cfg = this._config;
+    for(const i in cfg.model_objects) {
+      let mo = cfg.model_objects[i];
+      if(this._isDefined(mo) && this._isDefined(mo.group)) {
+        switch(mo.group) {
+          case 'GLOBAL_DISPLAY_PROP':
+            if(this._isDefined(mo.display_props)) {
+              cfg['display_props'] = mo.display_props;
+            }
+            break;
+          case 'DISC':
+            cfg['disc'] = mo;
+            break;
+          case 'SECTION_FILES':
+            if(!this._isDefined(cfg.section_files)) {
+              cfg['section_files'] = [];
+            }
+            cfg.section_files[cfg.pathIdToIdx[mo.path]] = mo;
+            break;
+          case 'REFERENCE_SURFACES':
+            if(!this._isDefined(cfg.reference_surfaces)) {
+              cfg['reference_surfaces'] = [];
+            }
+            cfg.reference_surfaces.push(mo);
+            break;
+          case 'ANATOMY_SURFACES':
+            if(!this._isDefined(cfg.anatomy_surfaces)) {
+              cfg['anatomy_surfaces'] = [];
+            }
+            cfg.anatomy_surfaces.push(mo);
+            break;
+          default:
+            break;
+        }
+      }
+    }
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_getObjValue
+   * @return	The value if the given coordinates are within the object's
+   * 		domain, otherwise undefined.
+   * @brief	Gets the value of an encoded Woolz object at the given
+   * 		coordinates.
+   * @param	map		The mapping object.
+   * @param	x		The column coordinate.
+   * @param	y		The line coordinate.
+   */
+  _getObjValue(map, x, y) {
+    let vidx;
+    let inside = false;
+    let v = undefined;
+    let obj = map['object'];
+    let dom = obj.domain;
+    let val = obj.values;
+    x = Math.trunc(x) - dom.kol1;
+    y = Math.trunc(y) - dom.line1;
+    if((y >= 0) && (y <= dom.lastln - dom.line1) &&
+       (x >= 0) && (x <= dom.lastkl - dom.kol1)) {
+      let ivln = dom.intvlines[y];
+      vidx = val.value_line_indices[y];
+      for(let i = 0; !inside && (i < ivln.length); ++i) {
+        let iv = ivln[i];
+        if((x >= iv[0]) && (x <= iv[1])) {
+          vidx += x - iv[0];
+          inside = true;
+          break;
+        } else {
+          vidx += iv[1] - iv[0] + 1;
+        }
+      }
+    }
+    if(inside) {
+      v = val.values[vidx];
+    }
+    return(v);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_vtx
+   * @return	Array [x, y, z].
+   * @brief	Gets the coordinates of a point which may be either an
+   * 		array or an object with x, y (and z) fields. Missing z
+   * 		coordinates are set to zero.
+   * @param	p		Given point.
+   */
+  _vtx(p) {
+    let v;
+    if(this._isArray(p)) {
+      v = [p[0], p[1], (p.length > 2)? p[2]: 0];
+    } else {
+      v = [p.x, p.y, this._isDefined(p.z)? p.z: 0];
+    }
+    return(v);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_findJunctions
+   * @brief	Finds the junctions between paths given by landmarks which
+   * 		are on more than one path.
+   */
+  _findJunctions() {
+    let paths = this._config.paths;
+    this._junctions = paths.map(() => []);
+    this._config.landmarks.forEach((lmk) => {
+      let pi = lmk.paths.map((id) => this.pathIdxFromID(id));
+      for(let i = 0; i < pi.length; ++i) {
+        for(let j = 0; j < pi.length; ++j) {
+          if(this._isDefined(pi[i]) && this._isDefined(pi[j]) &&
+             (pi[i] !== pi[j])) {
+            this._junctions[pi[i]].push({
+              landmark: lmk.id,
+              path: pi[i],
+              index: Number(lmk.position[i]),
+              to_path: pi[j],
+              to_index: Number(lmk.position[j])});
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_terminalJunction
+   * @return	Junction or undefined.
+   * @brief	Finds the junction at the last landmark along a path in
+   * 		the given direction, if that landmark is shared with
+   * 		another path.
+   * @param	path_idx	Index of the path.
+   * @param	dir		Direction, +1 toward the end of the path or
+   * 				-1 toward it's start.
+   */
+  _terminalJunction(path_idx, dir) {
+    let jn = undefined;
+    let path = this._config.paths[path_idx];
+    let last = undefined;
+    this._config.landmarks.forEach((lmk) => {
+      let i = lmk.paths.indexOf(path.id);
+      if((i >= 0) &&
+         (!this._isDefined(last) ||
+          (dir * (Number(lmk.position[i]) - last.index) > 0))) {
+        last = {id: lmk.id, index: Number(lmk.position[i])};
+      }
+    });
+    if(this._isDefined(last)) {
+      jn = this.getJunctions(path_idx).find((j) => j.landmark === last.id);
+    }
+    return(jn);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_landmarkRoute
+   * @return	Route (see route()) or undefined.
+   * @brief	Finds the route between two landmarks which may be on
+   * 		different paths, using the route with fewest segments.
+   * @param	lmid0		First landmark id.
+   * @param	lmid1		Second landmark id.
+   */
+  _landmarkRoute(lmid0, lmid1) {
+    let best = undefined;
+    let l0 = this.landmarkFromID(lmid0);
+    let l1 = this.landmarkFromID(lmid1);
+    if(this._isDefined(l0) && this._isDefined(l1)) {
+      for(let i = 0; i < l0.paths.length; ++i) {
+        for(let j = 0; j < l1.paths.length; ++j) {
+          let rt = this.route(this.pathIdxFromID(l0.paths[i]),
+                              Number(l0.position[i]),
+                              this.pathIdxFromID(l1.paths[j]),
+                              Number(l1.position[j]));
+          if(this._isDefined(rt) &&
+             (!this._isDefined(best) || (rt.length < best.length))) {
+            best = rt;
+          }
+        }
+      }
+    }
+    return(best);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_routeParameter
+   * @return	Array [<path index>, <position parameter>] or undefined.
+   * @brief	Finds the position which is the given fraction along a
+   * 		route, measured in path indices.
+   * @param	rt		Route (see route()).
+   * @param	dst		Proportional distance along the route.
+   */
+  _routeParameter(rt, dst) {
+    let p = undefined;
+    if(this._isDefined(rt)) {
+      let len = rt.reduce((a, sg) => a + Math.abs(sg.end - sg.start), 0);
+      let rem = this._clamp(dst, 0, 1) * len;
+      for(let i = 0; !this._isDefined(p) && (i < rt.length); ++i) {
+        let sg = rt[i];
+        let sl = Math.abs(sg.end - sg.start);
+        if((rem <= sl) || (i === rt.length - 1)) {
+          let f = (sl > 0)? Math.min(rem / sl, 1): 0;
+          p = [sg.path, sg.start + f * (sg.end - sg.start)];
+        }
+        rem -= sl;
+      }
+    }
+    return(p);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_routeLength
+   * @return	Signed length or undefined.
+   * @brief	Computes the length of a route (see getDistanceUnits()).
+   * 		The length is negative if the route runs backwards, that
+   * 		is if the first of it's segments with any length follows
+   * 		it's path toward the path's start, as on a single path.
+   * 		Undefined is returned if the route is undefined or a path
+   * 		on it has not been loaded.
+   * @param	rt		Route (see route()).
+   */
+  _routeLength(rt) {
+    let len = undefined;
+    if(this._isDefined(rt)) {
+      let sgn = 0;
+      len = 0;
+      for(let i = 0; this._isDefined(len) && (i < rt.length); ++i) {
+        let sg = rt[i];
+        let s0 = this.arcLength(sg.path, sg.start);
+        let s1 = this.arcLength(sg.path, sg.end);
+        if((sgn === 0) && (sg.start !== sg.end)) {
+          sgn = (sg.start > sg.end)? -1: 1;
+        }
+        len = (this._isDefined(s0) && this._isDefined(s1))?
+              len + Math.abs(s1 - s0): undefined;
+      }
+      if(this._isDefined(len) && (sgn < 0)) {
+        len = -len;
+      }
+    }
+    return(len);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_findVoxelSize
+   * @return	Array [sx, sy, sz].
+   * @brief	Gets the voxel size from the configuration's voxel_size
+   * 		which may be undefined, a number or an array of two or
+   * 		three numbers.
+   * @param	vs		Configuration voxel size.
+   */
+  _findVoxelSize(vs) {
+    let sz = [1.0, 1.0, 1.0];
+    if(this._isArray(vs)) {
+      for(let i = 0; i < vs.length && i < 3; ++i) {
+        sz[i] = Number(vs[i]);
+      }
+    } else if(this._isDefined(vs)) {
+      sz = [Number(vs), Number(vs), Number(vs)];
+    }
+    return(sz);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_pathIndex
+   * @return	The spatial index of the path segments.
+   * @brief	Gets the spatial index of the path segments, first
+   * 		rebuilding it if paths have been loaded since it was
+   * 		last built.
+   */
+  _pathIndex() {
+    if(this._path_index_dirty) {
+      this._indexPaths();
+      this._path_index_dirty = false;
+    }
+    return(this._path_index);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_indexPaths
+   * @brief	Rebuilds the spatial index of the segments of all loaded
+   * 		paths. The index cell size is a few times the mean
+   * 		segment length.
+   */
+  _indexPaths() {
+    let len = 0;
+    let cnt = 0;
+    let paths = this._config.paths;
+    for(let pi = 0; pi < paths.length; ++pi) {
+      let path = paths[pi];
+      if(this._isDefined(path.points)) {
+        for(let pj = 1; pj < path.n; ++pj) {
+          len += Math.sqrt(this._dist2(this._vtx(path.points[pj - 1]),
+                                       this._vtx(path.points[pj])));
+          ++cnt;
+        }
+      }
+    }
+    this._path_index.clear();
+    if(len > 0) {
+      this._path_index.setCellSize(4.0 * len / cnt);
+    }
+    for(let pi = 0; pi < paths.length; ++pi) {
+      let path = paths[pi];
+      if(this._isDefined(path.points)) {
+        this._path_index.addPolyline(pi, path.points.slice(0, path.n),
+                                     {path: pi});
+      }
+    }
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_arcLengths
+   * @return	Array of cumulative distances.
+   * @brief	Computes the cumulative distance (scaled by the voxel
+   * 		size) along the given points.
+   * @param	pts		Array of points.
+   * @param	n		Number of points.
+   */
+  _arcLengths(pts, n) {
+    let al = new Array(n);
+    let vs = this._voxel_size;
+    if(n > 0) {
+      let p0 = this._vtx(pts[0]);
+      al[0] = 0.0;
+      for(let i = 1; i < n; ++i) {
+        let p1 = this._vtx(pts[i]);
+        let d = [(p1[0] - p0[0]) * vs[0],
+                 (p1[1] - p0[1]) * vs[1],
+                 (p1[2] - p0[2]) * vs[2]];
+        al[i] = al[i - 1] + Math.sqrt(d[0] * d[0] + d[1] * d[1] + d[2] * d[2]);
+        p0 = p1;
+      }
+    }
+    return(al);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_sub
+   * @return	Array [x, y, z].
+   * @brief	Computes the difference of two vectors, u - v.
+   * @param	u		First vector [x, y, z].
+   * @param	v		Second vector [x, y, z].
+   */
+  _sub(u, v) {
+    return([u[0] - v[0], u[1] - v[1], u[2] - v[2]]);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_dot
+   * @return	Scalar product of the vectors.
+   * @brief	Computes the scalar product of two vectors.
+   * @param	u		First vector [x, y, z].
+   * @param	v		Second vector [x, y, z].
+   */
+  _dot(u, v) {
+    return((u[0] * v[0]) + (u[1] * v[1]) + (u[2] * v[2]));
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_unit
+   * @return	Array [x, y, z].
+   * @brief	Normalises a vector, returning the given default if the
+   * 		vector has zero length.
+   * @param	v		Vector [x, y, z].
+   * @param	def		Default unit vector [x, y, z].
+   */
+  _unit(v, def) {
+    let l = Math.sqrt(this._dot(v, v));
+    return((l > 0)? [v[0] / l, v[1] / l, v[2] / l]: def);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_orthoUnit
+   * @return	Array [x, y, z].
+   * @brief	Makes a vector orthogonal to a unit vector and normalises
+   * 		it, returning the given default if nothing remains.
+   * @param	v		Vector [x, y, z].
+   * @param	t		Unit vector [x, y, z].
+   * @param	def		Optional default vector [x, y, z].
+   */
+  _orthoUnit(v, t, def) {
+    let d = this._dot(v, t);
+    return(this._unit([v[0] - (d * t[0]), v[1] - (d * t[1]),
+                       v[2] - (d * t[2])], def));
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_reflect
+   * @return	Array [x, y, z].
+   * @brief	Reflects a vector in the plane through the origin with the
+   * 		given normal.
+   * @param	v		Vector [x, y, z].
+   * @param	m		Plane normal [x, y, z].
+   * @param	c		Squared length of the plane normal.
+   */
+  _reflect(v, m, c) {
+    let f = 2 * this._dot(m, v) / c;
+    return([v[0] - (f * m[0]), v[1] - (f * m[1]), v[2] - (f * m[2])]);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_lerp
+   * @return	Array [x, y, z].
+   * @brief	Linear interpolation between two points.
+   * @param	p		First point.
+   * @param	q		Second point.
+   * @param	f		Fraction from the first point to the second.
+   */
+  _lerp(p, q, f) {
+    let u = this._vtx(p);
+    let v = this._vtx(q);
+    return([u[0] + f * (v[0] - u[0]),
+            u[1] + f * (v[1] - u[1]),
+            u[2] + f * (v[2] - u[2])]);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_lerpUnit
+   * @return	Array [x, y, z].
+   * @brief	Linear interpolation between two unit vectors with the
+   * 		result normalised. If the result has zero length the first
+   * 		vector is returned.
+   * @param	p		First vector.
+   * @param	q		Second vector.
+   * @param	f		Fraction from the first vector to the second.
+   */
+  _lerpUnit(p, q, f) {
+    let v = this._lerp(p, q, f);
+    let l = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+    if(l > 0) {
+      v = [v[0] / l, v[1] / l, v[2] / l];
+    } else {
+      v = this._vtx(p);
+    }
+    return(v);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_dist2
+   * @return	Squared distance.
+   * @brief	Computes the squared distance between two points given as
+   * 		arrays [x, y, z].
+   * @param	p		First point.
+   * @param	q		Second point.
+   */
+  _dist2(p, q) {
+    let d = [p[0] - q[0], p[1] - q[1], p[2] - q[2]];
+    return(d[0] * d[0] + d[1] * d[1] + d[2] * d[2]);
+  }
+
+  /**
+   * @class	GCAModel
+   * @function  _isDefined
+   * @return    True of false.
+   * @brief     Test is given parameter is defined.
+   * @param     x		Given parameter.
+   */
+  _isDefined(x) {
+    return(typeof x !== 'undefined');
+  }
+
+  /**
+   * @class	GCAModel
+   * @function  _isArray
+   * @return	True of false.
+   * @brief	Test if given object is an array.
+   * @param	obj		Given object.
+   */
+  _isArray(obj) {
+    return(Object.prototype.toString.call(obj) === '[object Array]');
+  }
+
+  /**
+   * @class	GCAModel
+   * @function	_clamp
+   * @return	Clamped value.
+   * @brief	Clamps the given value to given range.
+   * @param	v		Given value.
+   * @param	mn		Minimum value of range.
+   * @param	mx		Maximum value of range.
+   */
+  _clamp(v, mn, mx) {
+    return(v < mn? mn: v > mx ? mx: v);
+  }
+}
+
+/*!
+ * @class	GCALoadError
+ * @constructor
+ * @brief	Error used to report a failure to load one of the files
+ * 		required by a model.
+ * @param	url		URL of the file.
+ * @param	kind		Kind of resource, one of: 'config', 'spline',
+ * 				'map', 'image', 'icon' or 'surface'.
+ * @param	status		HTTP status of the request (0 if no
+ * 				response or undefined if not known).
+ * @param	msg		Optional message.
+ */
+class GCALoadError extends Error {
+  constructor(url, kind, status, msg) {
+    super(msg || ('Failed to load ' + kind + ' file ' + url + '.'));
+    this.name = 'GCALoadError';
+    this.url = url;
+    this.kind = kind;
+    this.status = status;
+  }
+}
+
+export {GCAModel, GCALoadError};
@@ -0,0 +1,519 @@
+/*!
+* @file         GCARendererSync.js
+* @author       Bill Hill
+* @date         June 2023
+* @version      $Id$
+* @par
+* Address:
+*               Heriot-Watt University,
+*               Edinburgh, Scotland, EH14 4AS, UK
+* @par
+* Copyright (C), [2023],
+* Heriot-Watt University, Edinburgh, UK.
+*
+* This program is free software; you can redistribute it and/or
+* modify it under the terms of the GNU General Public License
+* as published by the Free Software Foundation; either version 2
+* of the License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be
+* useful but WITHOUT ANY WARRANTY; without even the implied
+* warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR
+* PURPOSE.  See the GNU General Public License for more
+* details.
+*
+* You should have received a copy of the GNU General Public
+* License along with this program; if not, write to the Free
+* Software Foundation, Inc., 51 Franklin Street, Fifth Floor,
+* Boston, MA  02110-1301, USA.
+* @brief	Keeps any number of Gut Cell Atlas 2D and 3D renderers in
+* 		step with each other.
+*/
+
+/*!
+ * @class	GCARendererSync
+ * @constructor
+ * @brief	Creates a synchronisation object which keeps the current
+ * 		position, ROI, markers and tracks of any number of
+ * 		GCA2DRenderer and GCA3DRenderer instances in step.
+ * 		Renderers are added using add() and listen for changes
+ * 		using their events. All positions are passed between the
+ * 		renderers using the landmark coordinate system which is
+ * 		shared by their models, so the renderers may have different
+ * 		paths (eg 2D and 3D midlines) provided that their landmark
+ * 		ids are the same. A change in any one renderer is applied
+ * 		to all the others, positions which can not be located in a
+ * 		renderer's model (eg not between two of its landmarks) are
+ * 		not applied to that renderer.
+ * 		Picks in a renderer are mapped to the closest path position
+ * 		and used to set the current position of all the renderers.
+ * @param	opt		Optional object with any of the fields:
+ * 				  - position - Synchronise the current
+ * 				               position and ROI (default
+ * 				               true).
+ * 				  - markers -  Synchronise markers (default
+ * 				               true).
+ * 				  - tracks -   Synchronise tracks (default
+ * 				               true).
+ * 				  - picks -    Set the current position from
+ * 				               picks (default true).
+ * 				  - pick_tolerance - Maximum distance (in model
+ * 				               coordinates) of a pick from a
+ * 				               path (default 10).
+ */
+class GCARendererSync {
+  constructor(opt) {
+    this.type = 'GCARendererSync';
+    this._opt = {
+      position: true,
+      markers: true,
+      tracks: true,
+      picks: true,
+      pick_tolerance: 10};
+    if(this._isDefined(opt)) {
+      for(let k in this._opt) {
+        if(this._isDefined(opt[k])) {
+          this._opt[k] = opt[k];
+        }
+      }
+    }
+    this._entries = [];
+    this._syncing = false;	// True while applying changes to renderers
+  }
+
+  /**
+   * @class	GCARendererSync
+   * @function	add
+   * @brief	Adds a renderer to those kept in step. Adding a renderer
+   * 		which has already been added has no effect.
+   * @param	ren		GCA2DRenderer or GCA3DRenderer.
+   */
+  add(ren) {
+    if(this._findEntry(ren) < 0) {
+      let ent = {
+        renderer: ren,
+        cursor: undefined,
+        roi: undefined,
+        listeners: {}};
+      ent.listeners = {
+        positionchange: (ev) => this._onPositionChange(ent, ev),
+        roichange: (ev) => this._onRoiChange(ent, ev),
+        pick: (ev) => this._onPick(ent, ev),
+        markeradded: (ev) => this._onMarkerAdded(ent, ev),
+        markerremoved: (ev) => this._onMarkerRemoved(ent, ev),
+        markerupdated: (ev) => this._onMarkerUpdated(ent, ev),
+        markermoved: (ev) => this._onMarkerMoved(ent, ev),
+        trackadded: (ev) => this._onTrackAdded(ent, ev),
+        trackremoved: (ev) => this._onTrackRemoved(ent, ev)};
+      for(let type in ent.listeners) {
+        ren.on(type, ent.listeners[type]);
+      }
+      this._entries.push(ent);
+    }
+  }
+
+  /**
+   * @class	GCARendererSync
+   * @function	remove
+   * @brief	Removes a renderer from those kept in step.
+   * @param	ren		GCA2DRenderer or GCA3DRenderer.
+   */
+  remove(ren) {
+    let i = this._findEntry(ren);
+    if(i >= 0) {
+      let ent = this._entries[i];
+      for(let type in ent.listeners) {
+        ren.off(type, ent.listeners[type]);
+      }
+      this._entries.splice(i, 1);
+    }
+  }
+
+  /**
+   * @class	GCARendererSync
+   * @function	getRenderers
+   * @return	Array of the renderers kept in step.
+   * @brief	Gets the renderers kept in step.
+   */
+  getRenderers() {
+    return(this._entries.map((e) => e.renderer));
+  }
+
+  /**
+   * @class	GCARendererSync
+   * @function	_onPositionChange
+   * @brief	Records the new current position of a renderer. The
+   * 		position is applied to the other renderers when the
+   * 		roichange event (which always follows a positionchange
+   * 		event) is received.
+   * @param	ent		Entry of the renderer.
+   * @param	ev		Event.
+   */
+  _onPositionChange(ent, ev) {
+    ent.cursor = ev.position;
+  }
+
+  /**
+   * @class	GCARendererSync
+   * @function	_onRoiChange
+   * @brief	Records the new ROI of a renderer and applies the
+   * 		renderer's current position and ROI to all the other
+   * 		renderers.
+   * @param	ent		Entry of the renderer.
+   * @param	ev		Event.
+   */
+  _onRoiChange(ent, ev) {
+    ent.roi = [ev.start_position, ev.end_position];
+    if(!this._syncing && this._opt.position &&
+       this._isDefined(ent.cursor)) {
+      let c = ent.cursor;
+      let rs = this._isDefined(ent.roi[0])? ent.roi[0]: c;
+      let re = this._isDefined(ent.roi[1])? ent.roi[1]: c;
+      this._apply(ent, (ren) => {
+        if(this._canLocate(ren, c)) {
+          if(!this._canLocate(ren, rs) || !this._canLocate(ren, re)) {
+            rs = re = c;
+          }
+          ren.setPosition(c.landmarks[0], c.landmarks[1], c.fraction,
+                          rs.landmarks[0], rs.landmarks[1], rs.fraction,
+                          re.landmarks[0], re.landmarks[1], re.fraction);
+        }
+      });
+    }
+  }
+
+  /**
+   * @class	GCARendererSync
+   * @function	_onPick
+   * @brief	Maps a pick to the closest path position in the picked
+   * 		renderer and sets the current position of the renderer,
+   * 		which in turn sets the position of the other renderers.
+   * 		The ROI is left unchanged.
+   * @param	ent		Entry of the renderer.
+   * @param	ev		Event.
+   */
+  _onPick(ent, ev) {
+    if(!this._syncing && this._opt.picks && this._opt.position) {
+      let ren = ent.renderer;
+      let lp = undefined;
+      if(ren.type === 'GCA2DRenderer') {
+        // Use the midline mapping if the pick is within it's domain
+        lp = this._isDefined(ev.path_position)? ev.path_position:
+             this._positionToLandmarks(ren, ev.position);
+      } else {
+        for(let i = 0; !this._isDefined(lp) && (i < ev.positions.length);
+            ++i) {
+          lp = this._positionToLandmarks(ren, ev.positions[i]);
+        }
+      }
+      if(this._isDefined(lp)) {
+        let rs = lp;
+        let re = lp;
+        if(this._isDefined(ent.roi) && this._canLocate(ren, ent.roi[0]) &&
+           this._canLocate(ren, ent.roi[1])) {
+          rs = ent.roi[0];
+          re = ent.roi[1];
+        }
+        ren.setPosition(lp.landmarks[0], lp.landmarks[1], lp.fraction,
+                        rs.landmarks[0], rs.landmarks[1], rs.fraction,
+                        re.landmarks[0], re.landmarks[1], re.fraction);
+      }
+    }
+  }
+
+  /**
+   * @class	GCARendererSync
+   * @function	_onMarkerAdded
+   * @brief	Adds a marker added to one renderer to all the other
+   * 		renderers.
+   * @param	ent		Entry of the renderer.
+   * @param	ev		Event.
+   */
+  _onMarkerAdded(ent, ev) {
+    if(!this._syncing && this._opt.markers) {
+      let src = ent.renderer;
+      let lp = undefined;
+      let col = undefined;
+      let props = undefined;
+      if(src.type === 'GCA2DRenderer') {
+        let mdl = src.getModel();
+        lp = mdl.landmarkPosition(mdl.pathIdxFromID(ev.path), ev.index);
+        props = ev.props;
+        if(this._isDefined(props)) {
+          col = props.color;
+        }
+      } else {
+        lp = this._positionToLandmarks(src, ev.position);
+        col = ev.color;
+        if(this._isDefined(col)) {
+          props = {color: col};
+        }
+      }
+      if(this._isDefined(lp)) {
+        this._apply(ent, (ren) => {
+          if(ren.type === 'GCA2DRenderer') {
+            // By path and index as the path may not be the current path
+            if(this._canLocate(ren, lp)) {
+              let p = this._locate(ren, lp);
+              ren.addPathMarker(ev.id, ren.getConfig().paths[p[0]].id, p[1],
+                                ev.text, props, ev.metadata);
+            }
+          } else {
+            let p = this._pointAt(ren, lp);
+            if(this._isDefined(p)) {
+              ren.addMarker(ev.id, [p[0], p[1], p[2]], col, ev.text,
+                            ev.metadata);
+            }
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * @class	GCARendererSync
+   * @function	_onMarkerRemoved
+   * @brief	Removes a marker removed from one renderer from all the
+   * 		other renderers.
+   * @param	ent		Entry of the renderer.
+   * @param	ev		Event.
+   */
+  _onMarkerRemoved(ent, ev) {
+    if(!this._syncing && this._opt.markers) {
+      this._apply(ent, (ren) => ren.removeMarker(ev.id));
+    }
+  }
+
+  /**
+   * @class	GCARendererSync
+   * @function	_onMarkerUpdated
+   * @brief	Applies the changes to a marker updated in one renderer to
+   * 		all the other renderers.
+   * @param	ent		Entry of the renderer.
+   * @param	ev		Event.
+   */
+  _onMarkerUpdated(ent, ev) {
+    if(!this._syncing && this._opt.markers) {
+      let changes = {};
+      ['text', 'color', 'visible', 'metadata'].forEach((k) => {
+        if(k in ev) {
+          changes[k] = ev[k];
+        }
+      });
+      this._apply(ent, (ren) => ren.updateMarker(ev.id, changes));
+    }
+  }
+
+  /**
+   * @class	GCARendererSync
+   * @function	_onMarkerMoved
+   * @brief	Moves a marker dragged in one renderer to the same
+   * 		landmark relative position in all the other renderers,
+   * 		where it is replaced keeping its text, colour, visibility
+   * 		and metadata.
+   * @param	ent		Entry of the renderer.
+   * @param	ev		Event.
+   */
+  _onMarkerMoved(ent, ev) {
+    if(!this._syncing && this._opt.markers) {
+      this._apply(ent, (ren) => {
+        let m = ren.getMarkers().find((r) => r.id === ev.id);
+        let p = this._locate(ren, ev.path_position);
+        if(this._isDefined(m) && this._canLocate(ren, ev.path_position)) {
+          ren.removeMarker(ev.id);
+          if(ren.type === 'GCA2DRenderer') {
+            // By path and index as the path may not be the current path
+            let props = this._isDefined(m.color)? {color: m.color}: undefined;
+            ren.addPathMarker(ev.id, ren.getConfig().paths[p[0]].id, p[1],
+                              m.text, props, m.metadata);
+          } else {
+            let pt = ren.getConfig().paths[p[0]].points[p[1]];
+            ren.addMarker(ev.id, [pt[0], pt[1], pt[2]], m.color, m.text,
+                          m.metadata);
+          }
+          if(!m.visible) {
+            ren.updateMarker(ev.id, {visible: false});
+          }
+        }
+      });
+    }
+  }
+
+  /**
+   * @class	GCARendererSync
+   * @function	_onTrackAdded
+   * @brief	Adds a track added to one renderer to all the other
+   * 		renderers. The track's start and end are mapped between
+   * 		the renderers using the landmarks, but the distance from
+   * 		the midline is passed unchanged.
+   * @param	ent		Entry of the renderer.
+   * @param	ev		Event.
+   */
+  _onTrackAdded(ent, ev) {
+    if(!this._syncing && this._opt.tracks) {
+      let mdl = ent.renderer.getModel();
+      let pi = mdl.pathIdxFromID(ev.path);
+      let pe_i = this._isDefined(ev.end_path)?
+                 mdl.pathIdxFromID(ev.end_path): pi;
+      let lps = mdl.landmarkPosition(pi, ev.start_idx);
+      let lpe = mdl.landmarkPosition(pe_i, ev.end_idx);
+      if(this._isDefined(lps) && this._isDefined(lpe)) {
+        this._apply(ent, (ren) => {
+          let ps = this._locate(ren, lps);
+          let pe = this._locate(ren, lpe);
+          if(this._isDefined(ps) && this._isDefined(pe)) {
+            let paths = ren.getConfig().paths;
+            ren.addTrack(ev.id, paths[ps[0]].id, ps[1], pe[1], ev.color,
+                         ev.dist, ev.ang, paths[pe[0]].id);
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * @class	GCARendererSync
+   * @function	_onTrackRemoved
+   * @brief	Removes a track removed from one renderer from all the
+   * 		other renderers.
+   * @param	ent		Entry of the renderer.
+   * @param	ev		Event.
+   */
+  _onTrackRemoved(ent, ev) {
+    if(!this._syncing && this._opt.tracks) {
+      this._apply(ent, (ren) => ren.removeTrack(ev.id));
+    }
+  }
+
+  /* Support functions below here. */
+
+  /**
+   * @class	GCARendererSync
+   * @function	_apply
+   * @brief	Calls the given function for all renderers other than
+   * 		that of the given entry. Events from the renderers are
+   * 		not propagated while the function is called.
+   * @param	ent		Entry of the renderer which is the source
+   * 				of the change.
+   * @param	fn		Function called with the renderer.
+   */
+  _apply(ent, fn) {
+    this._syncing = true;
+    try {
+      for(let i = 0; i < this._entries.length; ++i) {
+        let e = this._entries[i];
+        if(e !== ent) {
+          fn(e.renderer);
+        }
+      }
+    } finally {
+      this._syncing = false;
+    }
+  }
+
+  /**
+   * @class	GCARendererSync
+   * @function	_findEntry
+   * @return	Index of the renderer's entry or -1 if not found.
+   * @brief	Finds the entry of a renderer.
+   * @param	ren		Renderer.
+   */
+  _findEntry(ren) {
+    let idx = -1;
+    for(let i = 0; i < this._entries.length; ++i) {
+      if(this._entries[i].renderer === ren) {
+        idx = i;
+        break;
+      }
+    }
+    return(idx);
+  }
+
+  /**
+   * @class	GCARendererSync
+   * @function	_positionToLandmarks
+   * @return	Landmark relative position (see
+   * 		GCAModel.landmarkPosition()) or undefined.
+   * @brief	Finds the landmark relative position of the path position
+   * 		closest to the given coordinate in a renderer.
+   * @param	ren		Renderer.
+   * @param	pos		Position coordinate.
+   */
+  _positionToLandmarks(ren, pos) {
+    let lp = undefined;
+    let mdl = ren.getModel();
+    let pp = mdl.positionToPath(pos, this._opt.pick_tolerance);
+    if(this._isDefined(pp)) {
+      lp = mdl.landmarkPosition(pp[0], pp[1]);
+    }
+    return(lp);
+  }
+
+  /**
+   * @class	GCARendererSync
+   * @function	_locate
+   * @return	Array [<path index>, <index>] or undefined.
+   * @brief	Finds the path position in a renderer's model of a
+   * 		landmark relative position.
+   * @param	ren		Renderer.
+   * @param	lp		Landmark relative position.
+   */
+  _locate(ren, lp) {
+    let p = undefined;
+    if(this._isDefined(lp)) {
+      p = ren.getModel().positionOnPath(lp.landmarks[0], lp.landmarks[1],
+                                        lp.fraction);
+      if(!this._isDefined(p[0]) || !this._isDefined(p[1])) {
+        p = undefined;
+      }
+    }
+    return(p);
+  }
+
+  /**
+   * @class	GCARendererSync
+   * @function	_canLocate
+   * @return	True if the landmark relative position can be located.
+   * @brief	Checks that a landmark relative position can be located
+   * 		on a loaded path of a renderer's model.
+   * @param	ren		Renderer.
+   * @param	lp		Landmark relative position.
+   */
+  _canLocate(ren, lp) {
+    let p = this._locate(ren, lp);
+    return(this._isDefined(p) &&
+           this._isDefined(ren.getConfig().paths[p[0]].points));
+  }
+
+  /**
+   * @class	GCARendererSync
+   * @function	_pointAt
+   * @return	Path point (fabric.js point for 2D renderers or array
+   * 		for 3D renderers) or undefined.
+   * @brief	Finds the path point of a landmark relative position in
+   * 		a renderer.
+   * @param	ren		Renderer.
+   * @param	lp		Landmark relative position.
+   */
+  _pointAt(ren, lp) {
+    let pt = undefined;
+    if(this._canLocate(ren, lp)) {
+      let p = this._locate(ren, lp);
+      pt = ren.getConfig().paths[p[0]].points[p[1]];
+    }
+    return(pt);
+  }
+
+  /**
+   * @class	GCARendererSync
+   * @function	_isDefined
+   * @return	True if defined, otherwise false.
+   * @brief	Test for object defined.
+   * @param	x		Given object.
+   */
+  _isDefined(x) {
+    return(typeof x !== 'undefined');
+  }
+}
+
+export {GCARendererSync};
@@ -0,0 +1,480 @@
+/*!
+* @file         GCASpatialIndex.js
+* @author       Bill Hill
+* @date         June 2023
+* @version      $Id$
+* @par
+* Address:
+*               Heriot-Watt University,
+*               Edinburgh, Scotland, EH14 4AS, UK
+* @par
+* Copyright (C), [2023],
+* Heriot-Watt University, Edinburgh, UK.
+*
+* This program is free software; you can redistribute it and/or
+* modify it under the terms of the GNU General Public License
+* as published by the Free Software Foundation; either version 2
+* of the License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be
+* useful but WITHOUT ANY WARRANTY; without even the implied
+* warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR
+* PURPOSE.  See the GNU General Public License for more
+* details.
+*
+* You should have received a copy of the GNU General Public
+* License along with this program; if not, write to the Free
+* Software Foundation, Inc., 51 Franklin Street, Fifth Floor,
+* Boston, MA  02110-1301, USA.
+* @brief	A uniform grid spatial index of points and line segments
+* 		used for nearest object queries by the Gut Cell Atlas
+* 		model and renderers.
+*/
+
+/*!
+ * @class	GCASpatialIndex
+ * @constructor
+ * @brief	Creates a spatial index in which points and line segments
+ * 		(in 2D or 3D) are hashed into the cells of a uniform grid.
+ * 		Each entry has a key, which is used to remove all the
+ * 		entries added with it (eg all the segments of a polyline),
+ * 		and optional data which is returned by queries.
+ * 		Coordinates may be either arrays ([x, y] or [x, y, z]) or
+ * 		objects with x, y (and optionally z) fields.
+ * @param	cell_size	Size of the grid cells, this should be
+ * 				a few times the typical segment length.
+ */
+class GCASpatialIndex {
+  constructor(cell_size) {
+    this.type = 'GCASpatialIndex';
+    this._cell_size = (cell_size > 0)? cell_size: 1.0;
+    this._cells = new Map();	// Entries keyed by cell
+    this._keys = new Map();	// Entries keyed by entry key
+    this._bounds = undefined;	// Min and max cell indices of the entries
+  }
+
+  /**
+   * @class	GCASpatialIndex
+   * @function	getCellSize
+   * @return	The size of the grid cells.
+   * @brief	Gets the size of the grid cells.
+   */
+  getCellSize() {
+    return(this._cell_size);
+  }
+
+  /**
+   * @class	GCASpatialIndex
+   * @function	setCellSize
+   * @brief	Sets the size of the grid cells, rehashing any entries
+   * 		already in the index.
+   * @param	cell_size	New cell size.
+   */
+  setCellSize(cell_size) {
+    if((cell_size > 0) && (cell_size !== this._cell_size)) {
+      let ents = [];
+      this._keys.forEach((ke) => {
+        ents = ents.concat(ke);
+      });
+      this._cell_size = cell_size;
+      this._cells.clear();
+      this._bounds = undefined;
+      ents.forEach((e) => this._hash(e));
+    }
+  }
+
+  /**
+   * @class	GCASpatialIndex
+   * @function	size
+   * @return	Number of entries in the index.
+   * @brief	Gets the number of entries (points and segments) in the
+   * 		index.
+   */
+  size() {
+    let n = 0;
+    this._keys.forEach((ke) => {
+      n += ke.length;
+    });
+    return(n);
+  }
+
+  /**
+   * @class	GCASpatialIndex
+   * @function	clear
+   * @brief	Removes all entries from the index.
+   */
+  clear() {
+    this._cells.clear();
+    this._keys.clear();
+    this._bounds = undefined;
+  }
+
+  /**
+   * @class	GCASpatialIndex
+   * @function	addPoint
+   * @brief	Adds a point to the index.
+   * @param	key		Key for the entry, any value usable as a
+   * 				Map key.
+   * @param	p		The point.
+   * @param	data		Optional data returned by queries.
+   */
+  addPoint(key, p, data) {
+    let v = this._vtx(p);
+    this._add(key, v, v, data);
+  }
+
+  /**
+   * @class	GCASpatialIndex
+   * @function	addSegment
+   * @brief	Adds a line segment to the index.
+   * @param	key		Key for the entry.
+   * @param	p0		First end point of the segment.
+   * @param	p1		Second end point of the segment.
+   * @param	data		Optional data returned by queries.
+   */
+  addSegment(key, p0, p1, data) {
+    this._add(key, this._vtx(p0), this._vtx(p1), data);
+  }
+
+  /**
+   * @class	GCASpatialIndex
+   * @function	addPolyline
+   * @brief	Adds the segments of a polyline to the index. Each
+   * 		segment's data is an object with the field index (index
+   * 		of the segment's first point) and any fields of the given
+   * 		data. A polyline of a single point is added as a point.
+   * @param	key		Key for the entries.
+   * @param	pts		Array of the polyline's points.
+   * @param	data		Optional object with fields to be set in
+   * 				each segment's data.
+   */
+  addPolyline(key, pts, data) {
+    let n = pts.length;
+    let v0 = (n > 0)? this._vtx(pts[0]): undefined;
+    if(n === 1) {
+      this._add(key, v0, v0, Object.assign({index: 0}, data));
+    }
+    for(let i = 1; i < n; ++i) {
+      let v1 = this._vtx(pts[i]);
+      this._add(key, v0, v1, Object.assign({index: i - 1}, data));
+      v0 = v1;
+    }
+  }
+
+  /**
+   * @class	GCASpatialIndex
+   * @function	remove
+   * @brief	Removes all the entries with the given key.
+   * @param	key		Key of the entries.
+   */
+  remove(key) {
+    let ke = this._keys.get(key);
+    if(this._isDefined(ke)) {
+      ke.forEach((e) => {
+        e.cells.forEach((ck) => {
+          let ce = this._cells.get(ck);
+          let i = ce.indexOf(e);
+          if(i >= 0) {
+            ce.splice(i, 1);
+          }
+          if(ce.length === 0) {
+            this._cells.delete(ck);
+          }
+        });
+      });
+      this._keys.delete(key);
+    }
+  }
+
+  /**
+   * @class	GCASpatialIndex
+   * @function	nearest
+   * @return	Object with the fields: key, data, point (closest point
+   * 		on the entry as an array), t (proportional distance of
+   * 		the point along a segment from its first end point, 0
+   * 		for points) and distance, or undefined if no entry lies
+   * 		within the maximum distance.
+   * @brief	Finds the entry closest to the given position. The grid
+   * 		cells are searched in shells of increasing size around
+   * 		the position until no closer entry can be found.
+   * @param	pos		Query position.
+   * @param	max_dist	Optional maximum distance, if undefined
+   * 				the distance is not limited.
+   * @param	filter		Optional function which is called with
+   * 				each entry's key and data and which
+   * 				returns false for entries to be ignored.
+   */
+  nearest(pos, max_dist, filter) {
+    let best = undefined;
+    if(this._isDefined(this._bounds)) {
+      let pv = this._vtx(pos);
+      let cs = this._cell_size;
+      let c = this._cellIdx(pv);
+      let bmn = this._bounds[0];
+      let bmx = this._bounds[1];
+      let md2 = this._isDefined(max_dist)? max_dist * max_dist:
+                                           Number.MAX_VALUE;
+      let r = 0;
+      let rmx = 0;
+      for(let k = 0; k < 3; ++k) {
+        r = Math.max(r, bmn[k] - c[k], c[k] - bmx[k]);
+        rmx = Math.max(rmx, c[k] - bmn[k], bmx[k] - c[k]);
+      }
+      let seen = new Set();
+      let d2b = md2;
+      for(; r <= rmx; ++r) {
+        // Entries in cells of this shell are at least (r - 1) * cs away
+        let lb = (r > 0)? (r - 1) * cs: 0;
+        if((lb * lb > d2b) || (lb * lb > md2)) {
+          break;
+        }
+        this._shell(c, r, (ce) => {
+          for(let i = 0; i < ce.length; ++i) {
+            let e = ce[i];
+            if(!seen.has(e)) {
+              seen.add(e);
+              if(!this._isDefined(filter) || filter(e.key, e.data)) {
+                let q = this._project(pv, e.p0, e.p1);
+                if((q[2] <= d2b) &&
+                   (!this._isDefined(best) || (q[2] < best.d2))) {
+                  best = {entry: e, point: q[0], t: q[1], d2: q[2]};
+                  d2b = q[2];
+                }
+              }
+            }
+          }
+        });
+      }
+    }
+    if(this._isDefined(best)) {
+      best = {
+        key: best.entry.key,
+        data: best.entry.data,
+        point: best.point,
+        t: best.t,
+        distance: Math.sqrt(best.d2)};
+    }
+    return(best);
+  }
+
+  /**
+   * @class	GCASpatialIndex
+   * @function	within
+   * @return	Array of objects with the same fields as returned by
+   * 		nearest(), one for each key, sorted by increasing
+   * 		distance.
+   * @brief	Finds all the keys with entries within the given distance
+   * 		of a position. For each key the closest of its entries is
+   * 		given.
+   * @param	pos		Query position.
+   * @param	max_dist	Maximum distance.
+   * @param	filter		Optional filter function as for nearest().
+   */
+  within(pos, max_dist, filter) {
+    let fnd = new Map();
+    if(this._isDefined(this._bounds) && (max_dist >= 0)) {
+      let pv = this._vtx(pos);
+      let md2 = max_dist * max_dist;
+      let c0 = this._cellIdx(pv.map((x) => x - max_dist));
+      let c1 = this._cellIdx(pv.map((x) => x + max_dist));
+      let mn = [0, 1, 2].map((k) => Math.max(c0[k], this._bounds[0][k]));
+      let mx = [0, 1, 2].map((k) => Math.min(c1[k], this._bounds[1][k]));
+      let seen = new Set();
+      for(let z = mn[2]; z <= mx[2]; ++z) {
+        for(let y = mn[1]; y <= mx[1]; ++y) {
+          for(let x = mn[0]; x <= mx[0]; ++x) {
+            let ce = this._cells.get(x + ',' + y + ',' + z);
+            if(this._isDefined(ce)) {
+              for(let i = 0; i < ce.length; ++i) {
+                let e = ce[i];
+                if(!seen.has(e)) {
+                  seen.add(e);
+                  if(!this._isDefined(filter) || filter(e.key, e.data)) {
+                    let q = this._project(pv, e.p0, e.p1);
+                    let f = fnd.get(e.key);
+                    if((q[2] <= md2) &&
+                       (!this._isDefined(f) || (q[2] < f.d2))) {
+                      fnd.set(e.key, {entry: e, point: q[0], t: q[1],
+                                      d2: q[2]});
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+    let rtn = [];
+    fnd.forEach((f) => {
+      rtn.push({
+        key: f.entry.key,
+        data: f.entry.data,
+        point: f.point,
+        t: f.t,
+        distance: Math.sqrt(f.d2)});
+    });
+    rtn.sort((a, b) => a.distance - b.distance);
+    return(rtn);
+  }
+
+  /* Support functions below here. */
+
+  /**
+   * @class	GCASpatialIndex
+   * @function	_add
+   * @brief	Adds an entry to the index.
+   * @param	key		Key for the entry.
+   * @param	v0		First end point as an array [x, y, z].
+   * @param	v1		Second end point as an array [x, y, z].
+   * @param	data		Data for the entry.
+   */
+  _add(key, v0, v1, data) {
+    let e = {key: key, p0: v0, p1: v1, data: data, cells: []};
+    let ke = this._keys.get(key);
+    if(!this._isDefined(ke)) {
+      ke = [];
+      this._keys.set(key, ke);
+    }
+    ke.push(e);
+    this._hash(e);
+  }
+
+  /**
+   * @class	GCASpatialIndex
+   * @function	_hash
+   * @brief	Adds an entry to all the cells which its bounding box
+   * 		intersects, updating the bounds of the index.
+   * @param	e		The entry.
+   */
+  _hash(e) {
+    let c0 = this._cellIdx(e.p0);
+    let c1 = this._cellIdx(e.p1);
+    let mn = [0, 1, 2].map((k) => Math.min(c0[k], c1[k]));
+    let mx = [0, 1, 2].map((k) => Math.max(c0[k], c1[k]));
+    e.cells = [];
+    for(let z = mn[2]; z <= mx[2]; ++z) {
+      for(let y = mn[1]; y <= mx[1]; ++y) {
+        for(let x = mn[0]; x <= mx[0]; ++x) {
+          let ck = x + ',' + y + ',' + z;
+          let ce = this._cells.get(ck);
+          if(!this._isDefined(ce)) {
+            ce = [];
+            this._cells.set(ck, ce);
+          }
+          ce.push(e);
+          e.cells.push(ck);
+        }
+      }
+    }
+    if(this._isDefined(this._bounds)) {
+      for(let k = 0; k < 3; ++k) {
+        this._bounds[0][k] = Math.min(this._bounds[0][k], mn[k]);
+        this._bounds[1][k] = Math.max(this._bounds[1][k], mx[k]);
+      }
+    } else {
+      this._bounds = [mn, mx];
+    }
+  }
+
+  /**
+   * @class	GCASpatialIndex
+   * @function	_shell
+   * @brief	Calls the given function for the entries of each occupied
+   * 		cell in the shell of cells at the given (Chebyshev)
+   * 		distance from the given cell and within the bounds of
+   * 		the index.
+   * @param	c		Cell indices of the centre of the shell.
+   * @param	r		Distance of the shell in cells.
+   * @param	fn		Function called with each cell's entries.
+   */
+  _shell(c, r, fn) {
+    let bmn = this._bounds[0];
+    let bmx = this._bounds[1];
+    let mn = [0, 1, 2].map((k) => Math.max(c[k] - r, bmn[k]));
+    let mx = [0, 1, 2].map((k) => Math.min(c[k] + r, bmx[k]));
+    for(let x = mn[0]; x <= mx[0]; ++x) {
+      let fx = Math.abs(x - c[0]) === r;
+      for(let y = mn[1]; y <= mx[1]; ++y) {
+        let fy = fx || (Math.abs(y - c[1]) === r);
+        for(let z = mn[2]; z <= mx[2]; ++z) {
+          if(fy || (Math.abs(z - c[2]) === r)) {
+            let ce = this._cells.get(x + ',' + y + ',' + z);
+            if(this._isDefined(ce)) {
+              fn(ce);
+            }
+          } else if(z < c[2] + r) {
+            z = c[2] + r - 1; // Skip the interior of the shell
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * @class	GCASpatialIndex
+   * @function	_project
+   * @return	Array [<point>, <t>, <squared distance>].
+   * @brief	Projects a position onto a line segment.
+   * @param	p		Position as an array [x, y, z].
+   * @param	v0		First end point of the segment.
+   * @param	v1		Second end point of the segment.
+   */
+  _project(p, v0, v1) {
+    let t = 0;
+    let d = [v1[0] - v0[0], v1[1] - v0[1], v1[2] - v0[2]];
+    let l2 = d[0] * d[0] + d[1] * d[1] + d[2] * d[2];
+    if(l2 > 0) {
+      t = ((p[0] - v0[0]) * d[0] + (p[1] - v0[1]) * d[1] +
+           (p[2] - v0[2]) * d[2]) / l2;
+      t = Math.min(Math.max(t, 0), 1);
+    }
+    let q = [v0[0] + t * d[0], v0[1] + t * d[1], v0[2] + t * d[2]];
+    let e = [p[0] - q[0], p[1] - q[1], p[2] - q[2]];
+    return([q, t, e[0] * e[0] + e[1] * e[1] + e[2] * e[2]]);
+  }
+
+  /**
+   * @class	GCASpatialIndex
+   * @function	_cellIdx
+   * @return	Array of the cell indices.
+   * @brief	Finds the indices of the cell containing a position.
+   * @param	v		Position as an array [x, y, z].
+   */
+  _cellIdx(v) {
+    let cs = this._cell_size;
+    return([Math.floor(v[0] / cs), Math.floor(v[1] / cs),
+            Math.floor(v[2] / cs)]);
+  }
+
+  /**
+   * @class	GCASpatialIndex
+   * @function	_vtx
+   * @return	Array [x, y, z].
+   * @brief	Converts a coordinate to an array of three numbers.
+   * @param	p		Coordinate, an array or an object with x, y
+   * 				(and optionally z) fields.
+   */
+  _vtx(p) {
+    let v;
+    if(Array.isArray(p)) {
+      v = [p[0], p[1], (p.length > 2)? p[2]: 0];
+    } else {
+      v = [p.x, p.y, this._isDefined(p.z)? p.z: 0];
+    }
+    return(v);
+  }
+
+  /**
+   * @class	GCASpatialIndex
+   * @function	_isDefined
+   * @return	True if defined, otherwise false.
+   * @brief	Convenience function to check if a variable is defined.
+   * @param	x		Given variable.
+   */
+  _isDefined(x) {
+    return(typeof x !== 'undefined');
+  }
+}
+
+export {GCASpatialIndex};